@@ -1,70 +1,128 @@
 // The following Google Earth Engine script performs a comparative analysis of
-// Land Cover (MODIS) and Landsat satellite imagery for the Lucknow, India
+// Land Cover (MODIS by default) and Landsat satellite imagery for the Lucknow, India
 // region between 2001 and 2020. The script loads data, preprocesses it,
 // combines the datasets for potential classification, generates various charts
 // for visualization, and prints summary tables.
+//
+// The analysis functions live in the module land_cover_ndvi_lib.js; this
+// script holds the configuration and the printing, map layers, charts, exports
+// and app built on top of them.
+
+// Path of the module in your Earth Engine script repository. Edit it to point
+// at your own copy.
+var lib = require('users/<username>/lucknow_sdg_15_3_1:land_cover_ndvi_lib');
 
 //-----------------------------------------------------
 // 1. Define the Extents of the Analysis (Lucknow)
 //-----------------------------------------------------
-// Define the geographic area of interest (AOI) using an approximate bounding
-// box for Lucknow, India, to filter image collections efficiently.
-// Latitude:  26.72 to 26.96
-// Longitude: 80.80 to 81.10
+// Define the study areas. Every entry is processed in the same run, and every
+// chart and table is keyed by the region's name. The supported types
+// ('rectangle', 'asset', 'geojson') are described at lib.resolveStudyAreas.
+var study_areas = [
+  {
+    // Approximate bounding box for Lucknow, India.
+    // Latitude:  26.72 to 26.96
+    // Longitude: 80.80 to 81.10
+    name: 'Lucknow',
+    type: 'rectangle',
+    bounds: [80.80, 26.72, 81.10, 26.96]
+  }
+  // Example: the municipal boundary uploaded as a table asset.
+  // {
+  //   name: 'Lucknow Municipal Corporation',
+  //   type: 'asset',
+  //   asset_id: 'users/<username>/lucknow_municipal_boundary'
+  // },
+  // Example: several districts from an admin layer, one region per district.
+  // {
+  //   type: 'asset',
+  //   asset_id: 'FAO/GAUL/2015/level2',
+  //   filter_property: 'ADM1_NAME',
+  //   filter_value: 'Uttar Pradesh',
+  //   name_property: 'ADM2_NAME'
+  // },
+  // Example: an inline polygon.
+  // {
+  //   name: 'Gomti Riverfront',
+  //   type: 'geojson',
+  //   geojson: {
+  //     type: 'Polygon',
+  //     coordinates: [[[80.90, 26.84], [81.00, 26.84], [81.00, 26.88],
+  //                    [80.90, 26.88], [80.90, 26.84]]]
+  //   }
+  // }
+];
 
-// Define the latitude and longitude ranges.
-var lat_small = [26.72, 26.96];
-var lon_small = [80.80, 81.10];
+// Resolve the named regions and the combined AOI covering all of them. Images
+// are loaded and clipped over the combined AOI; every statistic is then reduced
+// per region.
+var regions = lib.resolveStudyAreas(study_areas);
+var region_collection = lib.regionCollection(regions);
+var aoi = region_collection.geometry();
+
+// Helper function to run a per-region table builder over every region and merge
+// the results into one FeatureCollection with a 'Region' column.
+function perRegion(buildTable) {
+  return lib.perRegion(regions, buildTable);
+}
 
-// Create an Earth Engine Geometry (Rectangle) object for the AOI.
-var bbox = ee.Geometry.Rectangle(
-  lon_small[0], lat_small[0],
-  lon_small[1], lat_small[1]
-);
+// Helper function fetching `object` to the client without blocking the Code
+// Editor. `callback` receives the result; a failure is printed with its label.
+function evaluateAsync(label, object, callback) {
+  object.evaluate(function(result, error) {
+    if (error) {
+      print(lib.evaluationErrorMessage(label, error));
+      return;
+    }
+    callback(result);
+  });
+}
 
-// Center the map view on the defined bounding box at zoom level 10.
-Map.centerObject(bbox, 10);
+// Center the map view on the combined AOI at zoom level 10 and outline the regions.
+Map.centerObject(aoi, 10);
+Map.addLayer(
+  ee.Image().byte().paint(region_collection, 0, 2),
+  { palette: ['000000'] },
+  'Study Areas'
+);
 
 // Define the two comparison years: the base year (2001) and the latest year (2020).
-var years = [2001, 2020];
-var first_year = years[0];
-var last_year  = years[1];
+var first_year = 2001;
+var last_year  = 2020;
 
-// Create an object to store Earth Engine Date ranges for each year (Jan 1st to Dec 31st).
-var date_ranges = {};
-years.forEach(function(year) {
-  date_ranges[year] = [
-    ee.Date.fromYMD(year, 1, 1),
-    ee.Date.fromYMD(year, 12, 31)
-  ];
-});
+// Build the full list of annual time steps between the two comparison years.
+// Every year is composited so that the productivity trajectory (section 9) can
+// be fitted to the complete annual NDVI series.
+var years = lib.yearRange(first_year, last_year);
 
-// Print the defined AOI and years to the Earth Engine Console for verification.
-print('Analysis Region (Lucknow):', bbox);
+// Print the defined regions and years to the Earth Engine Console for verification.
+print('Analysis Regions:', region_collection);
 print('Analysis Years:', years);
 
 
 //---
 
 //-----------------------------------------------------
-// 2. Load Land Classification Data (MODIS MCD12Q1)
+// 2. Load Land Classification Data
 //-----------------------------------------------------
-// Function to load the MODIS Land Cover Type 1 (LC_Type1, IGBP classification)
-// for a given year, clip it to the AOI, and rename the band.
-function loadModisLandCover(year) {
-  // Construct the asset ID for the annual MODIS land cover image.
-  var id = 'MODIS/006/MCD12Q1/' + year + '_01_01';
-  return ee.Image(id)
-           .select('LC_Type1') // Select the IGBP Land Cover Type 1 band.
-           .clip(bbox)         // Clip the image to the Lucknow AOI.
-           .rename('land_class') // Rename the band for clarity.
-           // Set the system:time_start property for chronological sorting later.
-           .set('system:time_start', date_ranges[year][0].millis());
+// Land cover parameters.
+var land_cover_params = {
+  // Key of the land cover product in lib.LAND_COVER_SOURCES: 'MODIS_LC_TYPE1'
+  // (MODIS/061 IGBP), 'MODIS_LC_TYPE2' to 'MODIS_LC_TYPE5' (UMD, LAI, BGC and
+  // PFT schemes) or 'ESA_WORLDCOVER' (2020–2021 only). Each source declares its
+  // classes and its crosswalk to the UNCCD classes of section 10.
+  source: 'MODIS_LC_TYPE1'
+};
+var land_cover_source = lib.landCoverSource(land_cover_params.source);
+
+// Function to load the selected land cover product for a given year over the AOI.
+function loadLandCover(year) {
+  return lib.loadLandCover(land_cover_source, year, aoi);
 }
 
 // Load the land cover images for the first and last years.
-var land_cls_data_first_year = loadModisLandCover(first_year);
-var land_cls_data_last_year  = loadModisLandCover(last_year);
+var land_cls_data_first_year = loadLandCover(first_year);
+var land_cls_data_last_year  = loadLandCover(last_year);
 
 // Print the loaded images to the console.
 print('Land Class (first year):', land_cls_data_first_year);
@@ -76,26 +134,23 @@ var land_cls_data_encoded = ee.ImageCollection([
   land_cls_data_last_year
 ]).sort('system:time_start');
 
-// Visualization parameters for the MODIS IGBP classes (1-17).
-var modisVisParams = {
-  min: 1, max: 17,
-  // A standard color palette for the 17 IGBP land cover classes.
-  palette: [
-    '05450a','086a10','54a708','78d203','009900','c6b044','dcd159','dade48',
-    'fbff13','b6ff05','27ff87','c24f44','a5a5a5','ff6d4c','69fff8','f9ffa4','1c0dff'
-  ]
-};
+// Table rows for the source's classes, used by every per-class summary.
+var landCoverClasses = land_cover_source.classes;
+
+// Visualization parameters and class names generated from the source's classes.
+var landCoverVisParams = lib.classVisParams(landCoverClasses);
+var classNames = lib.classNames(landCoverClasses);
 
-// Add the 2001 and 2020 MODIS Land Cover images to the map for visual inspection.
+// Add the first and last year land cover images to the map for visual inspection.
 Map.addLayer(
   land_cls_data_first_year, 
-  modisVisParams, 
-  'MODIS LC ' + first_year
+  landCoverVisParams, 
+  land_cover_source.label + ' LC ' + first_year
 );
 Map.addLayer(
   land_cls_data_last_year, 
-  modisVisParams, 
-  'MODIS LC ' + last_year
+  landCoverVisParams, 
+  land_cover_source.label + ' LC ' + last_year
 );
 
 
@@ -104,181 +159,92 @@ Map.addLayer(
 //-----------------------------------------------------
 // 3. Load EO Data from the Datacube (Landsat)
 //-----------------------------------------------------
-// This section loads Landsat 7 (L7) and Landsat 8 (L8) Surface Reflectance (SR)
-// data, masks clouds, and computes a yearly median composite including NDVI.
-
-// Define the source bands and the desired new band names for Landsat 7 & 8.
-// Bands correspond to Blue, Green, Red, Near-Infrared (NIR), and Shortwave-Infrared 2 (SWIR2).
-var LS_SOURCE_BANDS_L7 = ['SR_B2','SR_B3','SR_B4','SR_B5','SR_B7']; // Landsat 7 SR bands
-var LS_SOURCE_BANDS_L8 = ['SR_B2','SR_B3','SR_B4','SR_B5','SR_B7']; // Landsat 8 SR bands (same index as L7)
-var NEW_BAND_NAMES     = ['blue','green','red','nir','swir2']; // Consistent band names
-
-// Function to mask clouds and invalid pixels in Landsat 7 Surface Reflectance (L2) data.
-function maskL7sr(image) {
-  // Select the QA_PIXEL band for quality assessment.
-  var qa = image.select('QA_PIXEL');
-  // Identify clouds (bits 3 or 5 set to 1) based on the CFMask algorithm.
-  var cloud = qa.bitwiseAnd(1 << 3).neq(0)
-             .or(qa.bitwiseAnd(1 << 5).neq(0));
-  // Identify clear sky pixels (bits 0, 1, and 6 set to 0).
-  var clear = qa.bitwiseAnd(1 << 0).eq(0)
-             .and(qa.bitwiseAnd(1 << 1).eq(0))
-             .and(qa.bitwiseAnd(1 << 6).eq(0));
-  // Final mask is where it's clear and NOT cloud.
-  var mask = clear.and(cloud.not());
-  // Identify valid data range (0 to 10000 for Surface Reflectance).
-  var valid_range = image.select(LS_SOURCE_BANDS_L7)
-                      .reduce(ee.Reducer.min()).gt(0) // Minimum pixel value > 0
-                      .and(
-                        image.select(LS_SOURCE_BANDS_L7)
-                           .reduce(ee.Reducer.max()).lt(10000) // Maximum pixel value < 10000
-                      );
-  // Apply the mask and scale the Surface Reflectance bands from 0-10000 to 0-1.0.
-  return image.updateMask(mask.and(valid_range)).divide(10000);
-}
-
-// Function to mask clouds and invalid pixels in Landsat 8 Surface Reflectance (L2) data.
-function maskL8sr(image) {
-  // Select the QA_PIXEL band.
-  var qa = image.select('QA_PIXEL');
-  // Identify clouds (bits 3 or 5 set to 1).
-  var cloud = qa.bitwiseAnd(1 << 3).neq(0)
-             .or(qa.bitwiseAnd(1 << 5).neq(0));
-  // Identify clear sky pixels (bits 0, 1, 2, and 6 set to 0).
-  var clear = qa.bitwiseAnd(1 << 0).eq(0)
-             .and(qa.bitwiseAnd(1 << 1).eq(0))
-             .and(qa.bitwiseAnd(1 << 2).eq(0))
-             .and(qa.bitwiseAnd(1 << 6).eq(0));
-  // Final mask.
-  var mask = clear.and(cloud.not());
-  // Identify valid data range.
-  var valid_range = image.select(LS_SOURCE_BANDS_L8)
-                      .reduce(ee.Reducer.min()).gt(0)
-                      .and(
-                        image.select(LS_SOURCE_BANDS_L8)
-                           .reduce(ee.Reducer.max()).lt(10000)
-                      );
-  // Apply the mask and scale the Surface Reflectance bands.
-  return image.updateMask(mask.and(valid_range)).divide(10000);
-}
-
-// Function to calculate the Normalized Difference Vegetation Index (NDVI).
-function addNDVI(image) {
-  // Check if the required 'nir' and 'red' bands exist before calculation.
-  var hasNir = image.bandNames().contains('nir');
-  var hasRed = image.bandNames().contains('red');
-  return ee.Algorithms.If(
-    hasNir,
-    ee.Algorithms.If(
-      hasRed,
-      // Calculate NDVI: (NIR - Red) / (NIR + Red)
-      image.addBands(image.normalizedDifference(['nir', 'red']).rename('NDVI')),
-      image // Return original image if 'red' is missing
-    ),
-    image // Return original image if 'nir' is missing
-  );
-}
-
-// Function to load, filter, preprocess, and composite Landsat data for a given year.
-function loadAndPreprocessLandsat(year) {
-  var date_start = date_ranges[year][0];
-  var date_end   = date_ranges[year][1];
-
-  // Load and process Landsat 7 data.
-  var ls7 = ee.ImageCollection('LANDSAT/LE07/C02/T1_L2')
-    .filterDate(date_start, date_end)
-    .filterBounds(bbox)
-    .map(maskL7sr) // Apply cloud/quality mask and scaling.
-    .select(LS_SOURCE_BANDS_L7, NEW_BAND_NAMES); // Select and rename bands.
-
-  // Load and process Landsat 8 data.
-  var ls8 = ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
-    .filterDate(date_start, date_end)
-    .filterBounds(bbox)
-    .map(maskL8sr) // Apply cloud/quality mask and scaling.
-    .select(LS_SOURCE_BANDS_L8, NEW_BAND_NAMES); // Select and rename bands.
-
-  // Merge the Landsat 7 and 8 collections.
-  var combined_ls = ls7.merge(ls8);
-  
-  // Compute the median composite of the combined collection and add the NDVI band.
-  // Use ee.Algorithms.If to handle cases where the collection might be empty.
-  var median_with_ndvi = ee.Algorithms.If(
-    combined_ls.size().gt(0),
-    addNDVI(combined_ls.median()), // Compute median and then add NDVI.
-    ee.Image([]) // Return an empty image if no data is available.
-  );
+// This section loads Landsat 5 (TM), 7 (ETM+), 8 (OLI) and 9 (OLI-2) Surface
+// Reflectance (SR) data, masks clouds, optionally harmonizes TM/ETM+ reflectance
+// to OLI, and computes a yearly median composite including NDVI and the other
+// configured spectral indices. The sensor registry (lib.LANDSAT_SENSORS) and
+// the spectral index library (lib.SPECTRAL_INDICES) are defined in the module.
+
+// Landsat loading parameters.
+var landsat_params = {
+  // Sensors merged into each annual composite. Years outside a sensor's
+  // mission simply contribute no scenes.
+  sensors: ['L5', 'L7', 'L8', 'L9'],
+  // Harmonize TM/ETM+ reflectance to OLI so that NDVI trends are not distorted
+  // when the constellation changes.
+  harmonize_to_oli: true,
+  // Resolution (m) at which the per-scene quality summary is computed.
+  quality_scale: 120,
+  // Composite pixels with fewer clear observations than this are flagged as
+  // low confidence; every Landsat-derived table reports their area.
+  min_clear_observations: 3,
+  // Fill the Landsat 7 SLC-off stripes (after the 2003 failure) that no clear
+  // observation covers with the mean of the composite within this many
+  // pixels, flagging them as low confidence; 0 disables.
+  slc_gap_fill_radius: 0
+};
 
-  // Return the annual Landsat composite image with time and year properties set.
-  return ee.Image(median_with_ndvi)
-           .set('system:time_start', date_start.millis())
-           .set('year', year);
-}
+// Spectral index parameters.
+var index_params = {
+  // Indices added to every annual composite. NDVI is required downstream.
+  indices: ['NDVI', 'EVI', 'SAVI', 'NDBI', 'NDWI', 'MNDWI', 'BSI']
+};
 
 // Create an ImageCollection of annual Landsat median composites for all specified years.
-var datacube_median_data = ee.ImageCollection(
-  years.map(function(year) {
-    return loadAndPreprocessLandsat(year);
-  })
-// Filter out any empty images that may have resulted from ee.Algorithms.If calls.
-).filter(ee.Filter.neq('system:band_names', ee.List([])));
+var datacube_median_data = lib.buildLandsatDatacube(
+  years, aoi, landsat_params, index_params.indices
+);
 
 // Print the resulting Landsat collection to the console.
 print('Landsat Median Composites Collection:', datacube_median_data);
 
+// Summarize the scene and observation quality behind each annual composite,
+// with its clear and low-confidence coverage of each region, and list the
+// years left out for lack of any usable scene.
+var compositeQuality = perRegion(function(region) {
+  return lib.compositeQualityTable(
+    datacube_median_data, region.geometry, landsat_params.quality_scale
+  );
+});
+print('Landsat Composite Quality', compositeQuality);
+print('Years without a Landsat composite:', lib.missingYears(datacube_median_data, years));
+
+// Pixels with too few clear observations in any composite of the period.
+var low_confidence = lib.lowConfidenceMask(datacube_median_data);
+Map.addLayer(
+  compositeForYear(last_year).select('clear_obs'),
+  { min: 0, max: 20, palette: ['d7191c', 'ffffbf', '1a9641'] },
+  'Clear Observations ' + last_year,
+  false
+);
+Map.addLayer(low_confidence.selfMask(), { palette: ['7b3294'] }, 'Low Confidence (any year)', false);
+
+// Helper function returning the annual composite of a given year.
+function compositeForYear(year) {
+  return lib.compositeForYear(datacube_median_data, year);
+}
+
 
 //---
 
 //-----------------------------------------------------
-// 4. Combine Landsat + MODIS Land Cover for Training
+// 4. Combine Landsat + Land Cover for Training
 //-----------------------------------------------------
 // This section prepares the multi-spectral Landsat data and the Land Cover (LC)
 // data for use in a classification process by aligning their resolution and bands.
-var target_resolution = 500; // The MODIS pixel size (in meters).
+// The land cover pixel size (in meters), but never finer than Landsat's 30 m.
+var target_resolution = Math.max(land_cover_source.scale, 30);
 print('Target Resolution:', target_resolution, 'meters');
 
-// Helper function to reproject the Landsat image to the resolution and projection
-// of the MODIS land cover image, necessary for layer stacking.
-function prepareLandsatForClassification(image, referenceImage) {
-  var hasBands = image.bandNames().size().gt(0);
-  return ee.Algorithms.If(
-    hasBands,
-    image.clip(bbox).reproject({
-      // Use the MODIS image's Coordinate Reference System (CRS).
-      crs: referenceImage.projection().crs(),
-      // Use the target resolution (500m).
-      scale: target_resolution
-    }),
-    ee.Image([])
-  );
-}
-
 // Create the final training image collection by combining co-registered Landsat
-// spectral bands (resampled to 500m) with the MODIS land cover band.
-var training_image_collection = datacube_median_data.map(function(lsImage) {
-  var year = ee.Number(lsImage.get('year'));
-  // Select the correct land cover image (2001 or 2020) based on the Landsat image's year.
-  var lcImage = ee.Image(
-    ee.Algorithms.If(
-      year.eq(first_year),
-      land_cls_data_first_year,
-      land_cls_data_last_year
-    )
-  ).rename('land_class'); // Ensure the target band is named 'land_class'.
-
-  // Check if both Landsat and Land Cover images are valid (not empty).
-  var validLS = lsImage.bandNames().size().gt(0);
-  var validLC = lcImage.bandNames().size().gt(0);
-
-  return ee.Algorithms.If(
-    validLS.and(validLC),
-    // Reproject Landsat to MODIS resolution and stack with the LC band.
-    ee.Image(prepareLandsatForClassification(lsImage, lcImage))
-      .addBands(lcImage),
-    ee.Image([])
-  );
-// Filter out any resulting empty images.
-}).filter(ee.Filter.neq('system:band_names', ee.List([])));
+// spectral bands (resampled to the target resolution) with the land cover band.
+// Only the two comparison years have a matching land cover image loaded.
+var training_land_cover = {};
+training_land_cover[first_year] = land_cls_data_first_year;
+training_land_cover[last_year] = land_cls_data_last_year;
+var training_image_collection = lib.buildTrainingCollection(
+  datacube_median_data, training_land_cover, aoi, target_resolution
+);
 
 // Print the final collection ready for classification/training.
 print('Training Image Collection:', training_image_collection);
@@ -290,131 +256,123 @@ print('Training Image Collection:', training_image_collection);
 // 5. Generate 3–5 Interesting Charts
 //-----------------------------------------------------
 
-// 5.1 Histogram of land‐cover class counts (2001)
-// Visualizes the area distribution of IGBP land cover classes for the first year.
-var hist2001 = ui.Chart.image.histogram({
-  image: land_cls_data_first_year,
-  region: bbox,
-  scale: 500, // MODIS resolution
-  minBucketWidth: 1 // One bucket per integer class (1-17)
-})
-  .setOptions({
-    title: 'Land‐Cover Class Distribution (2001)',
-    hAxis: { title: 'IGBP Class (1–17)' },
-    vAxis: { title: 'Pixel Count' }
-  });
-print(hist2001);
-
-// 5.2 Histogram of land‐cover class counts (2020)
-// Visualizes the area distribution of IGBP land cover classes for the last year.
-var hist2020 = ui.Chart.image.histogram({
-  image: land_cls_data_last_year,
-  region: bbox,
-  scale: 500,
-  minBucketWidth: 1
-})
-  .setOptions({
-    title: 'Land‐Cover Class Distribution (2020)',
-    hAxis: { title: 'IGBP Class (1–17)' },
-    vAxis: { title: 'Pixel Count' }
-  });
-print(hist2020);
-
-// Helper function to extract a frequencyHistogram dictionary of land cover classes.
-function getClassCounts(img) {
-  return ee.Dictionary(
-    img.reduceRegion({
-      reducer: ee.Reducer.frequencyHistogram(), // Counts pixels per unique value.
-      geometry: bbox,
-      scale: 500,
-      maxPixels: 1e9 // Allow many pixels for a large region.
-    }).get('land_class') // Get the histogram for the 'land_class' band.
+// All areas below are equal-area hectares summed from the per-pixel area (see
+// section 5 of the module).
+
+// Area of every first-year → last-year class pair per region, from a single
+// grouped reduction. Both the class area table below and the transition table
+// in section 10.1 are derived from it.
+var landCoverPairs = {};
+regions.forEach(function(region) {
+  landCoverPairs[region.name] = lib.classPairAreas(
+    land_cls_data_first_year, land_cls_data_last_year, landCoverClasses,
+    land_cover_source.scale, region.geometry
   );
-}
-
-// 5.3 Bar chart comparing class counts (2001 vs. 2020)
-// Compares the change in area (pixel count) for each land cover class over time.
-var dict2001 = getClassCounts(land_cls_data_first_year);
-var dict2020 = getClassCounts(land_cls_data_last_year);
-
-// Convert the EE Dictionaries to client-side JavaScript Objects for iteration.
-var dict2001Obj = dict2001.getInfo();
-var dict2020Obj = dict2020.getInfo();
-
-// Create a client-side array of objects to structure the data for the chart.
-var featureList = [];
-for (var i = 1; i <= 17; i++) {
-  featureList.push({
-    class: i,
-    count_2001: dict2001Obj[i] || 0, // Use 0 if the class is not present.
-    count_2020: dict2020Obj[i] || 0
-  });
-}
+});
 
-// Convert the client-side array into an Earth Engine FeatureCollection.
-var classTable = ee.FeatureCollection(
-  featureList.map(function(obj) {
-    return ee.Feature(null, obj);
-  })
-);
+// Land cover area per class, year and region. Computed once and reused by the
+// charts below and the summary table in section 6.
+var classTable = perRegion(function(region) {
+  return lib.changeTableFromPairs(
+    landCoverPairs[region.name], landCoverClasses, first_year, last_year, region.geometry
+  );
+});
 
-// Generate a column chart to visualize the comparison.
-var barChart = ui.Chart.feature.byFeature(classTable, 'class', ['count_2001', 'count_2020'])
-  .setChartType('ColumnChart')
-  .setOptions({
-    title: 'Comparison of Land‐Cover Class Counts: 2001 vs. 2020',
-    hAxis: { title: 'IGBP Class' },
-    vAxis: { title: 'Pixel Count' },
-    series: {
-      0: { color: '2166ac', labelInLegend: '2001' },
-      1: { color: 'b2182b', labelInLegend: '2020' }
-    },
-    isStacked: false // Use separate columns for each year.
-  });
-print(barChart);
+// Each chart below is drawn once per region, with the region name in its title.
+regions.forEach(function(region) {
+  var regionClasses = classTable.filter(ee.Filter.eq('Region', region.name));
+
+  // 5.1 Area of each land‐cover class (2001)
+  // Visualizes the area distribution of land cover classes for the first year.
+  var hist2001 = ui.Chart.feature.byFeature(regionClasses, 'Class', ['Area_' + first_year + '_ha'])
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: region.name + ': Land‐Cover Class Distribution (' + first_year + ')',
+      hAxis: { title: land_cover_source.label + ' Class' },
+      vAxis: { title: 'Area (ha)' },
+      legend: { position: 'none' }
+    });
+  print(hist2001);
+
+  // 5.2 Area of each land‐cover class (2020)
+  // Visualizes the area distribution of land cover classes for the last year.
+  var hist2020 = ui.Chart.feature.byFeature(regionClasses, 'Class', ['Area_' + last_year + '_ha'])
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: region.name + ': Land‐Cover Class Distribution (' + last_year + ')',
+      hAxis: { title: land_cover_source.label + ' Class' },
+      vAxis: { title: 'Area (ha)' },
+      legend: { position: 'none' }
+    });
+  print(hist2020);
+
+  // 5.3 Bar chart comparing class areas (2001 vs. 2020)
+  // Compares the change in area (hectares) for each land cover class over time.
+  var barChart = ui.Chart.feature.byFeature(
+    regionClasses,
+    'Class',
+    ['Area_' + first_year + '_ha', 'Area_' + last_year + '_ha']
+  )
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: region.name + ': Comparison of Land‐Cover Class Areas: ' +
+             first_year + ' vs. ' + last_year,
+      hAxis: { title: land_cover_source.label + ' Class' },
+      vAxis: { title: 'Area (ha)' },
+      series: {
+        0: { color: '2166ac', labelInLegend: String(first_year) },
+        1: { color: 'b2182b', labelInLegend: String(last_year) }
+      },
+      isStacked: false // Use separate columns for each year.
+    });
+  print(barChart);
+});
 
 // 5.4 Histogram of NDVI values (2020 Landsat composite)
 // Shows the distribution of vegetation health (NDVI) in the latest year.
 var ls2020 = datacube_median_data.filter(ee.Filter.eq('year', last_year)).first();
 var ndvi2020 = ee.Image(ls2020).select('NDVI');
 
-var histNDVI2020 = ui.Chart.image.histogram({
-  image: ndvi2020,
-  region: bbox,
-  scale: 30, // Landsat's native resolution
-  minBucketWidth: 0.02 // Granularity of the histogram
-}).setOptions({
-  title: 'NDVI Distribution (2020 Landsat Composite)',
-  hAxis: { title: 'NDVI' },
-  vAxis: { title: 'Pixel Count' }
-});
-print(histNDVI2020);
-
 // 5.5 Scatter plot: NDVI vs. land_class (2020)
 // Explores the relationship between NDVI and the land cover class for the latest year.
 var combined2020 = ee.Image.cat([ndvi2020, land_cls_data_last_year])
   // Only use pixels where land cover data exists.
   .updateMask(land_cls_data_last_year);
 
-// Randomly sample a subset of pixels to create the scatter plot data.
-var sample2020 = combined2020.sample({
-  region: bbox,
-  scale: 500, // Sample at MODIS resolution to match land_class band.
-  numPixels: 1000,
-  seed: 42, // For reproducibility
-  dropNulls: true
-});
-
-var scatter2020 = ui.Chart.feature.byFeature(sample2020, 'land_class', ['NDVI'])
-  .setChartType('ScatterChart')
-  .setOptions({
-    title: 'NDVI vs. Land Class (2020)',
-    hAxis: { title: 'IGBP Class' },
-    vAxis: { title: 'NDVI' },
-    pointSize: 3
+regions.forEach(function(region) {
+  var histNDVI2020 = ui.Chart.feature.byFeature(
+    lib.areaHistogram(ndvi2020, 0.02, 30, region.geometry), // 0.02 NDVI bins at 30 m
+    'NDVI',
+    ['Area_ha']
+  )
+    .setChartType('ColumnChart')
+    .setOptions({
+      title: region.name + ': NDVI Distribution (' + last_year + ' Landsat Composite)',
+      hAxis: { title: 'NDVI' },
+      vAxis: { title: 'Area (ha)' },
+      legend: { position: 'none' }
+    });
+  print(histNDVI2020);
+
+  // Randomly sample a subset of pixels to create the scatter plot data.
+  var sample2020 = combined2020.sample({
+    region: region.geometry,
+    scale: land_cover_source.scale, // Sample at the land cover resolution.
+    numPixels: 1000,
+    seed: 42, // For reproducibility
+    dropNulls: true
   });
-print(scatter2020);
 
+  var scatter2020 = ui.Chart.feature.byFeature(sample2020, 'land_class', ['NDVI'])
+    .setChartType('ScatterChart')
+    .setOptions({
+      title: region.name + ': NDVI vs. Land Class (2020)',
+      hAxis: { title: land_cover_source.label + ' Class' },
+      vAxis: { title: 'NDVI' },
+      pointSize: 3
+    });
+  print(scatter2020);
+});
 
 //---
 
@@ -422,56 +380,94 @@ print(scatter2020);
 // 6. Create a Summary Table for Results/Discussion
 //-----------------------------------------------------
 
-// 6.1: Land Cover Class Counts (pixels) for each IGBP class
-// Re-use the class count data to create a formal feature collection table.
-var classCounts2001 = getClassCounts(land_cls_data_first_year);
-var classCounts2020 = getClassCounts(land_cls_data_last_year);
-
-var cc2001 = classCounts2001.getInfo();
-var cc2020 = classCounts2020.getInfo();
+// 6.1: Area-adjusted accuracy from reference points
+// The class areas count every pixel as correctly labelled, but MODIS land
+// cover confuses cropland, mosaic and urban classes. With labelled reference
+// points, the land cover map of each year is assessed against them and its
+// class areas are re-estimated with confidence intervals (stratified
+// estimation after Olofsson et al. 2014). The estimates are added to the
+// summary table below; the SDG 15.3.1 headline of section 12.2 gets the
+// adjusted degraded proportion the same way.
+
+// Reference point parameters.
+var reference_params = {
+  // Set to true once reference points are available.
+  enabled: false,
+  // Labelled points, as a table asset (e.g. an uploaded CSV) or CSV text. The
+  // supported types are described at lib.loadReferencePoints.
+  points: {
+    type: 'asset',
+    asset_id: 'users/<username>/lucknow_reference_points'
+  },
+  // Example: points pasted as CSV text, with longitude / latitude columns.
+  // points: {
+  //   type: 'csv',
+  //   csv: 'longitude,latitude,lc_2001,lc_2020,degradation\n' +
+  //        '80.95,26.85,12,13,-1\n' +
+  //        '80.91,26.80,12,12,0'
+  // },
+  // Prefix of the properties holding the reference class of the first and
+  // last years (e.g. 'lc_2001' and 'lc_2020'), in the land cover source's
+  // class values.
+  land_cover_label_prefix: 'lc_',
+  // Property holding the reference indicator class (-1 degraded, 0 stable,
+  // 1 improved), e.g. from visiting the hotspots of section 17; null to skip.
+  degradation_label: 'degradation',
+  // Confidence level of the intervals.
+  confidence: 0.95
+};
 
-// Populate the summary feature collection with class counts for 2001 and 2020.
-var summaryFeatures = [];
-for (var i = 1; i <= 17; i++) {
-  summaryFeatures.push(
-    ee.Feature(null, {
-      'Class': i,
-      'Count_2001': cc2001[i] || 0,
-      'Count_2020': cc2020[i] || 0
-    })
-  );
-}
-var summaryTable = ee.FeatureCollection(summaryFeatures);
-print('Land Cover Class Counts (pixels)', summaryTable); // Print the EE FeatureCollection table.
-
-// 6.2: NDVI Statistics (mean, min, max) for each year
-// Helper function to calculate mean, min, and max NDVI for a given year's composite.
-function ndviStats(year) {
-  var lsImage = ee.Image(datacube_median_data.filter(ee.Filter.eq('year', year)).first());
-  // Combine multiple reducers (mean, min, max) into a single reduction.
-  var stats = lsImage.select('NDVI').reduceRegion({
-    reducer: ee.Reducer.mean()
-               .combine(ee.Reducer.min(), '', true)
-               .combine(ee.Reducer.max(), '', true),
-    geometry: bbox,
-    scale: 30, // Use Landsat's native resolution for statistics.
-    maxPixels: 1e9
+var reference_points = null;
+var landCoverAreaEstimates = null;
+var landCoverEstimates = {};
+if (reference_params.enabled) {
+  reference_points = lib.loadReferencePoints(reference_params.points);
+  Map.addLayer(reference_points, { color: 'ffff00' }, 'Reference Points', false);
+
+  var referenceLandCover = {};
+  referenceLandCover[first_year] = land_cls_data_first_year;
+  referenceLandCover[last_year] = land_cls_data_last_year;
+
+  // Error matrix, overall accuracy and area estimates of the land cover map
+  // per region and year.
+  regions.forEach(function(region) {
+    landCoverEstimates[region.name] = {};
+    [first_year, last_year].forEach(function(year) {
+      var report = lib.referenceAccuracy(
+        referenceLandCover[year], reference_points, reference_params.land_cover_label_prefix + year,
+        landCoverClasses, land_cover_source.scale, region.geometry, reference_params.confidence
+      );
+      print(region.name + ': Land Cover Error Matrix ' + year +
+            ' (rows: reference, columns: map)', report.matrix);
+      print(region.name + ': Area-Weighted Overall Accuracy ' + year, report.overall);
+      landCoverEstimates[region.name][year] = report.perClass.map(function(f) {
+        return f.set('Year', year);
+      });
+    });
   });
-  
-  // Return a feature containing the year and the calculated statistics.
-  return ee.Feature(null, {
-    'Year': year,
-    'Mean_NDVI': stats.get('NDVI_mean'),
-    'Min_NDVI': stats.get('NDVI_min'),
-    'Max_NDVI': stats.get('NDVI_max')
+  landCoverAreaEstimates = perRegion(function(region) {
+    return landCoverEstimates[region.name][first_year]
+      .merge(landCoverEstimates[region.name][last_year]);
   });
+  print('Land Cover Area Estimates (ha, ±' + reference_params.confidence * 100 + '% CI)',
+        landCoverAreaEstimates);
 }
 
-// Create a feature collection containing NDVI statistics for both years.
-var ndviSummary = ee.FeatureCollection([
-  ndviStats(first_year),
-  ndviStats(last_year)
-]);
+// 6.2: Land Cover Class Areas (ha, km², % of region) and change for each class
+// Re-use the class area data from section 5 as a formal feature collection
+// table, with the area-adjusted estimates when reference points are set.
+var summaryTable = !reference_params.enabled ? classTable : perRegion(function(region) {
+  return lib.withAreaEstimates(
+    classTable.filter(ee.Filter.eq('Region', region.name)), landCoverEstimates[region.name]
+  );
+});
+print('Land Cover Class Areas and Change', summaryTable); // Print the EE FeatureCollection table.
+
+// 6.3: NDVI Statistics (mean, min, max) for each year
+// Both years are reduced together in one pass per region.
+var ndviSummary = perRegion(function(region) {
+  return lib.ndviStatsTable(datacube_median_data, [first_year, last_year], region.geometry);
+});
 print('NDVI Statistics', ndviSummary); // Print the EE FeatureCollection table.
 
 
@@ -481,73 +477,1361 @@ print('NDVI Statistics', ndviSummary); // Print the EE FeatureCollection table.
 // 7. Print Simple, Copyable Tables in the Console
 //-----------------------------------------------------
 // Prints the summary data in a tab-delimited format, which is easy to copy/paste
-// into a spreadsheet program.
+// into a spreadsheet program. The tables are fetched asynchronously, so they
+// appear in the Console once computed and do not hold up the rest of the script.
 
-// 7.1: Simple tab-delimited table for land cover counts
-print('Class\tCount_2001\tCount_2020');
+// 7.1: Simple tab-delimited table for land cover areas (ha) and change
 // Iterate over the client-side representation of the FeatureCollection.
-summaryTable.getInfo().features.forEach(function(f) {
-  var props = f.properties;
-  print(props.Class + '\t' + props.Count_2001 + '\t' + props.Count_2020);
+// With reference points, the area-adjusted areas and their confidence
+// intervals follow.
+var adjustedColumns = !reference_params.enabled ? [] : [first_year, last_year].map(function(year) {
+  return ['Adjusted_Area_' + year + '_ha', 'Adjusted_Area_' + year + '_CI_ha'];
+}).reduce(function(a, b) { return a.concat(b); });
+evaluateAsync('Land cover area table', summaryTable, function(table) {
+  var lines = [['Region', 'Class', 'Area_' + first_year + '_ha', 'Area_' + last_year + '_ha',
+                'Change_ha', 'Change_pct'].concat(adjustedColumns).join('\t')];
+  table.features.forEach(function(f) {
+    var props = f.properties;
+    // Format areas to 2 decimal places for presentation.
+    var changePct = props.Change_pct !== null ? props.Change_pct.toFixed(2) : 'null';
+    lines.push(props.Region + '\t' + props.Class + '\t' +
+               props['Area_' + first_year + '_ha'].toFixed(2) + '\t' +
+               props['Area_' + last_year + '_ha'].toFixed(2) + '\t' +
+               props.Change_ha.toFixed(2) + '\t' + changePct +
+               adjustedColumns.map(function(column) {
+                 return '\t' + (props[column] !== null ? props[column].toFixed(2) : 'null');
+               }).join(''));
+  });
+  print(lines.join('\n'));
 });
 
 // 7.2: Simple tab-delimited table for NDVI stats
-print('Year\tMean_NDVI\tMin_NDVI\tMax_NDVI');
 // Iterate over the client-side representation of the FeatureCollection.
-ndviSummary.getInfo().features.forEach(function(f) {
-  var p = f.properties;
-  // Format NDVI values to 4 decimal places for presentation.
-  var meanN = p.Mean_NDVI ? p.Mean_NDVI.toFixed(4) : 'null';
-  var minN  = p.Min_NDVI  ? p.Min_NDVI.toFixed(4)  : 'null';
-  var maxN  = p.Max_NDVI  ? p.Max_NDVI.toFixed(4)  : 'null';
-  print(p.Year + '\t' + meanN + '\t' + minN + '\t' + maxN);
+evaluateAsync('NDVI statistics table', ndviSummary, function(table) {
+  var lines = ['Region\tYear\tMean_NDVI\tMin_NDVI\tMax_NDVI'];
+  table.features.forEach(function(f) {
+    var p = f.properties;
+    // Format NDVI values to 4 decimal places for presentation.
+    var meanN = p.Mean_NDVI ? p.Mean_NDVI.toFixed(4) : 'null';
+    var minN  = p.Min_NDVI  ? p.Min_NDVI.toFixed(4)  : 'null';
+    var maxN  = p.Max_NDVI  ? p.Max_NDVI.toFixed(4)  : 'null';
+    lines.push(p.Region + '\t' + p.Year + '\t' + meanN + '\t' + minN + '\t' + maxN);
+  });
+  print(lines.join('\n'));
 });
 
-
 //---
 
 //-----------------------------------------------------
-// 8. (Optional) Legend for MODIS IGBP Classes
+// 8. (Optional) Legend for the Land Cover Classes
 //-----------------------------------------------------
 // Creates a custom, interactive legend on the map to interpret the colors used
-// for the MODIS land cover layers.
+// for the land cover layers.
 
-// Color palette used in section 2.
-var palette = [
-  '05450a','086a10','54a708','78d203','009900','c6b044','dcd159','dade48',
-  'fbff13','b6ff05','27ff87','c24f44','a5a5a5','ff6d4c','69fff8','f9ffa4','1c0dff'
-];
-// Corresponding IGBP class names (1-17).
-var classNames = [
-  '1:Evergreen Needleleaf','2:Evergreen Broadleaf','3:Deciduous Needleleaf',
-  '4:Deciduous Broadleaf','5:Mixed Forest','6:Closed Shrub',
-  '7:Open Shrub','8:Woody Savanna','9:Savanna','10:Grassland',
-  '11:Wetlands','12:Croplands','13:Urban','14:Crop/Nat Veg','15:Snow/Ice',
-  '16:Barren','17:Water'
-];
+// One color per class name, both generated from the source's classes in section 2.
+var palette = landCoverClasses.map(function(c) { return c.color; });
 
-// Create a UI panel to hold the legend components.
-var legend = ui.Panel({
-  style: { position: 'bottom-left', padding: '8px 15px' }
-});
-// Add a title to the legend.
-legend.add(ui.Label('MODIS IGBP Classes'));
-
-// Loop through the classes to create a color box and label for each.
-classNames.forEach(function(name, i) {
-  // Create a color box (label with background color).
-  var colorBox = ui.Label({
-    style: {
-      backgroundColor: palette[i],
-      padding: '8px',
-      margin: '0 0 4px 0'
-    }
+// Helper function to build a legend panel from class names and their colors.
+function makeLegend(title, names, colors) {
+  // Create a UI panel to hold the legend components.
+  var legendPanel = ui.Panel({
+    style: { position: 'bottom-left', padding: '8px 15px' }
   });
-  // Create the class name description.
-  var description = ui.Label(name, { margin: '0 0 4px 6px' });
-  // Add both to a panel using a horizontal flow layout.
-  legend.add(ui.Panel([colorBox, description], ui.Panel.Layout.Flow('horizontal')));
-});
+  // Add a title to the legend.
+  legendPanel.add(ui.Label(title));
+
+  // Loop through the classes to create a color box and label for each.
+  names.forEach(function(name, i) {
+    // Create a color box (label with background color).
+    var colorBox = ui.Label({
+      style: {
+        backgroundColor: colors[i],
+        padding: '8px',
+        margin: '0 0 4px 0'
+      }
+    });
+    // Create the class name description.
+    var description = ui.Label(name, { margin: '0 0 4px 6px' });
+    // Add both to a panel using a horizontal flow layout.
+    legendPanel.add(ui.Panel([colorBox, description], ui.Panel.Layout.Flow('horizontal')));
+  });
+  return legendPanel;
+}
+
+var legend = makeLegend(land_cover_source.label + ' Classes', classNames, palette);
 
 // Add the finished legend panel to the map.
 Map.add(legend);
+
+
+//---
+
+//-----------------------------------------------------
+// 9. SDG 15.3.1 Productivity: Trajectory, State and Performance
+//-----------------------------------------------------
+// Fits a per-pixel monotonic trend to the annual NDVI series built in section 3.
+// The Mann-Kendall test decides whether the trend is significant, Sen's slope
+// gives its magnitude, and pixels are classified as degrading / stable /
+// improving at each of the user-set confidence levels. The state and
+// performance measures (9.2, 9.3) follow the Trends.Earth method and are
+// combined with the trajectory in section 12.
+
+// Trajectory parameters.
+var trajectory_params = {
+  // Two-sided confidence levels used to grade significant trends, ascending.
+  confidence_levels: [0.90, 0.95, 0.99],
+  // Minimum number of valid annual NDVI values required to fit a trend.
+  min_observations: 10
+};
+
+// Helper function returning the annual NDVI band for a given year, or a fully
+// masked image when no Landsat composite could be built for that year.
+function annualNdvi(year) {
+  return lib.annualNdvi(datacube_median_data, year);
+}
+
+// Compute the trajectory over the full annual series.
+var trajectory = lib.productivityTrajectory(datacube_median_data, years, trajectory_params, aoi);
+var trajectory_classes = lib.trajectoryClasses(trajectory_params.confidence_levels);
+print('Productivity Trajectory (' + first_year + '–' + last_year + '):', trajectory);
+
+// Add Sen's slope and the significance classes to the map.
+Map.addLayer(
+  trajectory.select('sens_slope'),
+  { min: -0.01, max: 0.01, palette: ['a50026', 'ffffbf', '006837'] },
+  'NDVI Sen\'s Slope ' + first_year + '–' + last_year,
+  false
+);
+Map.addLayer(
+  trajectory.select('trajectory_class'),
+  {
+    min: trajectory_classes[0].value,
+    max: trajectory_classes[trajectory_classes.length - 1].value,
+    palette: trajectory_classes.map(function(c) { return c.color; })
+  },
+  'Productivity Trajectory'
+);
+
+// 9.1: Area (hectares) per trajectory class and region.
+var trajectorySummary = perRegion(function(region) {
+  return lib.classAreaTable(
+    trajectory.select('trajectory_class'),
+    trajectory_classes,
+    30, // Landsat's native resolution
+    region.geometry,
+    low_confidence
+  );
+});
+print('Productivity Trajectory Area (ha)', trajectorySummary);
+
+// One series per region.
+var trajectoryChart = ui.Chart.feature.groups(trajectorySummary, 'Name', 'Area_ha', 'Region')
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: 'Productivity Trajectory ' + first_year + '–' + last_year,
+    hAxis: { title: 'Trend Significance' },
+    vAxis: { title: 'Area (ha)' }
+  });
+print(trajectoryChart);
+
+// 9.2: Productivity state: the recent NDVI against the baseline distribution.
+var state_params = {
+  // Years whose annual NDVI gives each pixel's decile thresholds.
+  baseline_years: [first_year, last_year - 3],
+  // Recent years whose mean NDVI is compared against the baseline.
+  comparison_years: [last_year - 2, last_year],
+  // Minimum shift in decile classes counted as degrading / improving.
+  class_change: 2
+};
+var productivity_state = lib.productivityState(datacube_median_data, state_params);
+print('Productivity State:', productivity_state);
+Map.addLayer(
+  productivity_state.select('state_class'),
+  { min: -1, max: 1, palette: lib.STATE_CLASSES.map(function(c) { return c.color; }) },
+  'Productivity State',
+  false
+);
+
+var stateSummary = perRegion(function(region) {
+  return lib.classAreaTable(
+    productivity_state.select('state_class'), lib.STATE_CLASSES, 30, region.geometry,
+    low_confidence
+  );
+});
+print('Productivity State Area (ha)', stateSummary);
+
+// 9.3: Productivity performance: each pixel's NDVI against the high NDVI of
+// similar land.
+var performance_params = {
+  // Years averaged into each pixel's NDVI.
+  years: [first_year, last_year],
+  // Percentile of a unit's NDVI taken as its potential productivity.
+  percentile: 90,
+  // Ratios to the unit's potential below this are low performance.
+  ratio_threshold: 0.5,
+  // Resolution (m) of the per-unit percentile.
+  scale: 30
+};
+// Units of similar land: the last year's land cover classes. Combine with a
+// soil or ecoregion layer here to refine them.
+var performance_units = land_cls_data_last_year;
+var productivity_performance = lib.productivityPerformance(
+  datacube_median_data, performance_params, performance_units, aoi
+);
+print('Productivity Performance:', productivity_performance);
+Map.addLayer(
+  productivity_performance.select('performance_class'),
+  { min: -1, max: 0, palette: lib.PERFORMANCE_CLASSES.map(function(c) { return c.color; }) },
+  'Productivity Performance',
+  false
+);
+
+var performanceSummary = perRegion(function(region) {
+  return lib.classAreaTable(
+    productivity_performance.select('performance_class'), lib.PERFORMANCE_CLASSES, 30,
+    region.geometry, low_confidence
+  );
+});
+print('Productivity Performance Area (ha)', performanceSummary);
+
+// 9.4: Optional climate adjustment. Monsoon variability drives much of the
+// annual NDVI, so a raw trend can confuse drought years with degradation. The
+// adjusted trajectory removes the rainfall signal first and is compared with
+// the raw one.
+var climate_params = {
+  enabled: true,
+  // 'restrend' (trend of the NDVI residuals after a per-pixel fit on rainfall)
+  // or 'wue' (trend of NDVI / rainfall).
+  method: 'restrend',
+  // Rainfall dataset: CHIRPS daily precipitation (mm/day, ~5.5 km).
+  collection: 'UCSB-CHG/CHIRPS/DAILY',
+  band: 'precipitation',
+  // Months summed into each year's rainfall, e.g. [6, 10] for the monsoon
+  // (June–October); null for the calendar year.
+  months: [6, 10],
+  // Use the adjusted trajectory instead of the raw one for the productivity
+  // sub-indicator in section 12.
+  use_for_sdg: false
+};
+
+// Trajectory used for the productivity sub-indicator.
+var sdg_trajectory = trajectory;
+var climate_trajectory = null;
+var climate_disagreement = null;
+var climateSummary = null;
+if (climate_params.enabled) {
+  climate_trajectory = lib.climateAdjustedTrajectory(
+    datacube_median_data, years, climate_params, trajectory_params, aoi
+  );
+  climate_disagreement = lib.climateDisagreement(trajectory, climate_trajectory);
+  print('Climate-adjusted Trajectory (' + climate_params.method + '):', climate_trajectory);
+  Map.addLayer(
+    climate_trajectory.select('trajectory_class'),
+    {
+      min: trajectory_classes[0].value,
+      max: trajectory_classes[trajectory_classes.length - 1].value,
+      palette: trajectory_classes.map(function(c) { return c.color; })
+    },
+    'Climate-adjusted Trajectory',
+    false
+  );
+  Map.addLayer(
+    climate_disagreement,
+    { min: 0, max: 3, palette: lib.CLIMATE_DISAGREEMENT_CLASSES.map(function(c) { return c.color; }) },
+    'Raw vs Climate-adjusted Trend',
+    false
+  );
+
+  // Area (hectares) per adjusted trajectory class and per agreement class.
+  climateSummary = perRegion(function(region) {
+    return lib.classAreaTable(
+      climate_trajectory.select('trajectory_class'), trajectory_classes, 30, region.geometry,
+      low_confidence
+    ).map(function(f) {
+      return f.set('Table', 'Climate-adjusted trajectory');
+    }).merge(lib.classAreaTable(
+      climate_disagreement, lib.CLIMATE_DISAGREEMENT_CLASSES, 30, region.geometry,
+      low_confidence
+    ).map(function(f) {
+      return f.set('Table', 'Raw vs adjusted');
+    }));
+  });
+  print('Climate-adjusted Trajectory Area (ha)', climateSummary);
+
+  if (climate_params.use_for_sdg) {
+    sdg_trajectory = climate_trajectory;
+  }
+}
+
+
+//---
+
+//-----------------------------------------------------
+// 10. Land Cover Transitions and the UNCCD Degradation Lookup
+//-----------------------------------------------------
+// Aggregates the land cover classes into the 7 UNCCD land cover classes, builds
+// the first→last year transition matrix, and applies the degradation /
+// improvement lookup to produce the land cover sub-indicator of SDG 15.3.1.
+
+// The 7 UNCCD land cover classes used for SDG 15.3.1 reporting.
+var unccdClasses = lib.UNCCD_CLASSES;
+
+// Configurable land cover → UNCCD (1-7) aggregation, the crosswalk declared by
+// the source. Replace with an object of the same shape ({class: unccd}) to use
+// a different mapping.
+var land_cover_to_unccd = land_cover_source.to_unccd;
+
+// Configurable degradation lookup matrix, the UNCCD good-practice default.
+// Rows are the first-year class, columns the last-year class, both in UNCCD
+// order (1-7): -1 = degradation, 0 = stable, 1 = improvement.
+var unccd_degradation_matrix = lib.UNCCD_DEGRADATION_MATRIX;
+
+// Classes of the land cover sub-indicator.
+var subIndicatorClasses = lib.SUB_INDICATOR_CLASSES;
+
+// Aggregate both years into UNCCD classes.
+var unccd_first_year = lib.toUnccd(land_cls_data_first_year, land_cover_to_unccd);
+var unccd_last_year  = lib.toUnccd(land_cls_data_last_year,  land_cover_to_unccd);
+
+// Land cover sub-indicator raster.
+var lc_degradation = lib.applyDegradationMatrix(
+  lib.transitionCode(unccd_first_year, unccd_last_year),
+  unccd_degradation_matrix
+);
+
+var unccdVisParams = {
+  min: 1, max: 7,
+  palette: unccdClasses.map(function(c) { return c.color; })
+};
+Map.addLayer(unccd_first_year, unccdVisParams, 'UNCCD LC ' + first_year, false);
+Map.addLayer(unccd_last_year,  unccdVisParams, 'UNCCD LC ' + last_year,  false);
+Map.addLayer(
+  lc_degradation,
+  { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+  'Land Cover Sub-indicator'
+);
+
+// 10.1: Land cover transition table in the source's classes (hectares), from
+// the class pair areas of section 5.
+var landCoverTransitions = perRegion(function(region) {
+  return lib.transitionsFromPairs(landCoverPairs[region.name], landCoverClasses);
+});
+print(land_cover_source.label + ' Transitions ' + first_year + '→' + last_year + ' (ha)',
+      landCoverTransitions);
+
+// 10.2: UNCCD transition table (hectares).
+var unccdTransitions = perRegion(function(region) {
+  return lib.transitionTable(
+    unccd_first_year, unccd_last_year, unccdClasses, land_cover_source.scale, region.geometry
+  );
+});
+print('UNCCD Transitions ' + first_year + '→' + last_year + ' (ha)', unccdTransitions);
+
+// 10.3: Area (hectares) per land cover sub-indicator class.
+var lcDegradationSummary = perRegion(function(region) {
+  return lib.classAreaTable(lc_degradation, subIndicatorClasses, land_cover_source.scale,
+                            region.geometry);
+});
+print('Land Cover Sub-indicator Area (ha)', lcDegradationSummary);
+
+// 10.4: Sankey chart of UNCCD transitions per region, shown alongside the class
+// count bar chart. Node labels carry the year so that persistence flows do not
+// form cycles.
+evaluateAsync('UNCCD transition table', unccdTransitions, function(transitions) {
+  regions.forEach(function(region) {
+    var sankeyRows = transitions.features.filter(function(f) {
+      return f.properties.Region === region.name;
+    }).map(function(f) {
+      var p = f.properties;
+      return { c: [
+        { v: p.From_Name + ' ' + first_year },
+        { v: p.To_Name + ' ' + last_year },
+        { v: p.Area_ha }
+      ] };
+    });
+    var sankeyChart = ui.Chart({
+      cols: [
+        { id: 'from', label: 'From', type: 'string' },
+        { id: 'to',   label: 'To',   type: 'string' },
+        { id: 'area', label: 'Area (ha)', type: 'number' }
+      ],
+      rows: sankeyRows
+    }, 'Sankey', {
+      title: region.name + ': UNCCD Land Cover Transitions: ' +
+             first_year + ' → ' + last_year + ' (ha)'
+    });
+    print(sankeyChart);
+  });
+});
+
+
+//---
+
+//-----------------------------------------------------
+// 11. SDG 15.3.1 Soil Organic Carbon (SOC) Sub-indicator
+//-----------------------------------------------------
+// Estimates the change in topsoil SOC stock caused by the land cover
+// conversions of section 10. A baseline SOC stock raster is multiplied by IPCC
+// land-use conversion coefficients keyed on the UNCCD transitions, phased in
+// linearly over the IPCC default 20-year transition period.
+
+// SOC parameters.
+var soc_params = {
+  // Baseline SOC stock (t C/ha, 0-30 cm). Any single-band raster asset works.
+  baseline_asset: 'projects/soilgrids-isric/ocs_mean',
+  baseline_band: 'ocs_0-30cm_mean',
+  // Multiplier converting the asset's stored values to t C/ha.
+  baseline_scale: 1,
+  // IPCC land-use factor for long-term cultivation, by climate zone:
+  // temperate dry 0.80, temperate moist 0.69, tropical dry 0.58,
+  // tropical moist 0.48, tropical montane 0.64. Lucknow: tropical dry.
+  f_lu_cropland: 0.58,
+  // Land-use factor applied to wetland → cropland conversion.
+  f_lu_wetland: 0.71,
+  // Years over which a conversion reaches its full effect (IPCC default).
+  transition_years: 20,
+  // Relative change (%) beyond which a pixel is degraded / improved.
+  change_threshold_pct: 10,
+  // Resolution (m) of the SOC area tables and the SOC export.
+  scale: 500
+};
+
+var soc_baseline = lib.loadBaselineSoc(soc_params, aoi);
+var soc = lib.socChange(
+  soc_baseline,
+  lib.transitionCode(unccd_first_year, unccd_last_year),
+  soc_params,
+  last_year - first_year
+);
+var soc_degradation = soc.select('soc_degradation');
+print('SOC Sub-indicator:', soc);
+
+Map.addLayer(
+  soc.select('soc_change_pct'),
+  { min: -50, max: 50, palette: ['8c510a', 'f6e8c3', '01665e'] },
+  'SOC Change (%) ' + first_year + '–' + last_year,
+  false
+);
+Map.addLayer(
+  soc_degradation,
+  { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+  'SOC Sub-indicator'
+);
+
+// 11.1: Area (hectares) per SOC sub-indicator class.
+var socDegradationSummary = perRegion(function(region) {
+  return lib.classAreaTable(soc_degradation, subIndicatorClasses, soc_params.scale, region.geometry);
+});
+print('SOC Sub-indicator Area (ha)', socDegradationSummary);
+
+// 11.2: Total SOC stock (t C) per region at the start and end of the period.
+var socSummary = perRegion(function(region) {
+  return [lib.socTotals(soc, first_year, last_year, soc_params.scale, region.geometry)];
+});
+print('SOC Stock Totals (t C)', socSummary);
+
+
+//---
+
+//-----------------------------------------------------
+// 12. SDG 15.3.1 Indicator: One-Out-All-Out Integration
+//-----------------------------------------------------
+// Combines the productivity (section 9), land cover (section 10) and SOC
+// (section 11) sub-indicators into the final indicator: a pixel is degraded if
+// any sub-indicator shows degradation, improved if at least one improves and
+// none degrade, and stable otherwise. Reports the proportion of land that is
+// degraded over total land area.
+
+// Integration parameters.
+var sdg_params = {
+  // Trajectory confidence level at which a declining trend counts as
+  // degradation. Must be one of trajectory_params.confidence_levels.
+  productivity_confidence: 0.95,
+  // 'combined' to combine trajectory, state and performance with
+  // productivity_matrix, or 'trajectory' to use the trajectory alone.
+  productivity_method: 'combined',
+  // Configurable trajectory × state × performance combination (see
+  // lib.PRODUCTIVITY_MATRIX for its layout).
+  productivity_matrix: lib.PRODUCTIVITY_MATRIX,
+  // Resolution (m) of the integrated indicator, matching the finest input.
+  scale: 30
+};
+
+// Raw or climate-adjusted trajectory, as chosen in section 9.4.
+var trajectory_degradation = lib.productivitySubIndicator(
+  sdg_trajectory, trajectory_params, sdg_params.productivity_confidence
+);
+// Combined productivity classes (declining ... increasing).
+var productivity_combined = lib.combineProductivity(
+  trajectory_degradation, productivity_state, productivity_performance,
+  sdg_params.productivity_matrix
+);
+var prod_degradation;
+if (sdg_params.productivity_method === 'combined') {
+  prod_degradation = productivity_combined.select('prod_degradation');
+} else if (sdg_params.productivity_method === 'trajectory') {
+  prod_degradation = trajectory_degradation;
+} else {
+  throw new Error('Unknown productivity_method: ' + sdg_params.productivity_method);
+}
+var sdg_indicator = lib.oneOutAllOut({
+  productivity: prod_degradation,
+  landCover: lc_degradation,
+  soc: soc_degradation
+}, aoi, unccd_last_year.eq(lib.UNCCD_WATER));
+print('SDG 15.3.1 Indicator:', sdg_indicator);
+
+Map.addLayer(
+  productivity_combined.select('productivity_class'),
+  { min: 1, max: 5, palette: lib.PRODUCTIVITY_CLASSES.map(function(c) { return c.color; }) },
+  'Combined Productivity',
+  false
+);
+Map.addLayer(
+  prod_degradation,
+  { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+  'Productivity Sub-indicator',
+  false
+);
+Map.addLayer(
+  sdg_indicator.select('sdg_15_3_1'),
+  { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+  'SDG 15.3.1 Indicator ' + first_year + '–' + last_year
+);
+
+// 12.1: Area (hectares) per final indicator class.
+var sdgSummary = perRegion(function(region) {
+  return lib.classAreaTable(
+    sdg_indicator.select('sdg_15_3_1'), subIndicatorClasses, sdg_params.scale, region.geometry,
+    low_confidence
+  );
+});
+print('SDG 15.3.1 Indicator Area (ha)', sdgSummary);
+
+// 12.2: Headline figure: degraded area and proportion of each region.
+// With reference points labelled with the indicator class (section 6.1), the
+// indicator map is assessed against them and the headline also carries the
+// area-adjusted degraded area and proportion with their confidence intervals.
+var sdgAreaEstimates = null;
+var sdgEstimates = {};
+if (reference_params.enabled && reference_params.degradation_label) {
+  regions.forEach(function(region) {
+    var report = lib.referenceAccuracy(
+      sdg_indicator.select('sdg_15_3_1'), reference_points, reference_params.degradation_label,
+      subIndicatorClasses, sdg_params.scale, region.geometry, reference_params.confidence
+    );
+    print(region.name + ': SDG 15.3.1 Error Matrix (rows: reference, columns: map)',
+          report.matrix);
+    sdgEstimates[region.name] = report.perClass;
+  });
+  sdgAreaEstimates = perRegion(function(region) {
+    return sdgEstimates[region.name];
+  });
+  print('SDG 15.3.1 Area Estimates (ha, ±' + reference_params.confidence * 100 + '% CI)',
+        sdgAreaEstimates);
+}
+var sdgHeadline = perRegion(function(region) {
+  return [lib.sdgHeadlineFeature(
+    sdg_indicator, sdg_params.scale, region.geometry, first_year + '–' + last_year,
+    sdgEstimates[region.name], low_confidence
+  )];
+});
+print('SDG 15.3.1: Proportion of Land Degraded', sdgHeadline);
+
+// 12.3: Breakdown of degraded area by sub-indicator. "Any" counts every pixel
+// where the sub-indicator shows degradation; "Only" counts pixels where it was
+// the sole trigger.
+var sdgTriggerSummary = perRegion(function(region) {
+  return lib.triggerBreakdown(sdg_indicator, sdg_params.scale, region.geometry, low_confidence);
+});
+print('SDG 15.3.1: Degradation by Sub-indicator (ha)', sdgTriggerSummary);
+
+// 12.4: Area (hectares) per combined productivity class.
+var productivitySummary = perRegion(function(region) {
+  return lib.classAreaTable(
+    productivity_combined.select('productivity_class'), lib.PRODUCTIVITY_CLASSES,
+    sdg_params.scale, region.geometry, low_confidence
+  );
+});
+print('Combined Productivity Area (ha)', productivitySummary);
+
+
+//---
+
+//-----------------------------------------------------
+// 13. Supervised Classification and Accuracy Assessment
+//-----------------------------------------------------
+// Trains a classifier on the Landsat + land cover training stack from section 4
+// and applies it to the 30 m Landsat composites, giving a land cover map finer
+// than the 500 m MODIS products. Accuracy is assessed on a held-out share of the
+// stratified samples, drawn over the combined AOI of all regions.
+
+// Classification parameters.
+var classification_params = {
+  // 'randomForest' or 'cart'.
+  classifier: 'randomForest',
+  randomForest: {
+    numberOfTrees: 100,
+    variablesPerSplit: null, // Square root of the number of bands.
+    minLeafPopulation: 1,
+    bagFraction: 0.5
+  },
+  cart: {
+    maxNodes: null, // Unlimited.
+    minLeafPopulation: 1
+  },
+  // Predictor bands taken from the Landsat composites.
+  bands: ['blue', 'green', 'red', 'nir', 'swir1', 'swir2', 'NDVI'],
+  // Stratified samples drawn per land cover class and training year.
+  points_per_class: 200,
+  // Share of the samples used for training; the rest is held out for validation.
+  train_fraction: 0.7,
+  seed: 42
+};
+
+// Sample, split and train.
+var classSamples = lib.sampleTrainingPoints(
+  training_image_collection, classification_params, aoi, target_resolution
+).randomColumn('random', classification_params.seed);
+var trainingSamples = classSamples.filter(
+  ee.Filter.lt('random', classification_params.train_fraction)
+);
+var validationSamples = classSamples.filter(
+  ee.Filter.gte('random', classification_params.train_fraction)
+);
+
+var trainedClassifier = lib.buildClassifier(classification_params).train({
+  features: trainingSamples,
+  classProperty: 'land_class',
+  inputProperties: classification_params.bands
+});
+
+// Classify the 30 m Landsat composites of the two comparison years.
+var landsat_classified = lib.classifyComposites(
+  datacube_median_data, [first_year, last_year], trainedClassifier, classification_params.bands
+);
+print('Landsat Classified Land Cover (30 m):', landsat_classified);
+
+[first_year, last_year].forEach(function(year) {
+  Map.addLayer(
+    landsat_classified.filter(ee.Filter.eq('year', year)).first(),
+    landCoverVisParams,
+    'Classified LC 30 m ' + year,
+    false
+  );
+});
+
+// 13.1: Accuracy assessment on the held-out samples.
+var classOrder = landCoverClasses.map(function(c) { return c.value; });
+var classificationAccuracy = lib.accuracyReport(
+  validationSamples.classify(trainedClassifier)
+                   .errorMatrix('land_class', 'classification', classOrder),
+  classOrder
+);
+print('Confusion Matrix (rows: ' + land_cover_source.label + ', columns: classified)',
+      classificationAccuracy.matrix);
+print('Overall Accuracy', classificationAccuracy.overall);
+print('Kappa', classificationAccuracy.kappa);
+print('Per-class Producer\'s / User\'s Accuracy', classificationAccuracy.perClass);
+
+// 13.2: Area (hectares) per classified land cover class, region and year at 30 m.
+var classifiedAreaSummary = perRegion(function(region) {
+  return ee.FeatureCollection([first_year, last_year].map(function(year) {
+    var classified = ee.Image(landsat_classified.filter(ee.Filter.eq('year', year)).first());
+    var yearLowConfidence = compositeForYear(year).select('low_confidence');
+    return lib.classAreaTable(
+      classified, landCoverClasses, 30, region.geometry, yearLowConfidence
+    ).map(function(f) {
+      return f.set('Year', year);
+    });
+  })).flatten();
+});
+print('Classified Land Cover Area (ha)', classifiedAreaSummary);
+
+
+//---
+
+//-----------------------------------------------------
+// 14. Urban (Built-up) Expansion
+//-----------------------------------------------------
+// Maps built-up land in the first and last years from the spectral indices of
+// section 3, and reports the new built-up area by compass direction and by
+// distance ring from the city centre.
+
+// Urban expansion parameters.
+var urban_params = {
+  // City centre [lon, lat] (Hazratganj, Lucknow).
+  city_centre: [80.9462, 26.8467],
+  // A pixel is built-up where NDBI exceeds ndbi_min, NDVI is below ndvi_max and
+  // MNDWI is below mndwi_max (excludes water).
+  ndbi_min: 0,
+  ndvi_max: 0.3,
+  mndwi_max: 0,
+  // Distance rings of ring_width_km each, out to ring_count rings.
+  ring_width_km: 2,
+  ring_count: 8
+};
+
+// Compass sector and distance ring classes.
+var directionClasses = lib.DIRECTION_CLASSES;
+var ringClasses = lib.ringClasses(urban_params);
+
+var built_first_year = lib.builtUpMask(compositeForYear(first_year), urban_params);
+var built_last_year  = lib.builtUpMask(compositeForYear(last_year),  urban_params);
+// New built-up: built-up in the last year but not in the first.
+var new_built_up = built_last_year.and(built_first_year.not())
+                                  .selfMask()
+                                  .rename('new_built_up')
+                                  .clip(aoi);
+
+var urban_direction = lib.directionSectors(urban_params.city_centre);
+var urban_ring = lib.distanceRings(urban_params.city_centre, urban_params);
+
+Map.addLayer(built_first_year.selfMask(), { palette: ['636363'] }, 'Built-up ' + first_year, false);
+Map.addLayer(built_last_year.selfMask(), { palette: ['252525'] }, 'Built-up ' + last_year, false);
+Map.addLayer(new_built_up, { palette: ['e31a1c'] }, 'New Built-up ' + first_year + '–' + last_year);
+Map.addLayer(
+  ee.Geometry.Point(urban_params.city_centre),
+  { color: '000000' },
+  'City Centre',
+  false
+);
+
+// 14.1: Built-up area per year.
+var builtUpClasses = [{ value: 1, name: 'Built-up' }];
+var builtUpSummary = perRegion(function(region) {
+  return ee.FeatureCollection([
+    [first_year, built_first_year],
+    [last_year, built_last_year]
+  ].map(function(pair) {
+    var yearLowConfidence = compositeForYear(pair[0]).select('low_confidence');
+    return lib.classAreaTable(
+      pair[1].selfMask(), builtUpClasses, 30, region.geometry, yearLowConfidence
+    ).map(function(f) { return f.set('Year', pair[0]); });
+  })).flatten();
+});
+print('Built-up Area (ha)', builtUpSummary);
+
+// 14.2: New built-up area by direction and by distance ring from the centre.
+var newBuiltByDirection = perRegion(function(region) {
+  return lib.classAreaTable(
+    urban_direction.updateMask(new_built_up), directionClasses, 30, region.geometry,
+    low_confidence
+  );
+});
+print('New Built-up Area by Direction (ha)', newBuiltByDirection);
+
+var newBuiltByRing = perRegion(function(region) {
+  return lib.classAreaTable(
+    urban_ring.updateMask(new_built_up), ringClasses, 30, region.geometry,
+    low_confidence
+  );
+});
+print('New Built-up Area by Distance from Centre (ha)', newBuiltByRing);
+
+var directionChart = ui.Chart.feature.groups(newBuiltByDirection, 'Name', 'Area_ha', 'Region')
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: 'New Built-up Area by Direction ' + first_year + '–' + last_year,
+    hAxis: { title: 'Direction from City Centre' },
+    vAxis: { title: 'Area (ha)' }
+  });
+print(directionChart);
+
+var ringChart = ui.Chart.feature.groups(newBuiltByRing, 'Name', 'Area_ha', 'Region')
+  .setChartType('ColumnChart')
+  .setOptions({
+    title: 'New Built-up Area by Distance ' + first_year + '–' + last_year,
+    hAxis: { title: 'Distance from City Centre' },
+    vAxis: { title: 'Area (ha)' }
+  });
+print(ringChart);
+
+//---
+
+//-----------------------------------------------------
+// 15. Seasonal Composites and Crop Phenology
+//-----------------------------------------------------
+// An annual median hides the two cropping seasons of the region. This section
+// builds a median composite per season, fits a harmonic model to the NDVI of
+// every clear scene of the first and last years, and extracts per-season
+// phenology metrics (peak NDVI and day, green-up day, season length and
+// amplitude) and their change.
+
+// Seasonal parameters.
+var season_params = {
+  // Seasonal windows by month. A season whose end month precedes its start
+  // month (rabi) spans the year boundary and is labelled by the year it starts
+  // in, so the last year's rabi season runs into the following year.
+  seasons: [
+    { name: 'kharif', start_month: 6,  end_month: 10 },
+    { name: 'rabi',   start_month: 11, end_month: 4 }
+  ],
+  // Number of harmonics (cosine/sine pairs) of the phenology model; two
+  // capture a double-cropping year.
+  harmonics: 2,
+  // Interval (days) at which the fitted curve is sampled for the metrics.
+  step_days: 5,
+  // Green-up is the first day the curve rises this fraction of the way from
+  // the season's minimum to its peak.
+  greenup_fraction: 0.5,
+  // Minimum number of clear scenes required to fit the model.
+  min_observations: 8
+};
+
+// Median composites of every season of the first and last years.
+var seasonal_datacube = lib.buildSeasonalDatacube(
+  season_params.seasons, [first_year, last_year], aoi, landsat_params, index_params.indices
+);
+print('Landsat Seasonal Composites:', seasonal_datacube);
+
+season_params.seasons.forEach(function(season) {
+  [first_year, last_year].forEach(function(year) {
+    Map.addLayer(
+      ee.Image(seasonal_datacube.filter(ee.Filter.eq('season', season.name))
+                                .filter(ee.Filter.eq('year', year)).first()).select('NDVI'),
+      { min: 0, max: 0.8, palette: ['a50026', 'fee08b', '006837'] },
+      'NDVI ' + season.name + ' ' + year,
+      false
+    );
+  });
+});
+
+// 15.1: Mean NDVI per season, year and region.
+var seasonalNdviSummary = perRegion(function(region) {
+  return lib.seasonalNdviTable(seasonal_datacube, 30, region.geometry);
+});
+print('Seasonal NDVI (mean)', seasonalNdviSummary);
+
+// 15.2: Phenology metrics of the first and last years.
+var phenology_first_year = lib.phenologyMetrics(
+  lib.fitHarmonicModel(first_year, aoi, landsat_params, season_params), first_year, season_params
+);
+var phenology_last_year = lib.phenologyMetrics(
+  lib.fitHarmonicModel(last_year, aoi, landsat_params, season_params), last_year, season_params
+);
+print('Phenology Metrics (first year):', phenology_first_year);
+print('Phenology Metrics (last year):', phenology_last_year);
+
+season_params.seasons.forEach(function(season) {
+  var band = season.name + '_peak_ndvi';
+  Map.addLayer(
+    phenology_last_year.select(band).subtract(phenology_first_year.select(band)),
+    { min: -0.2, max: 0.2, palette: ['a50026', 'ffffbf', '006837'] },
+    'Peak NDVI Change ' + season.name + ' ' + first_year + '–' + last_year,
+    false
+  );
+});
+
+// 15.3: Change of the phenology metrics between the first and last years.
+var phenologyChange = perRegion(function(region) {
+  return lib.phenologyChangeTable(
+    phenology_first_year, phenology_last_year, season_params.seasons,
+    first_year, last_year, 30, region.geometry, low_confidence
+  );
+});
+print('Phenology Change ' + first_year + '–' + last_year, phenologyChange);
+
+//---
+
+//-----------------------------------------------------
+// 16. Zonal Statistics by Ward, Block or District
+//-----------------------------------------------------
+// Planning decisions are made per administrative unit, not per pixel. This
+// section summarises land cover, NDVI and the SDG 15.3.1 indicator for every
+// zone of a polygon layer, maps the proportion of degraded land per zone and
+// ranks the most degraded zones.
+
+// Zonal parameters.
+var zonal_params = {
+  // Set to false to skip the zonal statistics.
+  enabled: true,
+  // Polygon FeatureCollection asset of the zones, optionally filtered, with
+  // the property naming each zone. Replace with e.g. a ward boundary upload:
+  //   asset_id: 'users/<username>/lucknow_wards', name_property: 'ward_name'
+  zones: {
+    asset_id: 'FAO/GAUL/2015/level2',
+    filter_property: 'ADM1_NAME',
+    filter_value: 'Uttar Pradesh',
+    name_property: 'ADM2_NAME'
+  },
+  // Number of zones in the ranked table.
+  rank_count: 10
+};
+
+var zone_stats = null;
+var mostDegradedZones = null;
+if (zonal_params.enabled) {
+  var zones = lib.loadZones(zonal_params.zones, aoi);
+  var zoneLandCover = {};
+  zoneLandCover[first_year] = land_cls_data_first_year;
+  zoneLandCover[last_year] = land_cls_data_last_year;
+  var zoneNdvi = {};
+  zoneNdvi[first_year] = compositeForYear(first_year).select('NDVI');
+  zoneNdvi[last_year] = compositeForYear(last_year).select('NDVI');
+
+  // 16.1: Land cover areas, NDVI statistics and indicator areas per zone.
+  zone_stats = lib.zonalStatistics(zones, {
+    landCover: zoneLandCover,
+    classes: landCoverClasses,
+    ndvi: zoneNdvi,
+    indicator: sdg_indicator,
+    lowConfidence: low_confidence
+  }, sdg_params.scale);
+  print('Zonal Statistics', zone_stats);
+
+  // 16.2: Choropleth of the proportion of degraded land, with zone outlines.
+  Map.addLayer(
+    lib.zoneChoropleth(zone_stats, 'Proportion_Degraded'),
+    { min: 0, max: 1, palette: ['ffffbf', 'fdae61', 'd7191c'] },
+    'Proportion Degraded by Zone',
+    false
+  );
+  Map.addLayer(ee.Image().byte().paint(zone_stats, 0, 1), { palette: ['000000'] }, 'Zones', false);
+
+  // 16.3: Zones ranked by their proportion of degraded land.
+  mostDegradedZones = lib.mostDegradedZones(zone_stats, zonal_params.rank_count);
+  print('Most Degraded Zones', mostDegradedZones);
+}
+
+//---
+
+//-----------------------------------------------------
+// 17. Degradation Hotspots for Field Verification
+//-----------------------------------------------------
+// Turns the degraded pixels into patch polygons, attributes each patch (area,
+// mean NDVI loss, dominant UNCCD transition, distance to the city centre) and
+// ranks them by a priority score, giving a list of places to visit.
+
+// Hotspot parameters.
+var hotspot_params = {
+  // Set to false to skip the hotspot analysis.
+  enabled: true,
+  // Degraded pixels to vectorize: 'ndvi_change' (NDVI loss between the first
+  // and last years above ndvi_loss_min) or 'indicator' (SDG 15.3.1 degraded).
+  source: 'ndvi_change',
+  ndvi_loss_min: 0.1,
+  // Patches smaller than this are dropped (at most ~92 ha at 30 m, the
+  // 1024-pixel limit of the patch size count; larger values raise an error).
+  min_area_ha: 2,
+  scale: 30,
+  // Distance to the city centre beyond which a patch gets no proximity score.
+  max_distance_km: 30,
+  // Weights of the priority score: patch area and mean NDVI loss (each relative
+  // to the largest among the patches) and proximity to the city centre.
+  weights: { area: 0.4, ndvi_loss: 0.4, proximity: 0.2 },
+  // Number of ranked patches kept for the field list.
+  max_patches: 50
+};
+
+var hotspots = null;
+if (hotspot_params.enabled) {
+  var ndvi_loss = lib.ndviLoss(
+    compositeForYear(first_year).select('NDVI'), compositeForYear(last_year).select('NDVI')
+  );
+  hotspots = lib.degradationHotspots(
+    lib.hotspotSource(hotspot_params, ndvi_loss, sdg_indicator),
+    {
+      ndviLoss: ndvi_loss,
+      fromClass: unccd_first_year,
+      toClass: unccd_last_year,
+      centre: urban_params.city_centre,
+      lowConfidence: low_confidence
+    },
+    hotspot_params,
+    aoi
+  );
+  Map.addLayer(hotspots, { color: 'e7298a' }, 'Degradation Hotspots');
+  print('Degradation Hotspots (ranked)', hotspots);
+}
+
+//---
+
+//-----------------------------------------------------
+// 18. Export Rasters and Tables
+//-----------------------------------------------------
+// Every export is first described by an entry in a manifest: its kind (table or
+// image), file name, format, CRS and scale. The manifest is printed so a run can
+// be reproduced, and is then handed to an export backend. The default backend
+// (lib.eeExportBackend) starts Earth Engine batch tasks; any object with
+// `table(entry)` and `image(entry)` functions can stand in for it.
+
+// Export parameters.
+var export_params = {
+  // Set to true to start the export tasks; otherwise only the manifest is
+  // printed.
+  enabled: false,
+  // 'drive' or 'cloudStorage'.
+  destination: 'drive',
+  folder: 'lucknow_sdg_15_3_1',   // Drive folder.
+  bucket: null,                   // Cloud Storage bucket (destination: 'cloudStorage').
+  prefix: 'lucknow_' + first_year + '_' + last_year,
+  // 'CSV' or 'GeoJSON'.
+  table_format: 'CSV',
+  // Projection of exported rasters (UTM zone 44N covers Lucknow).
+  crs: 'EPSG:32644',
+  maxPixels: 1e10
+};
+
+// Helper functions describing the table and raster exports of this run.
+function tableExport(name, collection) {
+  return lib.tableExport(export_params, name, collection);
+}
+function imageExport(name, image, scale, type) {
+  return lib.imageExport(export_params, name, image, scale, type, aoi);
+}
+
+var export_manifest = [
+  // Tables.
+  tableExport('landcover_class_areas', summaryTable),
+  tableExport('ndvi_summary', ndviSummary),
+  tableExport('composite_quality', compositeQuality),
+  tableExport('landcover_transitions', landCoverTransitions),
+  tableExport('unccd_transitions', unccdTransitions),
+  tableExport('trajectory_area', trajectorySummary),
+  tableExport('productivity_state_area', stateSummary),
+  tableExport('productivity_performance_area', performanceSummary),
+  tableExport('productivity_combined_area', productivitySummary),
+  tableExport('landcover_subindicator_area', lcDegradationSummary),
+  tableExport('soc_subindicator_area', socDegradationSummary),
+  tableExport('soc_totals', socSummary),
+  tableExport('sdg_15_3_1_area', sdgSummary),
+  tableExport('sdg_15_3_1_headline', sdgHeadline),
+  tableExport('sdg_15_3_1_triggers', sdgTriggerSummary),
+  tableExport('classification_accuracy', classificationAccuracy.perClass),
+  tableExport('classified_landcover_area', classifiedAreaSummary),
+  tableExport('builtup_area', builtUpSummary),
+  tableExport('new_builtup_by_direction', newBuiltByDirection),
+  tableExport('new_builtup_by_ring', newBuiltByRing),
+  tableExport('seasonal_ndvi', seasonalNdviSummary),
+  tableExport('phenology_change', phenologyChange),
+  // Rasters.
+  imageExport('landcover_' + first_year, land_cls_data_first_year, land_cover_source.scale, 'int16'),
+  imageExport('landcover_' + last_year, land_cls_data_last_year, land_cover_source.scale, 'int16'),
+  imageExport('ndvi_' + first_year, compositeForYear(first_year).select('NDVI'), 30, 'float'),
+  imageExport('ndvi_' + last_year, compositeForYear(last_year).select('NDVI'), 30, 'float'),
+  imageExport('productivity_trajectory', trajectory, 30, 'float'),
+  imageExport('productivity_state', productivity_state, 30, 'int16'),
+  imageExport('productivity_performance', productivity_performance, 30, 'float'),
+  imageExport('productivity_combined', productivity_combined, 30, 'int16'),
+  imageExport('landcover_subindicator', lc_degradation, land_cover_source.scale, 'int16'),
+  imageExport('soc_subindicator', soc, soc_params.scale, 'float'),
+  imageExport('sdg_15_3_1', sdg_indicator, sdg_params.scale, 'int16'),
+  imageExport('new_builtup', new_built_up, 30, 'int16'),
+  imageExport('phenology_' + first_year, phenology_first_year, 30, 'float'),
+  imageExport('phenology_' + last_year, phenology_last_year, 30, 'float')
+];
+[first_year, last_year].forEach(function(year) {
+  export_manifest.push(imageExport(
+    'classified_lc_30m_' + year,
+    ee.Image(landsat_classified.filter(ee.Filter.eq('year', year)).first()),
+    30,
+    'int16'
+  ));
+});
+
+if (climate_params.enabled) {
+  export_manifest.push(tableExport('climate_adjusted_trajectory_area', climateSummary));
+  export_manifest.push(imageExport('climate_adjusted_trajectory', climate_trajectory, 30, 'float'));
+  export_manifest.push(imageExport('climate_disagreement', climate_disagreement, 30, 'int16'));
+}
+
+if (zonal_params.enabled) {
+  export_manifest.push(tableExport('zonal_statistics', zone_stats));
+  export_manifest.push(tableExport('most_degraded_zones', mostDegradedZones));
+}
+if (hotspot_params.enabled) {
+  export_manifest.push(tableExport('degradation_hotspots', hotspots));
+}
+if (reference_params.enabled) {
+  export_manifest.push(tableExport('landcover_area_estimates', landCoverAreaEstimates));
+  if (sdgAreaEstimates) {
+    export_manifest.push(tableExport('sdg_15_3_1_area_estimates', sdgAreaEstimates));
+  }
+}
+
+print('Export Manifest', lib.describeManifest(export_manifest));
+if (export_params.enabled) {
+  lib.runExports(export_manifest, lib.eeExportBackend(export_params));
+}
+
+//---
+
+//-----------------------------------------------------
+// 19. Interactive Explorer App
+//-----------------------------------------------------
+// Replaces the default map with an app for checking locations without editing
+// code: a layer selector (land cover, NDVI and the indicators), a year selector
+// for each side of a split-panel swipe, and a click inspector that charts the
+// clicked pixel's annual NDVI series and land class history. The charts and
+// tables of the sections above remain in the Console.
+
+// App parameters.
+var app_params = {
+  // Set to false to keep the default map with the layers added above.
+  enabled: true,
+  default_layer: 'Land cover'
+};
+
+// Years of the series covered by the land cover source.
+var land_cover_years = lib.landCoverYears(land_cover_source, years);
+
+// Land cover for every covered year of the series, for the class history chart.
+var land_cls_series = ee.ImageCollection(land_cover_years.map(function(year) {
+  return loadLandCover(year);
+}));
+
+// Annual NDVI for every year of the series, for the NDVI series chart.
+var ndvi_series = ee.ImageCollection(years.map(function(year) {
+  return annualNdvi(year);
+}));
+
+var ndviVisParams = {
+  min: 0, max: 0.8,
+  palette: ['a50026', 'f46d43', 'fee08b', 'd9ef8b', '66bd63', '006837']
+};
+
+// Helper function to list legend names and colors for a set of {name, color} classes.
+function legendFromClasses(title, classes) {
+  return {
+    title: title,
+    names: classes.map(function(c) { return c.name; }),
+    colors: classes.map(function(c) { return c.color; })
+  };
+}
+
+// Layers offered by the explorer. `years` lists the years a layer exists for;
+// layers covering the whole period ignore the year selectors.
+var explorerLayers = {
+  'Land cover': {
+    years: land_cover_years,
+    image: loadLandCover,
+    vis: landCoverVisParams,
+    legend: { title: land_cover_source.label + ' Classes', names: classNames, colors: palette }
+  },
+  'NDVI (Landsat)': {
+    years: years,
+    image: annualNdvi,
+    vis: ndviVisParams,
+    legend: {
+      title: 'NDVI',
+      names: ['≤ ' + ndviVisParams.min, '≥ ' + ndviVisParams.max],
+      colors: [ndviVisParams.palette[0], ndviVisParams.palette[ndviVisParams.palette.length - 1]]
+    }
+  },
+  'True colour (Landsat)': {
+    years: years,
+    image: function(year) {
+      return lib.compositeBandsForYear(datacube_median_data, year, ['red', 'green', 'blue']);
+    },
+    vis: { min: 0, max: 0.3 },
+    legend: null
+  },
+  'Classified land cover (30 m)': {
+    years: [first_year, last_year],
+    image: function(year) {
+      return ee.Image(landsat_classified.filter(ee.Filter.eq('year', year)).first());
+    },
+    vis: landCoverVisParams,
+    legend: {
+      title: 'Classified ' + land_cover_source.label + ' Classes',
+      names: classNames,
+      colors: palette
+    }
+  },
+  'Built-up (Landsat)': {
+    years: years,
+    image: function(year) {
+      var composite = lib.compositeBandsForYear(datacube_median_data, year, ['NDBI', 'NDVI', 'MNDWI']);
+      return lib.builtUpMask(composite, urban_params).selfMask();
+    },
+    vis: { palette: ['252525'] },
+    legend: { title: 'Built-up', names: ['Built-up'], colors: ['252525'] }
+  },
+  'New built-up': {
+    years: null,
+    image: function() { return new_built_up; },
+    vis: { palette: ['e31a1c'] },
+    legend: { title: 'New Built-up', names: ['Built-up since ' + first_year], colors: ['e31a1c'] }
+  },
+  'Productivity trajectory': {
+    years: null,
+    image: function() { return trajectory.select('trajectory_class'); },
+    vis: {
+      min: trajectory_classes[0].value,
+      max: trajectory_classes[trajectory_classes.length - 1].value,
+      palette: trajectory_classes.map(function(c) { return c.color; })
+    },
+    legend: legendFromClasses('Productivity Trajectory', trajectory_classes)
+  },
+  'Productivity state': {
+    years: null,
+    image: function() { return productivity_state.select('state_class'); },
+    vis: { min: -1, max: 1, palette: lib.STATE_CLASSES.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('Productivity State', lib.STATE_CLASSES)
+  },
+  'Productivity performance': {
+    years: null,
+    image: function() { return productivity_performance.select('performance_class'); },
+    vis: { min: -1, max: 0, palette: lib.PERFORMANCE_CLASSES.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('Productivity Performance', lib.PERFORMANCE_CLASSES)
+  },
+  'Combined productivity': {
+    years: null,
+    image: function() { return productivity_combined.select('productivity_class'); },
+    vis: { min: 1, max: 5, palette: lib.PRODUCTIVITY_CLASSES.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('Combined Productivity', lib.PRODUCTIVITY_CLASSES)
+  },
+  'Land cover sub-indicator': {
+    years: null,
+    image: function() { return lc_degradation; },
+    vis: { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('Land Cover Sub-indicator', subIndicatorClasses)
+  },
+  'SOC sub-indicator': {
+    years: null,
+    image: function() { return soc_degradation; },
+    vis: { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('SOC Sub-indicator', subIndicatorClasses)
+  },
+  'SDG 15.3.1 indicator': {
+    years: null,
+    image: function() { return sdg_indicator.select('sdg_15_3_1'); },
+    vis: { min: -1, max: 1, palette: subIndicatorClasses.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('SDG 15.3.1 ' + first_year + '–' + last_year, subIndicatorClasses)
+  }
+};
+if (climate_params.enabled) {
+  explorerLayers['Raw vs climate-adjusted trend'] = {
+    years: null,
+    image: function() { return climate_disagreement; },
+    vis: { min: 0, max: 3, palette: lib.CLIMATE_DISAGREEMENT_CLASSES.map(function(c) { return c.color; }) },
+    legend: legendFromClasses('Raw vs Climate-adjusted Trend', lib.CLIMATE_DISAGREEMENT_CLASSES)
+  };
+}
+
+// Helper function building the two pixel inspector charts for a clicked point.
+function inspectorCharts(point) {
+  var ndviChart = ui.Chart.image.series({
+    imageCollection: ndvi_series,
+    region: point,
+    reducer: ee.Reducer.first(),
+    scale: 30,
+    xProperty: 'year'
+  }).setOptions({
+    title: 'Annual NDVI',
+    hAxis: { title: 'Year', format: '####' },
+    vAxis: { title: 'NDVI' },
+    legend: { position: 'none' },
+    pointSize: 3
+  });
+  var classChart = ui.Chart.image.series({
+    imageCollection: land_cls_series,
+    region: point,
+    reducer: ee.Reducer.first(),
+    scale: land_cover_source.scale,
+    xProperty: 'system:time_start'
+  }).setChartType('ScatterChart').setOptions({
+    title: land_cover_source.label + ' Land Class History',
+    hAxis: { title: 'Year' },
+    vAxis: {
+      title: land_cover_source.label + ' Class',
+      viewWindow: { min: landCoverVisParams.min, max: landCoverVisParams.max }
+    },
+    legend: { position: 'none' },
+    pointSize: 4
+  });
+  return [ndviChart, classChart];
+}
+
+// Helper function to build and show the explorer app.
+function buildExplorer() {
+  var leftMap = ui.Map();
+  var rightMap = ui.Map();
+  ui.Map.Linker([leftMap, rightMap]);
+  [leftMap, rightMap].forEach(function(m) {
+    m.setControlVisibility({ layerList: false });
+    m.style().set('cursor', 'crosshair');
+  });
+
+  var yearItems = years.map(String);
+  var layerSelect = ui.Select({ items: Object.keys(explorerLayers), value: app_params.default_layer });
+  var leftYear = ui.Select({ items: yearItems, value: String(first_year) });
+  var rightYear = ui.Select({ items: yearItems, value: String(last_year) });
+  var legendHolder = ui.Panel();
+  var inspectorPanel = ui.Panel([ui.Label('Click the map to inspect a pixel.')]);
+
+  // Redraw one side of the swipe for the selected layer and year.
+  function renderSide(map, yearSelect, side) {
+    var layer = explorerLayers[layerSelect.getValue()];
+    var year = Number(yearSelect.getValue());
+    var label = layerSelect.getValue();
+    var layers = [];
+    if (layer.years === null) {
+      label += ' ' + first_year + '–' + last_year;
+      layers.push(ui.Map.Layer(layer.image(), layer.vis, label));
+    } else if (layer.years.indexOf(year) !== -1) {
+      label += ' ' + year;
+      layers.push(ui.Map.Layer(layer.image(year), layer.vis, label));
+    } else {
+      label += ': not available for ' + year;
+    }
+    layers.push(ui.Map.Layer(
+      ee.Image().byte().paint(region_collection, 0, 2), { palette: ['000000'] }, 'Study Areas'
+    ));
+    map.layers().reset(layers);
+    map.widgets().reset([ui.Label(side + ': ' + label, { position: 'top-' + side.toLowerCase() })]);
+  }
+
+  // Redraw both sides and the legend.
+  function render() {
+    renderSide(leftMap, leftYear, 'Left');
+    renderSide(rightMap, rightYear, 'Right');
+    var legendDef = explorerLayers[layerSelect.getValue()].legend;
+    legendHolder.widgets().reset(legendDef ?
+      [makeLegend(legendDef.title, legendDef.names, legendDef.colors)] : []);
+  }
+
+  // Chart the clicked pixel in the inspector panel.
+  function inspect(coords) {
+    var point = ee.Geometry.Point(coords.lon, coords.lat);
+    inspectorPanel.widgets().reset(
+      [ui.Label('Pixel at ' + coords.lon.toFixed(4) + ', ' + coords.lat.toFixed(4))]
+        .concat(inspectorCharts(point))
+    );
+  }
+
+  layerSelect.onChange(render);
+  leftYear.onChange(render);
+  rightYear.onChange(render);
+  leftMap.onClick(inspect);
+  rightMap.onClick(inspect);
+
+  var controlPanel = ui.Panel({
+    widgets: [
+      ui.Label('Lucknow SDG 15.3.1 Explorer', { fontWeight: 'bold', fontSize: '18px' }),
+      ui.Label('Layer'), layerSelect,
+      ui.Label('Left year'), leftYear,
+      ui.Label('Right year'), rightYear,
+      legendHolder,
+      ui.Label('Pixel inspector', { fontWeight: 'bold' }),
+      inspectorPanel
+    ],
+    style: { width: '360px' }
+  });
+  var splitPanel = ui.SplitPanel({
+    firstPanel: leftMap,
+    secondPanel: rightMap,
+    wipe: true,
+    style: { stretch: 'both' }
+  });
+
+  ui.root.widgets().reset([controlPanel, splitPanel]);
+  ui.root.setLayout(ui.Panel.Layout.Flow('horizontal'));
+  leftMap.centerObject(aoi, 10);
+  render();
+}
+
+if (app_params.enabled) {
+  buildExplorer();
+}
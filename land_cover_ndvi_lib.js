@@ -0,0 +1,2853 @@
+// Reusable functions of the Lucknow land cover / SDG 15.3.1 workflow.
+//
+// The module has no side effects: nothing is printed, added to the map or
+// fetched with getInfo() (except the region names of split study areas), and
+// every function takes the AOI, years and parameters it needs as arguments.
+// Load it from another Earth Engine script with
+//
+//   var lib = require('users/<username>/lucknow_sdg_15_3_1:land_cover_ndvi_lib');
+//
+// `land_cover_ndvi_analysis.js` is the driver that runs the full analysis on
+// top of it. Under Node the same file is loaded by the test suite against a
+// local fake `ee` (see test/fake_ee.js).
+
+//-----------------------------------------------------
+// 1. Study Areas and Years
+//-----------------------------------------------------
+
+// Helper function to convert an inline GeoJSON object into an ee.Geometry.
+function geoJsonToGeometry(geojson) {
+  if (geojson.type === 'FeatureCollection') {
+    return ee.FeatureCollection(geojson.features.map(function(f) {
+      return ee.Feature(ee.Geometry(f.geometry));
+    })).geometry();
+  }
+  if (geojson.type === 'Feature') {
+    return ee.Geometry(geojson.geometry);
+  }
+  return ee.Geometry(geojson);
+}
+
+// Helper function to resolve the study area definitions into a flat list of
+// named regions ({name, geometry}). Supported types:
+//  - 'rectangle': `bounds` as [west, south, east, north] in degrees.
+//  - 'asset':     a FeatureCollection asset, optionally restricted to features
+//                 whose `filter_property` equals `filter_value`. Set
+//                 `name_property` to split it into one region per feature.
+//  - 'geojson':   an inline GeoJSON Polygon/MultiPolygon geometry, Feature or
+//                 FeatureCollection.
+function resolveStudyAreas(definitions) {
+  var resolved = [];
+  definitions.forEach(function(def) {
+    if (def.type === 'rectangle') {
+      resolved.push({
+        name: def.name,
+        geometry: ee.Geometry.Rectangle(def.bounds)
+      });
+    } else if (def.type === 'asset') {
+      var features = ee.FeatureCollection(def.asset_id);
+      if (def.filter_property) {
+        features = features.filter(ee.Filter.eq(def.filter_property, def.filter_value));
+      }
+      if (def.name_property) {
+        // One region per distinct name; the names are needed client-side to
+        // label charts and tables.
+        var names = features.aggregate_array(def.name_property).distinct().getInfo();
+        names.forEach(function(name) {
+          resolved.push({
+            name: String(name),
+            geometry: features.filter(ee.Filter.eq(def.name_property, name)).geometry()
+          });
+        });
+      } else {
+        resolved.push({ name: def.name || def.asset_id, geometry: features.geometry() });
+      }
+    } else if (def.type === 'geojson') {
+      resolved.push({
+        name: def.name,
+        geometry: geoJsonToGeometry(def.geojson)
+      });
+    } else {
+      throw new Error('Unknown study area type: ' + def.type);
+    }
+  });
+  return resolved;
+}
+
+// Helper function returning the regions as a FeatureCollection with a 'Region'
+// property, e.g. for outlining them or taking their combined geometry.
+function regionCollection(regions) {
+  return ee.FeatureCollection(regions.map(function(region) {
+    return ee.Feature(region.geometry, { 'Region': region.name });
+  }));
+}
+
+// Helper function to run a per-region table builder over every region and merge
+// the results into one FeatureCollection with a 'Region' column.
+function perRegion(regions, buildTable) {
+  return ee.FeatureCollection(regions.map(function(region) {
+    return ee.FeatureCollection(buildTable(region)).map(function(f) {
+      return f.set('Region', region.name);
+    });
+  })).flatten();
+}
+
+// Helper function returning every year from firstYear to lastYear inclusive.
+function yearRange(firstYear, lastYear) {
+  var years = [];
+  for (var y = firstYear; y <= lastYear; y++) {
+    years.push(y);
+  }
+  return years;
+}
+
+// Helper function returning the Earth Engine Date range of a year
+// (Jan 1st to Dec 31st).
+function yearDateRange(year) {
+  return [ee.Date.fromYMD(year, 1, 1), ee.Date.fromYMD(year, 12, 31)];
+}
+
+// Earth Engine errors raised when a computation exceeds a memory, time or
+// size limit (e.g. "User memory limit exceeded.", "Computation timed out.",
+// "Too many pixels in the region.").
+var LIMIT_ERROR_PATTERN = /memory limit|timed out|too many|too large|accumulating over/i;
+
+// Helper function describing a failed asynchronous evaluation of `label` for
+// the console, with a hint on how to stay within the limits when one was hit.
+function evaluationErrorMessage(label, error) {
+  var message = label + ' could not be computed: ' + error;
+  if (LIMIT_ERROR_PATTERN.test(error)) {
+    message += ' The computation exceeded an Earth Engine limit; use a smaller ' +
+               'study area or a coarser scale, or export the table instead.';
+  }
+  return message;
+}
+
+exports.geoJsonToGeometry = geoJsonToGeometry;
+exports.resolveStudyAreas = resolveStudyAreas;
+exports.regionCollection = regionCollection;
+exports.perRegion = perRegion;
+exports.yearRange = yearRange;
+exports.yearDateRange = yearDateRange;
+exports.evaluationErrorMessage = evaluationErrorMessage;
+
+
+//---
+
+//-----------------------------------------------------
+// 2. Land Classification Data (Land Cover Sources)
+//-----------------------------------------------------
+
+// Registry of supported land cover products. Each entry lists the collection(s)
+// holding one classified image per year, the class band, the years covered and
+// the native resolution (m), the product's classes ({value, name, color}) and a
+// crosswalk from those classes to the 7 UNCCD classes of section 7, the common
+// scheme every source is compared in. Legends, palettes and class tables are
+// generated from `classes`. Register another product (e.g. an uploaded land
+// cover asset) by adding an entry of the same shape.
+var LAND_COVER_SOURCES = {
+  // MODIS MCD12Q1 v6.1, Land Cover Type 1: IGBP classification.
+  MODIS_LC_TYPE1: {
+    label: 'MODIS IGBP',
+    collections: ['MODIS/061/MCD12Q1'],
+    band: 'LC_Type1',
+    years: [2001, 2023],
+    scale: 500,
+    classes: [
+      { value: 1,  name: 'Evergreen Needleleaf', color: '05450a' },
+      { value: 2,  name: 'Evergreen Broadleaf',  color: '086a10' },
+      { value: 3,  name: 'Deciduous Needleleaf', color: '54a708' },
+      { value: 4,  name: 'Deciduous Broadleaf',  color: '78d203' },
+      { value: 5,  name: 'Mixed Forest',         color: '009900' },
+      { value: 6,  name: 'Closed Shrub',         color: 'c6b044' },
+      { value: 7,  name: 'Open Shrub',           color: 'dcd159' },
+      { value: 8,  name: 'Woody Savanna',        color: 'dade48' },
+      { value: 9,  name: 'Savanna',              color: 'fbff13' },
+      { value: 10, name: 'Grassland',            color: 'b6ff05' },
+      { value: 11, name: 'Wetlands',             color: '27ff87' },
+      { value: 12, name: 'Croplands',            color: 'c24f44' },
+      { value: 13, name: 'Urban',                color: 'a5a5a5' },
+      { value: 14, name: 'Crop/Nat Veg',         color: 'ff6d4c' },
+      { value: 15, name: 'Snow/Ice',             color: '69fff8' },
+      { value: 16, name: 'Barren',               color: 'f9ffa4' },
+      { value: 17, name: 'Water',                color: '1c0dff' }
+    ],
+    to_unccd: {
+      1: 1, 2: 1, 3: 1, 4: 1, 5: 1, // Forests → Tree-covered
+      6: 2, 7: 2,                   // Closed/open shrublands → Grassland
+      8: 1,                         // Woody savannas → Tree-covered
+      9: 2, 10: 2,                  // Savannas, grasslands → Grassland
+      11: 4,                        // Permanent wetlands → Wetland
+      12: 3, 14: 3,                 // Croplands, cropland/natural mosaic → Cropland
+      13: 5,                        // Urban and built-up → Artificial
+      15: 6, 16: 6,                 // Snow/ice, barren → Other land
+      17: 7                         // Water bodies → Water body
+    }
+  },
+  // MODIS MCD12Q1 v6.1, Land Cover Type 2: University of Maryland (UMD).
+  MODIS_LC_TYPE2: {
+    label: 'MODIS UMD',
+    collections: ['MODIS/061/MCD12Q1'],
+    band: 'LC_Type2',
+    years: [2001, 2023],
+    scale: 500,
+    classes: [
+      { value: 0,  name: 'Water',                color: '1c0dff' },
+      { value: 1,  name: 'Evergreen Needleleaf', color: '05450a' },
+      { value: 2,  name: 'Evergreen Broadleaf',  color: '086a10' },
+      { value: 3,  name: 'Deciduous Needleleaf', color: '54a708' },
+      { value: 4,  name: 'Deciduous Broadleaf',  color: '78d203' },
+      { value: 5,  name: 'Mixed Forest',         color: '009900' },
+      { value: 6,  name: 'Closed Shrub',         color: 'c6b044' },
+      { value: 7,  name: 'Open Shrub',           color: 'dcd159' },
+      { value: 8,  name: 'Woody Savanna',        color: 'dade48' },
+      { value: 9,  name: 'Savanna',              color: 'fbff13' },
+      { value: 10, name: 'Grassland',            color: 'b6ff05' },
+      { value: 11, name: 'Wetlands',             color: '27ff87' },
+      { value: 12, name: 'Croplands',            color: 'c24f44' },
+      { value: 13, name: 'Urban',                color: 'a5a5a5' },
+      { value: 14, name: 'Crop/Nat Veg',         color: 'ff6d4c' },
+      { value: 15, name: 'Non-Vegetated',        color: 'f9ffa4' }
+    ],
+    to_unccd: {
+      0: 7,
+      1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 8: 1,
+      6: 2, 7: 2, 9: 2, 10: 2,
+      11: 4,
+      12: 3, 14: 3,
+      13: 5,
+      15: 6
+    }
+  },
+  // MODIS MCD12Q1 v6.1, Land Cover Type 3: Leaf Area Index (LAI) biomes.
+  MODIS_LC_TYPE3: {
+    label: 'MODIS LAI',
+    collections: ['MODIS/061/MCD12Q1'],
+    band: 'LC_Type3',
+    years: [2001, 2023],
+    scale: 500,
+    classes: [
+      { value: 0,  name: 'Water',                color: '1c0dff' },
+      { value: 1,  name: 'Grassland',            color: 'b6ff05' },
+      { value: 2,  name: 'Shrubland',            color: 'dcd159' },
+      { value: 3,  name: 'Broadleaf Cropland',   color: 'c24f44' },
+      { value: 4,  name: 'Savanna',              color: 'fbff13' },
+      { value: 5,  name: 'Evergreen Broadleaf',  color: '086a10' },
+      { value: 6,  name: 'Deciduous Broadleaf',  color: '78d203' },
+      { value: 7,  name: 'Evergreen Needleleaf', color: '05450a' },
+      { value: 8,  name: 'Deciduous Needleleaf', color: '54a708' },
+      { value: 9,  name: 'Non-Vegetated',        color: 'f9ffa4' },
+      { value: 10, name: 'Urban',                color: 'a5a5a5' }
+    ],
+    to_unccd: { 0: 7, 1: 2, 2: 2, 3: 3, 4: 2, 5: 1, 6: 1, 7: 1, 8: 1, 9: 6, 10: 5 }
+  },
+  // MODIS MCD12Q1 v6.1, Land Cover Type 4: BIOME-Biogeochemical Cycles (BGC).
+  MODIS_LC_TYPE4: {
+    label: 'MODIS BGC',
+    collections: ['MODIS/061/MCD12Q1'],
+    band: 'LC_Type4',
+    years: [2001, 2023],
+    scale: 500,
+    classes: [
+      { value: 0, name: 'Water',                   color: '1c0dff' },
+      { value: 1, name: 'Evergreen Needleleaf',    color: '05450a' },
+      { value: 2, name: 'Evergreen Broadleaf',     color: '086a10' },
+      { value: 3, name: 'Deciduous Needleleaf',    color: '54a708' },
+      { value: 4, name: 'Deciduous Broadleaf',     color: '78d203' },
+      { value: 5, name: 'Annual Broadleaf',        color: 'dcd159' },
+      { value: 6, name: 'Annual Grass',            color: 'b6ff05' },
+      { value: 7, name: 'Non-Vegetated',           color: 'f9ffa4' },
+      { value: 8, name: 'Urban',                   color: 'a5a5a5' }
+    ],
+    // Annual broadleaf vegetation is mostly cropland.
+    to_unccd: { 0: 7, 1: 1, 2: 1, 3: 1, 4: 1, 5: 3, 6: 2, 7: 6, 8: 5 }
+  },
+  // MODIS MCD12Q1 v6.1, Land Cover Type 5: Plant Functional Types (PFT).
+  MODIS_LC_TYPE5: {
+    label: 'MODIS PFT',
+    collections: ['MODIS/061/MCD12Q1'],
+    band: 'LC_Type5',
+    years: [2001, 2023],
+    scale: 500,
+    classes: [
+      { value: 0,  name: 'Water',                color: '1c0dff' },
+      { value: 1,  name: 'Evergreen Needleleaf', color: '05450a' },
+      { value: 2,  name: 'Evergreen Broadleaf',  color: '086a10' },
+      { value: 3,  name: 'Deciduous Needleleaf', color: '54a708' },
+      { value: 4,  name: 'Deciduous Broadleaf',  color: '78d203' },
+      { value: 5,  name: 'Shrub',                color: 'dcd159' },
+      { value: 6,  name: 'Grass',                color: 'b6ff05' },
+      { value: 7,  name: 'Cereal Cropland',      color: 'dade48' },
+      { value: 8,  name: 'Broadleaf Cropland',   color: 'c24f44' },
+      { value: 9,  name: 'Urban',                color: 'a5a5a5' },
+      { value: 10, name: 'Snow/Ice',             color: '69fff8' },
+      { value: 11, name: 'Barren',               color: 'f9ffa4' }
+    ],
+    to_unccd: { 0: 7, 1: 1, 2: 1, 3: 1, 4: 1, 5: 2, 6: 2, 7: 3, 8: 3, 9: 5, 10: 6, 11: 6 }
+  },
+  // ESA WorldCover 10 m: v100 (2020) and v200 (2021). The two versions use
+  // different algorithms, so their differences are not all real change.
+  ESA_WORLDCOVER: {
+    label: 'ESA WorldCover',
+    collections: ['ESA/WorldCover/v100', 'ESA/WorldCover/v200'],
+    band: 'Map',
+    years: [2020, 2021],
+    scale: 10,
+    classes: [
+      { value: 10,  name: 'Tree cover',         color: '006400' },
+      { value: 20,  name: 'Shrubland',          color: 'ffbb22' },
+      { value: 30,  name: 'Grassland',          color: 'ffff4c' },
+      { value: 40,  name: 'Cropland',           color: 'f096ff' },
+      { value: 50,  name: 'Built-up',           color: 'fa0000' },
+      { value: 60,  name: 'Bare/sparse',        color: 'b4b4b4' },
+      { value: 70,  name: 'Snow and ice',       color: 'f0f0f0' },
+      { value: 80,  name: 'Permanent water',    color: '0064c8' },
+      { value: 90,  name: 'Herbaceous wetland', color: '0096a0' },
+      { value: 95,  name: 'Mangroves',          color: '00cf75' },
+      { value: 100, name: 'Moss and lichen',    color: 'fae6a0' }
+    ],
+    to_unccd: { 10: 1, 20: 2, 30: 2, 40: 3, 50: 5, 60: 6, 70: 6, 80: 7, 90: 4, 95: 1, 100: 2 }
+  }
+};
+
+// Default IGBP (1-17) → UNCCD (1-7) aggregation, kept under its earlier name
+// for scripts that use it directly.
+var IGBP_TO_UNCCD = LAND_COVER_SOURCES.MODIS_LC_TYPE1.to_unccd;
+
+// Helper function returning a land cover source by key, failing early on typos.
+function landCoverSource(key) {
+  var source = LAND_COVER_SOURCES[key];
+  if (!source) {
+    throw new Error('Unknown land cover source: ' + key + ' (expected one of ' +
+                    Object.keys(LAND_COVER_SOURCES).join(', ') + ')');
+  }
+  return source;
+}
+
+// Helper function listing the years of a source's series that fall within a
+// list of years.
+function landCoverYears(source, yearList) {
+  return yearList.filter(function(year) {
+    return year >= source.years[0] && year <= source.years[1];
+  });
+}
+
+// Function to load a source's land cover for a given year, clip it to the AOI,
+// and rename the band to 'land_class'.
+function loadLandCover(source, year, aoi) {
+  if (year < source.years[0] || year > source.years[1]) {
+    throw new Error(source.label + ' land cover covers ' + source.years[0] + '–' +
+                    source.years[1] + ', not ' + year);
+  }
+  var range = yearDateRange(year);
+  var images = source.collections.map(function(id) {
+    return ee.ImageCollection(id).filterDate(range[0], range[1]);
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+  return ee.Image(images.first())
+           .select(source.band) // Select the source's class band.
+           .clip(aoi)           // Clip the image to the AOI.
+           .rename('land_class') // Rename the band for clarity.
+           // Set the system:time_start property for chronological sorting later.
+           .set('system:time_start', range[0].millis());
+}
+
+// Function to load the MODIS Land Cover Type 1 (IGBP classification) for a
+// given year.
+function loadModisLandCover(year, aoi) {
+  return loadLandCover(LAND_COVER_SOURCES.MODIS_LC_TYPE1, year, aoi);
+}
+
+// Helper function returning the 'value:name' labels of a set of classes.
+function classNames(classes) {
+  return classes.map(function(c) { return c.value + ':' + c.name; });
+}
+
+// Helper function building visualization parameters for a set of classes. The
+// palette spans every value from the lowest to the highest class, so values
+// between non-contiguous classes (e.g. WorldCover's 10, 20, ...) get a filler
+// color.
+function classVisParams(classes) {
+  var values = classes.map(function(c) { return c.value; });
+  var min = Math.min.apply(null, values);
+  var max = Math.max.apply(null, values);
+  var palette = [];
+  for (var v = min; v <= max; v++) {
+    var idx = values.indexOf(v);
+    palette.push(idx === -1 ? '000000' : classes[idx].color);
+  }
+  return { min: min, max: max, palette: palette };
+}
+
+exports.LAND_COVER_SOURCES = LAND_COVER_SOURCES;
+exports.IGBP_TO_UNCCD = IGBP_TO_UNCCD;
+exports.landCoverSource = landCoverSource;
+exports.landCoverYears = landCoverYears;
+exports.loadLandCover = loadLandCover;
+exports.loadModisLandCover = loadModisLandCover;
+exports.classNames = classNames;
+exports.classVisParams = classVisParams;
+
+
+//---
+
+//-----------------------------------------------------
+// 3. Landsat Surface Reflectance and Spectral Indices
+//-----------------------------------------------------
+
+// Consistent band names shared by every sensor.
+// Bands correspond to Blue, Green, Red, Near-Infrared (NIR), Shortwave-Infrared 1
+// (SWIR1), and Shortwave-Infrared 2 (SWIR2).
+var NEW_BAND_NAMES = ['blue','green','red','nir','swir1','swir2'];
+
+// Collection 2 QA_PIXEL bit positions (CFMask).
+var QA_BITS = {
+  fill: 0,
+  dilated_cloud: 1,
+  cirrus: 2,       // OLI/OLI-2 only.
+  cloud: 3,
+  cloud_shadow: 4,
+  snow: 5,
+  clear: 6,
+  water: 7
+};
+
+// Surface reflectance scale and offset per Landsat collection, converting the
+// stored DN to reflectance (0-1): reflectance = DN × scale + offset.
+var LANDSAT_SR_SCALING = {
+  C02: { scale: 0.0000275, offset: -0.2 }
+};
+
+// Registry of supported Landsat sensors. Each entry maps the consistent band
+// names to the sensor's SR bands, lists the QA_PIXEL flags that mask a pixel and
+// any QA_RADSAT bits masked in addition to the per-band saturation bits.
+var LANDSAT_SENSORS = {
+  L5: {
+    collection: 'LANDSAT/LT05/C02/T1_L2',
+    family: 'TM',
+    collection_version: 'C02',
+    bands: { blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7' },
+    mask_flags: ['fill', 'dilated_cloud', 'cloud', 'cloud_shadow', 'snow'],
+    radsat_extra_bits: []
+  },
+  L7: {
+    collection: 'LANDSAT/LE07/C02/T1_L2',
+    family: 'ETM+',
+    collection_version: 'C02',
+    bands: { blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7' },
+    mask_flags: ['fill', 'dilated_cloud', 'cloud', 'cloud_shadow', 'snow'],
+    radsat_extra_bits: [],
+    // Scan Line Corrector failure; later scenes have wedge-shaped data gaps.
+    slc_off_date: '2003-05-31'
+  },
+  L8: {
+    collection: 'LANDSAT/LC08/C02/T1_L2',
+    family: 'OLI',
+    collection_version: 'C02',
+    bands: { blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7' },
+    mask_flags: ['fill', 'dilated_cloud', 'cirrus', 'cloud', 'cloud_shadow', 'snow'],
+    radsat_extra_bits: [11] // Terrain occlusion.
+  },
+  L9: {
+    collection: 'LANDSAT/LC09/C02/T1_L2',
+    family: 'OLI',
+    collection_version: 'C02',
+    bands: { blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7' },
+    mask_flags: ['fill', 'dilated_cloud', 'cirrus', 'cloud', 'cloud_shadow', 'snow'],
+    radsat_extra_bits: [11] // Terrain occlusion.
+  }
+};
+
+// ETM+ → OLI surface reflectance transformation (Roy et al., 2016, OLS fit),
+// applied to TM and ETM+ reflectance (0-1) as OLI = intercept + slope × ETM+.
+var ETM_TO_OLI_COEFFICIENTS = {
+  blue:  { slope: 0.8474, intercept: 0.0003 },
+  green: { slope: 0.8483, intercept: 0.0088 },
+  red:   { slope: 0.9047, intercept: 0.0061 },
+  nir:   { slope: 0.8462, intercept: 0.0412 },
+  swir1: { slope: 0.8937, intercept: 0.0254 },
+  swir2: { slope: 0.9071, intercept: 0.0172 }
+};
+
+// Helper function returning a sensor's SR band names in NEW_BAND_NAMES order.
+function sensorSourceBands(sensor) {
+  return NEW_BAND_NAMES.map(function(name) { return sensor.bands[name]; });
+}
+
+// Helper function combining a sensor's QA_PIXEL mask flags into a bit mask.
+function qaFlagBits(sensor) {
+  return sensor.mask_flags.reduce(function(bits, flag) {
+    return bits | (1 << QA_BITS[flag]);
+  }, 0);
+}
+
+// Helper function returning the QA_RADSAT bit mask of a sensor. Bit n-1 flags
+// saturation of band n; only the bands in use matter.
+function radsatBits(sensor) {
+  return sensorSourceBands(sensor).map(function(band) {
+    return parseInt(band.replace('SR_B', ''), 10) - 1;
+  }).concat(sensor.radsat_extra_bits).reduce(function(bits, bit) {
+    return bits | (1 << bit);
+  }, 0);
+}
+
+// Function factory returning a preprocessing function for a sensor's Surface
+// Reflectance (L2) data. The function applies the collection's scale/offset,
+// masks the sensor's QA_PIXEL flags, radiometric saturation (QA_RADSAT) and
+// reflectance outside 0-1, and records a per-scene quality summary over the AOI
+// as image properties (clear_fraction, saturated_fraction), computed at
+// `qualityScale` metres.
+function maskLandsatSr(sensor, aoi, qualityScale) {
+  var sourceBands = sensorSourceBands(sensor);
+  var scaling = LANDSAT_SR_SCALING[sensor.collection_version];
+  var flagBits = qaFlagBits(sensor);
+  var saturationBits = radsatBits(sensor);
+  return function(image) {
+    var qa = image.select('QA_PIXEL');
+    // Pixels inside the scene footprint.
+    var footprint = qa.bitwiseAnd(1 << QA_BITS.fill).eq(0);
+    // Keep pixels where none of the flagged QA bits is set.
+    var clear = qa.bitwiseAnd(flagBits).eq(0);
+    // Keep pixels where none of the used bands is saturated.
+    var saturated = image.select('QA_RADSAT').bitwiseAnd(saturationBits).neq(0);
+    // Convert the stored DN to surface reflectance.
+    var reflectance = image.select(sourceBands)
+                           .multiply(scaling.scale)
+                           .add(scaling.offset);
+    // Identify valid data range (0 to 1 for Surface Reflectance).
+    var valid_range = reflectance.reduce(ee.Reducer.min()).gt(0) // Minimum reflectance > 0
+                        .and(
+                          reflectance.reduce(ee.Reducer.max()).lt(1) // Maximum reflectance < 1
+                        );
+    var mask = clear.and(saturated.not()).and(valid_range);
+
+    // Per-scene quality summary: shares of the footprint within the AOI that are
+    // kept and that are saturated.
+    var quality = ee.Image.cat([mask.rename('clear'), saturated.rename('saturated')])
+      .updateMask(footprint)
+      .reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: aoi,
+        scale: qualityScale,
+        maxPixels: 1e9,
+        bestEffort: true
+      });
+
+    return ee.Image(
+      reflectance.updateMask(mask)
+                 .copyProperties(image, ['system:time_start', 'CLOUD_COVER'])
+    ).set({
+      'sensor': sensor.family,
+      'clear_fraction': quality.get('clear'),
+      'saturated_fraction': quality.get('saturated')
+    });
+  };
+}
+
+// Function to transform TM/ETM+ reflectance (consistent band names) to OLI.
+function harmonizeEtmToOli(image) {
+  var bands = NEW_BAND_NAMES;
+  var slopes = bands.map(function(b) { return ETM_TO_OLI_COEFFICIENTS[b].slope; });
+  var intercepts = bands.map(function(b) { return ETM_TO_OLI_COEFFICIENTS[b].intercept; });
+  return ee.Image(
+    image.select(bands)
+         .multiply(ee.Image.constant(slopes))
+         .add(ee.Image.constant(intercepts))
+         .rename(bands)
+         .copyProperties(image, image.propertyNames())
+  );
+}
+
+// Library of spectral indices computed from the consistent band names. Each
+// entry lists the bands it needs and a function returning the single index band.
+// Register a new index by adding an entry here and naming it in the driver's
+// index_params.
+var SPECTRAL_INDICES = {
+  // Normalized Difference Vegetation Index: (NIR - Red) / (NIR + Red)
+  NDVI: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 'red']);
+    }
+  },
+  // Enhanced Vegetation Index (Huete et al., 2002).
+  EVI: {
+    bands: ['nir', 'red', 'blue'],
+    compute: function(img) {
+      return img.expression(
+        '2.5 * (NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1)',
+        { NIR: img.select('nir'), RED: img.select('red'), BLUE: img.select('blue') }
+      );
+    }
+  },
+  // Soil-Adjusted Vegetation Index with L = 0.5 (Huete, 1988).
+  SAVI: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.expression(
+        '(NIR - RED) * 1.5 / (NIR + RED + 0.5)',
+        { NIR: img.select('nir'), RED: img.select('red') }
+      );
+    }
+  },
+  // Normalized Difference Built-up Index: (SWIR1 - NIR) / (SWIR1 + NIR)
+  NDBI: {
+    bands: ['swir1', 'nir'],
+    compute: function(img) {
+      return img.normalizedDifference(['swir1', 'nir']);
+    }
+  },
+  // Normalized Difference Water Index (McFeeters): (Green - NIR) / (Green + NIR)
+  NDWI: {
+    bands: ['green', 'nir'],
+    compute: function(img) {
+      return img.normalizedDifference(['green', 'nir']);
+    }
+  },
+  // Modified NDWI (Xu, 2006): (Green - SWIR1) / (Green + SWIR1)
+  MNDWI: {
+    bands: ['green', 'swir1'],
+    compute: function(img) {
+      return img.normalizedDifference(['green', 'swir1']);
+    }
+  },
+  // Bare Soil Index: ((SWIR1 + Red) - (NIR + Blue)) / ((SWIR1 + Red) + (NIR + Blue))
+  BSI: {
+    bands: ['swir1', 'red', 'nir', 'blue'],
+    compute: function(img) {
+      return img.expression(
+        '((SWIR1 + RED) - (NIR + BLUE)) / ((SWIR1 + RED) + (NIR + BLUE))',
+        {
+          SWIR1: img.select('swir1'), RED: img.select('red'),
+          NIR: img.select('nir'), BLUE: img.select('blue')
+        }
+      );
+    }
+  }
+};
+
+// Function to add the named spectral indices to an image with the consistent
+// band names.
+function addIndices(image, names) {
+  return image.addBands(ee.Image.cat(names.map(function(name) {
+    var index = SPECTRAL_INDICES[name];
+    if (!index) {
+      throw new Error('Unknown spectral index: ' + name);
+    }
+    index.bands.forEach(function(band) {
+      if (NEW_BAND_NAMES.indexOf(band) === -1) {
+        throw new Error('Spectral index ' + name + ' needs the missing band ' + band);
+      }
+    });
+    return index.compute(image).rename(name);
+  })));
+}
+
+// Function to load, mask and rename the Landsat scenes of a date range
+// [dateStart, dateEnd). `params` holds the sensors to merge, whether to
+// harmonize TM/ETM+ to OLI and the quality summary scale.
+function loadLandsatScenes(dateStart, dateEnd, aoi, params) {
+  // Load, mask and rename every configured sensor, harmonizing TM/ETM+ to OLI
+  // if requested, then merge them into one collection.
+  return params.sensors.map(function(key) {
+    var sensor = LANDSAT_SENSORS[key];
+    if (!sensor) {
+      throw new Error('Unknown Landsat sensor: ' + key);
+    }
+    var collection = ee.ImageCollection(sensor.collection)
+      .filterDate(dateStart, dateEnd)
+      .filterBounds(aoi)
+      .map(maskLandsatSr(sensor, aoi, params.quality_scale)) // Apply scaling and cloud/saturation/quality mask.
+      .select(sensorSourceBands(sensor), NEW_BAND_NAMES); // Select and rename bands.
+    if (params.harmonize_to_oli && sensor.family !== 'OLI') {
+      collection = collection.map(harmonizeEtmToOli);
+    }
+    return collection;
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+}
+
+// Minimum number of clear observations behind a composite pixel below which it
+// is flagged as low confidence, unless `params.min_clear_observations` is set.
+var MIN_CLEAR_OBSERVATIONS = 3;
+
+// Helper function returning a 0/1 image of the Landsat 7 SLC-off stripes in
+// [dateStart, dateEnd): pixels flagged as fill in at least one Landsat 7 scene
+// acquired after the SLC failure. It is 0 everywhere for ranges before it.
+function slcGapMask(dateStart, dateEnd, aoi) {
+  var l7 = LANDSAT_SENSORS.L7;
+  var fillBit = 1 << QA_BITS.fill;
+  return ee.ImageCollection(l7.collection)
+    .filterDate(dateStart, dateEnd)
+    .filterDate(l7.slc_off_date, dateEnd)
+    .filterBounds(aoi)
+    .map(function(image) {
+      return image.select('QA_PIXEL').bitwiseAnd(fillBit).neq(0).rename('slc_gap');
+    })
+    .merge(ee.ImageCollection([ee.Image.constant(0).rename('slc_gap')]))
+    .max();
+}
+
+// Helper function filling the `gaps` (0/1) of a median composite with the mean
+// of the composite within `radius` pixels. Other masked pixels (cloud, water
+// or QA masks) stay masked.
+function fillCompositeGaps(composite, gaps, radius) {
+  return composite.unmask(composite.focal_mean({
+    radius: radius,
+    kernelType: 'square',
+    units: 'pixels'
+  }).updateMask(gaps));
+}
+
+// Function to add the observation quality of a composite built from `scenes`:
+// the per-pixel number of clear observations ('clear_obs') and a flag where it
+// is below the minimum or, with a `filled` (0/1) image, the pixel was
+// gap-filled rather than observed ('low_confidence').
+function addObservationQuality(composite, scenes, aoi, params, filled) {
+  var minClear = params.min_clear_observations === undefined ?
+    MIN_CLEAR_OBSERVATIONS : params.min_clear_observations;
+  var clearObs = scenes.select('nir').count().unmask(0).clip(aoi).rename('clear_obs');
+  var lowConfidence = clearObs.lt(minClear);
+  if (filled) {
+    lowConfidence = lowConfidence.or(filled.unmask(0));
+  }
+  return composite.addBands(clearObs).addBands(lowConfidence.rename('low_confidence'));
+}
+
+// Function to composite the Landsat scenes of a date range [dateStart, dateEnd)
+// into a median image with the spectral indices named in `indices` and the
+// observation quality bands of addObservationQuality. With
+// `params.slc_gap_fill_radius` set, composite pixels that no clear observation
+// reached and that lie in a Landsat 7 SLC-off stripe (slcGapMask) are filled
+// (fillCompositeGaps); the filled pixels keep a clear-observation count of 0
+// and are flagged as low confidence.
+function landsatComposite(dateStart, dateEnd, aoi, params, indices) {
+  var combined_ls = loadLandsatScenes(dateStart, dateEnd, aoi, params);
+
+  var median = combined_ls.median();
+  var filled = ee.Image.constant(0);
+  if (params.slc_gap_fill_radius && params.sensors.indexOf('L7') !== -1) {
+    filled = slcGapMask(dateStart, dateEnd, aoi).and(median.select('nir').mask().not());
+    median = fillCompositeGaps(median, filled, params.slc_gap_fill_radius);
+  }
+
+  // Add the indices and quality bands to the median composite. Use
+  // ee.Algorithms.If to handle cases where the collection might be empty.
+  var median_with_ndvi = ee.Algorithms.If(
+    combined_ls.size().gt(0),
+    addObservationQuality(addIndices(median, indices), combined_ls, aoi, params, filled),
+    // Return an empty image if no data is available.
+    ee.Image([])
+  );
+
+  // Return the composite image with its start time set, together with the
+  // quality summary of the scenes that went into it.
+  return ee.Image(median_with_ndvi)
+           .set('system:time_start', dateStart.millis())
+           .set('scene_count', combined_ls.size())
+           .set('mean_clear_fraction', combined_ls.aggregate_mean('clear_fraction'))
+           .set('mean_saturated_fraction', combined_ls.aggregate_mean('saturated_fraction'));
+}
+
+// Function to load, filter, preprocess, and composite Landsat data for a given
+// year. `params` and `indices` are as for landsatComposite.
+function loadAndPreprocessLandsat(year, aoi, params, indices) {
+  var range = yearDateRange(year);
+  return landsatComposite(range[0], range[1], aoi, params, indices).set('year', year);
+}
+
+// Function to build the ImageCollection of annual Landsat median composites for
+// a list of years. Years without any usable scene are left out.
+function buildLandsatDatacube(yearList, aoi, params, indices) {
+  return ee.ImageCollection(
+    yearList.map(function(year) {
+      return loadAndPreprocessLandsat(year, aoi, params, indices);
+    })
+  // Filter out any empty images that may have resulted from ee.Algorithms.If calls.
+  ).filter(ee.Filter.neq('system:band_names', ee.List([])));
+}
+
+// Helper function summarizing the scene and observation quality behind each
+// annual composite, with the percent of `geometry` that has at least one clear
+// observation and that is low confidence, reduced at `scale` metres.
+function compositeQualityTable(datacube, geometry, scale) {
+  return ee.FeatureCollection(datacube.map(function(img) {
+    var coverage = img.select('clear_obs').gt(0).rename('valid')
+      .addBands(img.select('low_confidence'))
+      .reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: geometry,
+        scale: scale,
+        maxPixels: 1e9,
+        bestEffort: true
+      });
+    return ee.Feature(null, {
+      'Year': img.get('year'),
+      'Scenes': img.get('scene_count'),
+      'Mean_Clear_Fraction': img.get('mean_clear_fraction'),
+      'Mean_Saturated_Fraction': img.get('mean_saturated_fraction'),
+      'Valid_Coverage_pct': ee.Number(coverage.get('valid')).multiply(100),
+      'Low_Confidence_pct': ee.Number(coverage.get('low_confidence')).multiply(100)
+    });
+  }));
+}
+
+// Helper function listing the years of `yearList` that have no composite in
+// the datacube because no usable scene was found.
+function missingYears(datacube, yearList) {
+  return ee.List(yearList).removeAll(datacube.aggregate_array('year'));
+}
+
+// Helper function returning a composite with its low_confidence band. Images
+// not built by landsatComposite (e.g. a user-supplied NDVI datacube) carry no
+// flag and get an all-zero one.
+function withLowConfidence(image) {
+  return ee.Image(ee.Algorithms.If(
+    image.bandNames().contains('low_confidence'),
+    image,
+    image.addBands(ee.Image.constant(0).byte().rename('low_confidence'))
+  ));
+}
+
+// Function returning a 0/1 image flagging pixels that are low confidence in
+// any composite of the datacube, for the low-confidence columns of the summary
+// tables.
+function lowConfidenceMask(datacube) {
+  return datacube.map(withLowConfidence).select('low_confidence').max().rename('low_confidence');
+}
+
+// Helper function returning the annual composite of a given year.
+function compositeForYear(datacube, year) {
+  return ee.Image(datacube.filter(ee.Filter.eq('year', year)).first());
+}
+
+// Helper function returning the given bands of the annual composite of a
+// year, or a fully masked image with the same bands when the year has no
+// composite, so that per-year layers can be built for any year.
+function compositeBandsForYear(datacube, year, bands) {
+  var composites = datacube.filter(ee.Filter.eq('year', year));
+  var missing = ee.Image.cat(bands.map(function(name) {
+    return ee.Image.constant(0).float().rename(name);
+  })).updateMask(0);
+  return ee.Image(
+    ee.Algorithms.If(
+      composites.size().gt(0),
+      ee.Image(composites.first()).select(bands).float(),
+      missing
+    )
+  ).set('year', year);
+}
+
+exports.NEW_BAND_NAMES = NEW_BAND_NAMES;
+exports.QA_BITS = QA_BITS;
+exports.LANDSAT_SR_SCALING = LANDSAT_SR_SCALING;
+exports.LANDSAT_SENSORS = LANDSAT_SENSORS;
+exports.ETM_TO_OLI_COEFFICIENTS = ETM_TO_OLI_COEFFICIENTS;
+exports.SPECTRAL_INDICES = SPECTRAL_INDICES;
+exports.sensorSourceBands = sensorSourceBands;
+exports.qaFlagBits = qaFlagBits;
+exports.radsatBits = radsatBits;
+exports.maskLandsatSr = maskLandsatSr;
+exports.harmonizeEtmToOli = harmonizeEtmToOli;
+exports.addIndices = addIndices;
+exports.loadLandsatScenes = loadLandsatScenes;
+exports.landsatComposite = landsatComposite;
+exports.loadAndPreprocessLandsat = loadAndPreprocessLandsat;
+exports.buildLandsatDatacube = buildLandsatDatacube;
+exports.MIN_CLEAR_OBSERVATIONS = MIN_CLEAR_OBSERVATIONS;
+exports.slcGapMask = slcGapMask;
+exports.fillCompositeGaps = fillCompositeGaps;
+exports.addObservationQuality = addObservationQuality;
+exports.compositeQualityTable = compositeQualityTable;
+exports.missingYears = missingYears;
+exports.withLowConfidence = withLowConfidence;
+exports.lowConfidenceMask = lowConfidenceMask;
+exports.compositeForYear = compositeForYear;
+exports.compositeBandsForYear = compositeBandsForYear;
+
+
+//---
+
+//-----------------------------------------------------
+// 4. Landsat + MODIS Training Stack
+//-----------------------------------------------------
+
+// Helper function to reproject the Landsat image to the resolution and projection
+// of the MODIS land cover image, necessary for layer stacking.
+function prepareLandsatForClassification(image, referenceImage, aoi, resolution) {
+  var hasBands = image.bandNames().size().gt(0);
+  return ee.Algorithms.If(
+    hasBands,
+    image.clip(aoi).reproject({
+      // Use the MODIS image's Coordinate Reference System (CRS).
+      crs: referenceImage.projection().crs(),
+      // Use the target resolution.
+      scale: resolution
+    }),
+    ee.Image([])
+  );
+}
+
+// Function to build the training image collection by combining co-registered
+// Landsat spectral bands (resampled to `resolution`) with the MODIS land cover
+// band. `landCoverByYear` maps each training year to its land cover image; only
+// those years are used.
+function buildTrainingCollection(datacube, landCoverByYear, aoi, resolution) {
+  return Object.keys(landCoverByYear).map(function(key) {
+    var year = Number(key);
+    // Ensure the target band is named 'land_class'.
+    var lcImage = ee.Image(landCoverByYear[key]).rename('land_class');
+    return datacube.filter(ee.Filter.eq('year', year)).map(function(lsImage) {
+      // Check if both Landsat and Land Cover images are valid (not empty).
+      var validLS = lsImage.bandNames().size().gt(0);
+      var validLC = lcImage.bandNames().size().gt(0);
+      return ee.Algorithms.If(
+        validLS.and(validLC),
+        // Reproject Landsat to MODIS resolution and stack with the LC band.
+        ee.Image(prepareLandsatForClassification(lsImage, lcImage, aoi, resolution))
+          .addBands(lcImage),
+        ee.Image([])
+      );
+    });
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  // Filter out any resulting empty images.
+  }).filter(ee.Filter.neq('system:band_names', ee.List([])));
+}
+
+exports.prepareLandsatForClassification = prepareLandsatForClassification;
+exports.buildTrainingCollection = buildTrainingCollection;
+
+
+//---
+
+//-----------------------------------------------------
+// 5. Equal-Area Statistics
+//-----------------------------------------------------
+// All areas below are summed from the true per-pixel area (ee.Image.pixelArea),
+// so they are equal-area regardless of the image projection. The weighted sum
+// reducer counts pixels on a region's edge by the fraction inside it.
+
+// Helper function returning a region's area in hectares.
+function regionAreaHa(geometry) {
+  return ee.Number(geometry.area(1)).divide(10000);
+}
+
+// Helper function summing the area (hectares) of the pixels of `areaImage`
+// per class of `classImage` within a region, keyed by the class value.
+function areaByClass(areaImage, classImage, scale, geometry) {
+  var grouped = areaImage
+    .addBands(classImage.rename('class'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({ groupField: 1, groupName: 'class' }),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+  var groups = ee.List(grouped.get('groups'));
+  // Re-key the grouped sums by class value for direct lookup.
+  return ee.Dictionary.fromLists(
+    groups.map(function(g) {
+      return ee.Number(ee.Dictionary(g).get('class')).int().format();
+    }),
+    groups.map(function(g) {
+      return ee.Dictionary(g).get('sum');
+    })
+  );
+}
+
+// Helper function to summarize a categorical image as area per class within a
+// region: hectares, km² and percent of the region. `classes` is a list of
+// {value, name} objects defining the table rows. With a `lowConfidence` image
+// (see lowConfidenceMask), each row also reports the area and percent of the
+// class resting on too few clear observations.
+function classAreaTable(classImage, classes, scale, geometry, lowConfidence) {
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  var areas = areaByClass(pixelHa, classImage, scale, geometry);
+  var lowAreas = lowConfidence ?
+    areaByClass(pixelHa.updateMask(lowConfidence), classImage, scale, geometry) : null;
+  var totalHa = regionAreaHa(geometry);
+  return ee.FeatureCollection(classes.map(function(c) {
+    var areaHa = ee.Number(areas.get(String(c.value), 0));
+    var props = {
+      'Class': c.value,
+      'Name': c.name,
+      'Area_ha': areaHa,
+      'Area_km2': areaHa.divide(100),
+      'Percent_AOI': areaHa.divide(totalHa).multiply(100)
+    };
+    if (lowAreas) {
+      var lowHa = ee.Number(lowAreas.get(String(c.value), 0));
+      props['Low_Confidence_ha'] = lowHa;
+      props['Low_Confidence_pct'] = ee.Algorithms.If(
+        areaHa.gt(0), lowHa.divide(areaHa).multiply(100), null
+      );
+    }
+    return ee.Feature(null, props);
+  }));
+}
+
+// Helper function summing the area (hectares) of every first→last class pair
+// within a region in a single grouped reduction, as a FeatureCollection of
+// From / To / Area_ha rows. A year without a class reads as -1. The pairs
+// feed both the change table (changeTableFromPairs) and the transition table
+// (transitionsFromPairs), so the reduction runs once for the two.
+function classPairAreas(firstImage, lastImage, classes, scale, geometry) {
+  // Pair code (from + 1) × base + (to + 1), with the base above every class
+  // value so that codes never collide.
+  var base = Math.max.apply(null, classes.map(function(c) { return c.value; })) + 2;
+  var pairCode = firstImage.unmask(-1).add(1).multiply(base)
+    .add(lastImage.unmask(-1).add(1))
+    .rename('pair');
+  var grouped = ee.Image.pixelArea().divide(10000)
+    .addBands(pairCode)
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({ groupField: 1, groupName: 'pair' }),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+  return ee.FeatureCollection(ee.List(grouped.get('groups')).map(function(g) {
+    g = ee.Dictionary(g);
+    var code = ee.Number(g.get('pair')).int();
+    return ee.Feature(null, {
+      'From': code.divide(base).int().subtract(1),
+      'To': code.mod(base).subtract(1),
+      'Area_ha': g.get('sum')
+    });
+  }));
+}
+
+// Helper function building the per-class change table from class pair areas:
+// the area (ha, km², % of the region) of each class in the first and last
+// years and the absolute / percent change.
+function changeTableFromPairs(pairs, classes, firstYear, lastYear, geometry) {
+  var totalHa = regionAreaHa(geometry);
+  return ee.FeatureCollection(classes.map(function(c) {
+    var a1 = ee.Number(pairs.filter(ee.Filter.eq('From', c.value)).aggregate_sum('Area_ha'));
+    var a2 = ee.Number(pairs.filter(ee.Filter.eq('To', c.value)).aggregate_sum('Area_ha'));
+    var props = {
+      'Class': c.value,
+      'Name': c.name,
+      'Change_ha': a2.subtract(a1),
+      'Change_pct': ee.Algorithms.If(a1.gt(0), a2.subtract(a1).divide(a1).multiply(100), null)
+    };
+    props['Area_' + firstYear + '_ha'] = a1;
+    props['Area_' + lastYear + '_ha'] = a2;
+    props['Area_' + firstYear + '_km2'] = a1.divide(100);
+    props['Area_' + lastYear + '_km2'] = a2.divide(100);
+    props['Percent_AOI_' + firstYear] = a1.divide(totalHa).multiply(100);
+    props['Percent_AOI_' + lastYear] = a2.divide(totalHa).multiply(100);
+    return ee.Feature(null, props);
+  }));
+}
+
+// Helper function to build the per-class land cover area and change table of a
+// region, comparing a first and last year land cover image.
+function landCoverChangeTable(firstImage, lastImage, classes, firstYear, lastYear, scale, geometry) {
+  return changeTableFromPairs(
+    classPairAreas(firstImage, lastImage, classes, scale, geometry),
+    classes, firstYear, lastYear, geometry
+  );
+}
+
+// Helper function to build an area-weighted histogram (hectares per bin) of a
+// single-band continuous image within a region.
+function areaHistogram(image, binWidth, scale, geometry) {
+  var bandName = ee.String(image.bandNames().get(0));
+  var grouped = ee.Image.pixelArea().divide(10000)
+    .addBands(image.divide(binWidth).floor().int().rename('bin'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({ groupField: 1, groupName: 'bin' }),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+  return ee.FeatureCollection(ee.List(grouped.get('groups')).map(function(g) {
+    g = ee.Dictionary(g);
+    // Label each bin by its centre value.
+    var centre = ee.Number(g.get('bin')).add(0.5).multiply(binWidth);
+    return ee.Feature(null, ee.Dictionary({ 'Area_ha': g.get('sum') }).set(bandName, centre));
+  }));
+}
+
+// Helper function to calculate mean, min, and max NDVI for several years in a
+// single reduction over the stacked composites, one row per year with the
+// same columns as ndviStats. Years without a composite are left out.
+function ndviStatsTable(datacube, yearList, geometry) {
+  var composites = datacube.filter(ee.Filter.inList('year', yearList))
+                           .map(withLowConfidence)
+                           .select(['NDVI', 'low_confidence']);
+  var years = composites.aggregate_array('year');
+  // toBands prefixes every band with its image ID; name them by year instead.
+  var stacked = composites.toBands().rename(years.map(function(year) {
+    var suffix = ee.Number(year).format();
+    return ee.List([ee.String('NDVI_').cat(suffix), ee.String('low_confidence_').cat(suffix)]);
+  }).flatten());
+  var stats = stacked.reduceRegion({
+    reducer: ee.Reducer.mean()
+               .combine(ee.Reducer.min(), '', true)
+               .combine(ee.Reducer.max(), '', true),
+    geometry: geometry,
+    scale: 30, // Use Landsat's native resolution for statistics.
+    maxPixels: 1e9
+  });
+  return ee.FeatureCollection(years.map(function(year) {
+    var suffix = ee.Number(year).format();
+    var ndvi = ee.String('NDVI_').cat(suffix);
+    return ee.Feature(null, {
+      'Year': year,
+      'Mean_NDVI': stats.get(ndvi.cat('_mean')),
+      'Min_NDVI': stats.get(ndvi.cat('_min')),
+      'Max_NDVI': stats.get(ndvi.cat('_max')),
+      'Low_Confidence_pct': ee.Number(stats.get(ee.String('low_confidence_').cat(suffix).cat('_mean')))
+                              .multiply(100)
+    });
+  }));
+}
+
+// Helper function to calculate mean, min, and max NDVI for a given year's
+// composite within a region, with the percent of the region flagged as low
+// confidence in that composite.
+function ndviStats(datacube, year, geometry) {
+  var lsImage = compositeForYear(datacube, year);
+  // Combine multiple reducers (mean, min, max) into a single reduction.
+  var stats = withLowConfidence(lsImage).select(['NDVI', 'low_confidence']).reduceRegion({
+    reducer: ee.Reducer.mean()
+               .combine(ee.Reducer.min(), '', true)
+               .combine(ee.Reducer.max(), '', true),
+    geometry: geometry,
+    scale: 30, // Use Landsat's native resolution for statistics.
+    maxPixels: 1e9
+  });
+
+  // Return a feature containing the year and the calculated statistics.
+  return ee.Feature(null, {
+    'Year': year,
+    'Mean_NDVI': stats.get('NDVI_mean'),
+    'Min_NDVI': stats.get('NDVI_min'),
+    'Max_NDVI': stats.get('NDVI_max'),
+    'Low_Confidence_pct': ee.Number(stats.get('low_confidence_mean')).multiply(100)
+  });
+}
+
+exports.regionAreaHa = regionAreaHa;
+exports.areaByClass = areaByClass;
+exports.classAreaTable = classAreaTable;
+exports.classPairAreas = classPairAreas;
+exports.changeTableFromPairs = changeTableFromPairs;
+exports.landCoverChangeTable = landCoverChangeTable;
+exports.areaHistogram = areaHistogram;
+exports.ndviStatsTable = ndviStatsTable;
+exports.ndviStats = ndviStats;
+
+
+//---
+
+//-----------------------------------------------------
+// 6. SDG 15.3.1 Productivity: Trajectory, State and Performance
+//-----------------------------------------------------
+
+// Helper function returning the two-sided critical z value for a confidence
+// level, using the rational approximation of Abramowitz & Stegun (26.2.23).
+function zCritical(confidence) {
+  var p = (1 - confidence) / 2;
+  var t = Math.sqrt(-2 * Math.log(p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+             (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
+// Helper function returning the annual NDVI band for a given year, or a fully
+// masked image when no Landsat composite could be built for that year.
+function annualNdvi(datacube, year) {
+  var composites = datacube.filter(ee.Filter.eq('year', year));
+  var missing = ee.Image.constant(0).float().updateMask(0).rename('NDVI');
+  return ee.Image(
+    ee.Algorithms.If(
+      composites.size().gt(0),
+      ee.Image(composites.first()).select('NDVI').float(),
+      missing
+    )
+  ).set('year', year)
+   .set('system:time_start', ee.Date.fromYMD(year, 1, 1).millis());
+}
+
+// Helper function to test an annual series (one single-band image per year of
+// yearList, masked where missing) for a monotonic trend. Returns an image with
+// the Mann-Kendall S, Z and observation count, Sen's slope (series units per
+// year) and the signed significance class.
+function mannKendallTrend(series, yearList, params, aoi) {
+  // Mann-Kendall S: sum of the signs of all forward pairwise differences.
+  // Pairs with a missing year contribute nothing.
+  var mkS = ee.Image.constant(0);
+  for (var i = 0; i < series.length - 1; i++) {
+    for (var j = i + 1; j < series.length; j++) {
+      mkS = mkS.add(series[j].subtract(series[i]).signum().unmask(0));
+    }
+  }
+  mkS = mkS.rename('mk_s');
+
+  // Variance of S under the null hypothesis (no tie correction).
+  var n = ee.ImageCollection(series).count().rename('n_obs');
+  var varS = n.multiply(n.subtract(1))
+              .multiply(n.multiply(2).add(5))
+              .divide(18);
+
+  // Continuity-corrected standardized test statistic.
+  var mkZ = ee.Image.constant(0).float()
+    .where(mkS.gt(0), mkS.subtract(1).divide(varS.sqrt()))
+    .where(mkS.lt(0), mkS.add(1).divide(varS.sqrt()))
+    .rename('mk_z');
+
+  // Sen's slope: median of pairwise slopes of NDVI against year.
+  var sensSlope = ee.ImageCollection(series.map(function(img, idx) {
+    return ee.Image.constant(yearList[idx]).float().rename('year')
+             .updateMask(img.mask())
+             .addBands(img);
+  })).reduce(ee.Reducer.sensSlope()).select('slope').rename('sens_slope');
+
+  // Grade significance: +/-k where k is the number of confidence levels met.
+  var trendClass = ee.Image.constant(0);
+  params.confidence_levels.forEach(function(level, idx) {
+    var zc = zCritical(level);
+    trendClass = trendClass.where(mkZ.gte(zc), idx + 1)
+                           .where(mkZ.lte(-zc), -(idx + 1));
+  });
+  trendClass = trendClass.rename('trajectory_class');
+
+  // Mask pixels without enough observations to fit a trend.
+  var enough = n.gte(params.min_observations);
+  return ee.Image.cat([mkS, mkZ, n, sensSlope, trendClass])
+           .updateMask(enough)
+           .clip(aoi);
+}
+
+// Helper function to compute the productivity trajectory: the trend of the
+// annual NDVI series (Sen's slope in NDVI units per year).
+function productivityTrajectory(datacube, yearList, params, aoi) {
+  var series = yearList.map(function(year) { return annualNdvi(datacube, year); });
+  return mannKendallTrend(series, yearList, params, aoi);
+}
+
+// Helper function building the class labels and palette for a set of
+// confidence levels, from strongest degradation to strongest improvement.
+function trajectoryClasses(levels) {
+  var degradingRamp = ['fdae61', 'f46d43', 'd73027', 'a50026'];
+  var improvingRamp = ['a6d96a', '66bd63', '1a9850', '006837'];
+  var classes = [];
+  for (var k = levels.length; k >= 1; k--) {
+    classes.push({
+      value: -k,
+      name: 'Degrading (' + Math.round(levels[k - 1] * 100) + '%)',
+      color: degradingRamp[k - 1]
+    });
+  }
+  classes.push({ value: 0, name: 'Stable', color: 'ffffe0' });
+  for (var k2 = 1; k2 <= levels.length; k2++) {
+    classes.push({
+      value: k2,
+      name: 'Improving (' + Math.round(levels[k2 - 1] * 100) + '%)',
+      color: improvingRamp[k2 - 1]
+    });
+  }
+  return classes;
+}
+
+// Helper function returning the mean annual NDVI of a span of years
+// ([first, last], inclusive).
+function periodMeanNdvi(datacube, span) {
+  return ee.ImageCollection(yearRange(span[0], span[1]).map(function(year) {
+    return annualNdvi(datacube, year);
+  })).mean().rename('NDVI');
+}
+
+// Classes of the productivity state.
+var STATE_CLASSES = [
+  { value: -1, name: 'Degrading', color: 'd73027' },
+  { value: 0,  name: 'Stable',    color: 'ffffe0' },
+  { value: 1,  name: 'Improving', color: '1a9850' }
+];
+
+// Helper function to compute the productivity state. The annual NDVI of the
+// baseline years gives each pixel's decile thresholds; the baseline mean and
+// the comparison period mean are both placed in a decile class (1-10), and a
+// shift of at least `class_change` classes is classified as degrading or
+// improving.
+function productivityState(datacube, params) {
+  var percentiles = [10, 20, 30, 40, 50, 60, 70, 80, 90];
+  var baseline = ee.ImageCollection(
+    yearRange(params.baseline_years[0], params.baseline_years[1]).map(function(year) {
+      return annualNdvi(datacube, year);
+    })
+  );
+  var thresholds = baseline.reduce(ee.Reducer.percentile(percentiles))
+    .rename(percentiles.map(function(p) { return 'p' + p; }));
+
+  // Decile class of a mean NDVI: one plus the number of thresholds it exceeds.
+  function decile(meanNdvi) {
+    var cls = ee.Image.constant(1);
+    percentiles.forEach(function(p) {
+      cls = cls.add(meanNdvi.gt(thresholds.select('p' + p)));
+    });
+    return cls;
+  }
+  var baselineDecile = decile(periodMeanNdvi(datacube, params.baseline_years))
+    .rename('baseline_decile');
+  var comparisonDecile = decile(periodMeanNdvi(datacube, params.comparison_years))
+    .rename('comparison_decile');
+  var change = comparisonDecile.subtract(baselineDecile).rename('state_change');
+  var stateClass = ee.Image.constant(0)
+    .where(change.lte(-params.class_change), -1)
+    .where(change.gte(params.class_change), 1)
+    .updateMask(change.mask())
+    .rename('state_class');
+  return ee.Image.cat([baselineDecile, comparisonDecile, change, stateClass]);
+}
+
+// Classes of the productivity performance.
+var PERFORMANCE_CLASSES = [
+  { value: -1, name: 'Low', color: 'd73027' },
+  { value: 0,  name: 'Normal', color: 'ffffe0' }
+];
+
+// Helper function to compute the productivity performance. Each pixel's mean
+// NDVI over `params.years` is compared to the `params.percentile` NDVI of all
+// pixels in the same unit (an integer image of land cover or ecological units)
+// across the AOI; a ratio below `params.ratio_threshold` is low performance.
+function productivityPerformance(datacube, params, units, aoi) {
+  var meanNdvi = periodMeanNdvi(datacube, params.years);
+  var unitImage = units.rename('unit');
+  var grouped = meanNdvi.addBands(unitImage).reduceRegion({
+    reducer: ee.Reducer.percentile([params.percentile]).group({
+      groupField: 1, groupName: 'unit'
+    }),
+    geometry: aoi,
+    scale: params.scale,
+    maxPixels: 1e9
+  });
+  var groups = ee.List(grouped.get('groups'));
+  var unitMax = unitImage.remap(
+    groups.map(function(g) { return ee.Dictionary(g).get('unit'); }),
+    groups.map(function(g) { return ee.Dictionary(g).get('p' + params.percentile); })
+  ).rename('unit_max_ndvi');
+  var ratio = meanNdvi.divide(unitMax).rename('performance_ratio');
+  var performanceClass = ee.Image.constant(0)
+    .where(ratio.lt(params.ratio_threshold), -1)
+    .updateMask(ratio.mask())
+    .rename('performance_class');
+  return ee.Image.cat([meanNdvi.rename('ndvi_mean'), unitMax, ratio, performanceClass])
+           .clip(aoi);
+}
+
+// Classes of the combined productivity.
+var PRODUCTIVITY_CLASSES = [
+  { value: 1, name: 'Declining',              color: 'd73027' },
+  { value: 2, name: 'Early signs of decline', color: 'fc8d59' },
+  { value: 3, name: 'Stable but stressed',    color: 'fee08b' },
+  { value: 4, name: 'Stable',                 color: 'ffffe0' },
+  { value: 5, name: 'Increasing',             color: '1a9850' }
+];
+
+// Default combination of trajectory, state and performance into the
+// productivity classes, after the UNCCD good practice guidance. Rows are the
+// trajectory (degrading, stable, improving), columns the state in the same
+// order, and each cell holds the class for [low, normal] performance.
+var PRODUCTIVITY_MATRIX = [
+  [[1, 1], [1, 1], [1, 2]],
+  [[2, 2], [3, 4], [3, 4]],
+  [[3, 5], [5, 5], [5, 5]]
+];
+
+// Productivity classes counted as degraded (-1), stable (0) or improved (1).
+var PRODUCTIVITY_TO_SUB_INDICATOR = { 1: -1, 2: -1, 3: 0, 4: 0, 5: 1 };
+
+// Helper function combining the -1/0/1 trajectory, the state classes and the
+// performance classes with a matrix shaped like PRODUCTIVITY_MATRIX. Returns
+// the productivity class and the -1/0/1 productivity sub-indicator; pixels
+// missing any of the three are masked.
+function combineProductivity(trajectory, state, performance, matrix) {
+  var codes = [];
+  var values = [];
+  matrix.forEach(function(row, t) {
+    row.forEach(function(cell, s) {
+      cell.forEach(function(value, p) {
+        codes.push(t * 6 + s * 2 + p);
+        values.push(value);
+      });
+    });
+  });
+  var code = trajectory.add(1).multiply(6)
+    .add(state.select('state_class').add(1).multiply(2))
+    .add(performance.select('performance_class').add(1));
+  var productivityClass = code.remap(codes, values).rename('productivity_class');
+  var mapping = Object.keys(PRODUCTIVITY_TO_SUB_INDICATOR);
+  var subIndicator = productivityClass.remap(
+    mapping.map(Number),
+    mapping.map(function(k) { return PRODUCTIVITY_TO_SUB_INDICATOR[k]; })
+  ).rename('prod_degradation');
+  return productivityClass.addBands(subIndicator);
+}
+
+// Helper function returning a year's total precipitation over the AOI from the
+// rainfall dataset of `params` (collection, band), summed over the months
+// params.months = [first, last] (e.g. the monsoon), or the whole year if null.
+// The source images are resampled bilinearly before summing, since the sum
+// itself has no projection to resample from, so the coarse rainfall grid is
+// interpolated rather than blocky at the NDVI resolution.
+function annualPrecipitation(params, year, aoi) {
+  var range = yearDateRange(year);
+  var rain = ee.ImageCollection(params.collection)
+    .filterDate(range[0], range[1])
+    .filterBounds(aoi)
+    .select(params.band);
+  if (params.months) {
+    rain = rain.filter(ee.Filter.calendarRange(params.months[0], params.months[1], 'month'));
+  }
+  return rain
+    .map(function(image) { return image.resample('bilinear'); })
+    .sum()
+    .rename('precipitation')
+    .clip(aoi)
+    .set('year', year)
+    .set('system:time_start', range[0].millis());
+}
+
+// Helper function to compute a climate-adjusted productivity trajectory.
+// 'restrend' fits NDVI to precipitation per pixel over all years (least
+// squares) and tests the residuals for a trend; 'wue' tests the water-use
+// efficiency NDVI / precipitation. Returns the same bands as
+// productivityTrajectory.
+function climateAdjustedTrajectory(datacube, yearList, climateParams, params, aoi) {
+  if (climateParams.method !== 'restrend' && climateParams.method !== 'wue') {
+    throw new Error('Unknown climate adjustment method: ' + climateParams.method +
+                    " (expected 'restrend' or 'wue')");
+  }
+  var pairs = yearList.map(function(year) {
+    return annualPrecipitation(climateParams, year, aoi)
+             .addBands(annualNdvi(datacube, year));
+  });
+  var series;
+  if (climateParams.method === 'restrend') {
+    var fit = ee.ImageCollection(pairs).reduce(ee.Reducer.linearFit());
+    series = pairs.map(function(img) {
+      var expected = img.select('precipitation').multiply(fit.select('scale'))
+                        .add(fit.select('offset'));
+      return img.select('NDVI').subtract(expected).rename('ndvi_residual');
+    });
+  } else {
+    series = pairs.map(function(img) {
+      return img.select('NDVI').divide(img.select('precipitation')).rename('wue');
+    });
+  }
+  return mannKendallTrend(series, yearList, params, aoi);
+}
+
+// Classes comparing the raw and the climate-adjusted trajectory.
+var CLIMATE_DISAGREEMENT_CLASSES = [
+  { value: 0, name: 'Agree',                         color: 'ffffe0' },
+  { value: 1, name: 'Raw decline explained by rain', color: '4575b4' },
+  { value: 2, name: 'Decline masked by rain',        color: 'd73027' },
+  { value: 3, name: 'Other disagreement',            color: 'bababa' }
+];
+
+// Helper function flagging pixels where the direction of the raw and the
+// climate-adjusted trajectory differ, counting a trend significant at the
+// lowest confidence level.
+function climateDisagreement(rawTrajectory, adjustedTrajectory) {
+  var raw = rawTrajectory.select('trajectory_class').signum();
+  var adjusted = adjustedTrajectory.select('trajectory_class').signum();
+  return ee.Image.constant(0)
+    .where(raw.neq(adjusted), 3)
+    .where(raw.eq(-1).and(adjusted.gte(0)), 1)
+    .where(raw.gte(0).and(adjusted.eq(-1)), 2)
+    .updateMask(raw.mask().and(adjusted.mask()))
+    .rename('climate_disagreement');
+}
+
+exports.zCritical = zCritical;
+exports.annualNdvi = annualNdvi;
+exports.mannKendallTrend = mannKendallTrend;
+exports.productivityTrajectory = productivityTrajectory;
+exports.trajectoryClasses = trajectoryClasses;
+exports.periodMeanNdvi = periodMeanNdvi;
+exports.STATE_CLASSES = STATE_CLASSES;
+exports.productivityState = productivityState;
+exports.PERFORMANCE_CLASSES = PERFORMANCE_CLASSES;
+exports.productivityPerformance = productivityPerformance;
+exports.PRODUCTIVITY_CLASSES = PRODUCTIVITY_CLASSES;
+exports.PRODUCTIVITY_MATRIX = PRODUCTIVITY_MATRIX;
+exports.PRODUCTIVITY_TO_SUB_INDICATOR = PRODUCTIVITY_TO_SUB_INDICATOR;
+exports.combineProductivity = combineProductivity;
+exports.annualPrecipitation = annualPrecipitation;
+exports.climateAdjustedTrajectory = climateAdjustedTrajectory;
+exports.CLIMATE_DISAGREEMENT_CLASSES = CLIMATE_DISAGREEMENT_CLASSES;
+exports.climateDisagreement = climateDisagreement;
+
+
+//---
+
+//-----------------------------------------------------
+// 7. Land Cover Transitions and the UNCCD Degradation Lookup
+//-----------------------------------------------------
+
+// The 7 UNCCD land cover classes used for SDG 15.3.1 reporting.
+var UNCCD_CLASSES = [
+  { value: 1, name: 'Tree-covered', color: '1b7837' },
+  { value: 2, name: 'Grassland',    color: 'c2e699' },
+  { value: 3, name: 'Cropland',     color: 'fee08b' },
+  { value: 4, name: 'Wetland',      color: '4eb3d3' },
+  { value: 5, name: 'Artificial',   color: 'd73027' },
+  { value: 6, name: 'Other land',   color: 'bababa' },
+  { value: 7, name: 'Water body',   color: '2166ac' }
+];
+
+// UNCCD class of water bodies, which are left out of the land area reported by
+// the SDG 15.3.1 indicator.
+var UNCCD_WATER = 7;
+
+// Default degradation lookup matrix (UNCCD good-practice default).
+// Rows are the first-year class, columns the last-year class, both in UNCCD
+// order (1-7): -1 = degradation, 0 = stable, 1 = improvement.
+var UNCCD_DEGRADATION_MATRIX = [
+  //  Tree Grass Crop  Wet  Art Other Water
+  [    0,  -1,  -1,  -1,  -1,  -1,   0 ], // Tree-covered
+  [    1,   0,   1,  -1,  -1,  -1,   0 ], // Grassland
+  [    1,  -1,   0,  -1,  -1,  -1,   0 ], // Cropland
+  [   -1,  -1,  -1,   0,  -1,  -1,   0 ], // Wetland
+  [    1,   1,   1,   1,   0,   1,   0 ], // Artificial
+  [    1,   1,   1,   1,  -1,   0,   0 ], // Other land
+  [    0,   0,   0,   0,   0,   0,   0 ]  // Water body
+];
+
+// Classes of the -1/0/1 sub-indicators and the final indicator.
+var SUB_INDICATOR_CLASSES = [
+  { value: -1, name: 'Degraded', color: 'd7191c' },
+  { value: 0,  name: 'Stable',   color: 'ffffbf' },
+  { value: 1,  name: 'Improved', color: '1a9641' }
+];
+
+// Multiplier used to encode a from→to pair as a single transition code.
+var TRANSITION_CODE_BASE = 100;
+
+// Helper function to aggregate a land cover image into UNCCD classes with a
+// source's crosswalk ({class: unccd}).
+function toUnccd(lcImage, mapping) {
+  var from = Object.keys(mapping).map(Number);
+  var to = from.map(function(k) { return mapping[k]; });
+  return lcImage.remap(from, to).rename('unccd_class');
+}
+
+// Helper function to encode the transition between two class images.
+function transitionCode(fromImage, toImage) {
+  return fromImage.multiply(TRANSITION_CODE_BASE).add(toImage).rename('transition');
+}
+
+// Helper function flattening a from→to matrix (rows and columns in class order
+// 1..n) into the transition codes and values expected by Image.remap.
+function matrixLookup(matrix) {
+  var codes = [];
+  var values = [];
+  matrix.forEach(function(row, i) {
+    row.forEach(function(value, j) {
+      codes.push((i + 1) * TRANSITION_CODE_BASE + (j + 1));
+      values.push(value);
+    });
+  });
+  return { codes: codes, values: values };
+}
+
+// Helper function to apply a degradation lookup matrix to a UNCCD transition
+// image, returning the -1/0/1 land cover sub-indicator.
+function applyDegradationMatrix(transition, matrix) {
+  var lookup = matrixLookup(matrix);
+  return transition.remap(lookup.codes, lookup.values).rename('lc_degradation');
+}
+
+// Helper function labelling the class pairs of classPairAreas as a from→to
+// transition table (hectares). Only transitions present in the region, with a
+// class in both years, are returned.
+function transitionsFromPairs(pairs, classes) {
+  var names = ee.Dictionary.fromLists(
+    classes.map(function(c) { return String(c.value); }),
+    classes.map(function(c) { return c.name; })
+  );
+  var present = pairs.filter(ee.Filter.gte('From', 0)).filter(ee.Filter.gte('To', 0));
+  return present.map(function(f) {
+    var from = ee.Number(f.get('From'));
+    var to = ee.Number(f.get('To'));
+    return ee.Feature(null, {
+      'From': from,
+      'To': to,
+      'From_Name': names.get(from.format(), 'Unknown'),
+      'To_Name': names.get(to.format(), 'Unknown'),
+      'Area_ha': f.get('Area_ha'),
+      'Area_km2': ee.Number(f.get('Area_ha')).divide(100)
+    });
+  });
+}
+
+// Helper function to build a from→to transition table (hectares) between two
+// class images within a region. Only transitions present in the region are
+// returned.
+function transitionTable(fromImage, toImage, classes, scale, geometry) {
+  return transitionsFromPairs(classPairAreas(fromImage, toImage, classes, scale, geometry), classes);
+}
+
+exports.UNCCD_CLASSES = UNCCD_CLASSES;
+exports.UNCCD_WATER = UNCCD_WATER;
+exports.UNCCD_DEGRADATION_MATRIX = UNCCD_DEGRADATION_MATRIX;
+exports.SUB_INDICATOR_CLASSES = SUB_INDICATOR_CLASSES;
+exports.TRANSITION_CODE_BASE = TRANSITION_CODE_BASE;
+exports.toUnccd = toUnccd;
+exports.transitionCode = transitionCode;
+exports.matrixLookup = matrixLookup;
+exports.applyDegradationMatrix = applyDegradationMatrix;
+exports.transitionsFromPairs = transitionsFromPairs;
+exports.transitionTable = transitionTable;
+
+
+//---
+
+//-----------------------------------------------------
+// 8. SDG 15.3.1 Soil Organic Carbon (SOC) Sub-indicator
+//-----------------------------------------------------
+
+// Helper function building the IPCC conversion coefficient matrix (rows: first
+// year UNCCD class, columns: last year UNCCD class, both in UNCCD order 1-7).
+// Each entry is the ratio of the final to the initial SOC stock.
+function socCoefficientMatrix(params) {
+  var fc = params.f_lu_cropland;
+  var fw = params.f_lu_wetland;
+  return [
+    //  Tree    Grass   Crop   Wet     Art   Other Water
+    [   1,      1,      fc,    1,      0.1,  0.1,  1 ], // Tree-covered
+    [   1,      1,      fc,    1,      0.1,  0.1,  1 ], // Grassland
+    [   1 / fc, 1 / fc, 1,     1 / fw, 0.1,  0.1,  1 ], // Cropland
+    [   1,      1,      fw,    1,      0.1,  0.1,  1 ], // Wetland
+    [   2,      2,      2,     2,      1,    1,    1 ], // Artificial
+    [   2,      2,      2,     2,      1,    1,    1 ], // Other land
+    [   1,      1,      1,     1,      1,    1,    1 ]  // Water body
+  ];
+}
+
+// Helper function to load the baseline SOC stock raster (t C/ha).
+function loadBaselineSoc(params, aoi) {
+  return ee.Image(params.baseline_asset)
+           .select(params.baseline_band)
+           .multiply(params.baseline_scale)
+           .rename('soc_baseline')
+           .clip(aoi);
+}
+
+// Helper function to compute the SOC sub-indicator from a baseline stock and a
+// UNCCD transition image. Returns the baseline and final stocks (t C/ha), the
+// relative change (%) and the -1/0/1 SOC degradation class.
+function socChange(baseline, transition, params, elapsedYears) {
+  var lookup = matrixLookup(socCoefficientMatrix(params));
+  var coefficient = transition.remap(lookup.codes, lookup.values).rename('soc_coefficient');
+
+  // Fraction of the full conversion effect reached after the elapsed years.
+  var phase = Math.min(elapsedYears / params.transition_years, 1);
+  var finalStock = baseline.multiply(
+    coefficient.subtract(1).multiply(phase).add(1)
+  ).rename('soc_final');
+
+  var changePct = finalStock.subtract(baseline)
+                            .divide(baseline)
+                            .multiply(100)
+                            .rename('soc_change_pct');
+
+  var socClass = ee.Image.constant(0)
+    .where(changePct.lte(-params.change_threshold_pct), -1)
+    .where(changePct.gte(params.change_threshold_pct), 1)
+    .updateMask(changePct.mask())
+    .rename('soc_degradation');
+
+  return ee.Image.cat([baseline, finalStock, changePct, socClass]);
+}
+
+// Helper function summing the total SOC stock (t C) of a region at the start
+// and end of the period, from the output of socChange.
+function socTotals(socImage, firstYear, lastYear, scale, geometry) {
+  var totals = socImage.select(['soc_baseline', 'soc_final'])
+    .multiply(ee.Image.pixelArea().divide(10000)) // t C/ha × ha per pixel
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+  var props = {};
+  props['SOC_' + firstYear + '_t'] = totals.get('soc_baseline');
+  props['SOC_' + lastYear + '_t'] = totals.get('soc_final');
+  props['Change_pct'] = ee.Number(totals.get('soc_final'))
+                          .subtract(totals.get('soc_baseline'))
+                          .divide(totals.get('soc_baseline'))
+                          .multiply(100);
+  return ee.Feature(null, props);
+}
+
+exports.socCoefficientMatrix = socCoefficientMatrix;
+exports.loadBaselineSoc = loadBaselineSoc;
+exports.socChange = socChange;
+exports.socTotals = socTotals;
+
+
+//---
+
+//-----------------------------------------------------
+// 9. SDG 15.3.1 Indicator: One-Out-All-Out Integration
+//-----------------------------------------------------
+
+// Bit flags recording which sub-indicators triggered degradation.
+var TRIGGER_PRODUCTIVITY = 1;
+var TRIGGER_LAND_COVER   = 2;
+var TRIGGER_SOC          = 4;
+
+// Names of the trigger flags, in flag order.
+var TRIGGERS = [
+  { name: 'Productivity', flag: TRIGGER_PRODUCTIVITY },
+  { name: 'Land Cover',   flag: TRIGGER_LAND_COVER },
+  { name: 'SOC',          flag: TRIGGER_SOC }
+];
+
+// Helper function to reduce the graded trajectory classes to a -1/0/1
+// productivity sub-indicator at the chosen confidence level.
+function productivitySubIndicator(trajectoryImage, params, confidence) {
+  var level = params.confidence_levels.indexOf(confidence) + 1;
+  if (level === 0) {
+    throw new Error('Confidence ' + confidence + ' is not one of ' +
+                    params.confidence_levels.join(', '));
+  }
+  var cls = trajectoryImage.select('trajectory_class');
+  return ee.Image.constant(0)
+    .where(cls.lte(-level), -1)
+    .where(cls.gte(level), 1)
+    .updateMask(cls.mask())
+    .rename('prod_degradation');
+}
+
+// Helper function implementing the one-out-all-out rule. Missing sub-indicators
+// neither trigger nor block a result; pixels with no sub-indicator are masked.
+// With a `water` image (1 over water bodies, e.g. the last-year UNCCD class
+// UNCCD_WATER), water pixels are masked too, so that the indicator and the
+// areas and proportions derived from it cover land only.
+// Returns the final -1/0/1 indicator and the bit flags of the triggers.
+function oneOutAllOut(subIndicators, aoi, water) {
+  var bands = [
+    { image: subIndicators.productivity, flag: TRIGGER_PRODUCTIVITY },
+    { image: subIndicators.landCover,    flag: TRIGGER_LAND_COVER },
+    { image: subIndicators.soc,          flag: TRIGGER_SOC }
+  ];
+  var triggers = ee.Image.constant(0);
+  var anyImproved = ee.Image.constant(0);
+  var anyValid = ee.Image.constant(0);
+  bands.forEach(function(b) {
+    var value = b.image.unmask(0);
+    triggers = triggers.add(value.eq(-1).multiply(b.flag));
+    anyImproved = anyImproved.or(value.eq(1));
+    anyValid = anyValid.or(b.image.mask());
+  });
+  var indicator = ee.Image.constant(0)
+    .where(anyImproved, 1)
+    .where(triggers.gt(0), -1)
+    .rename('sdg_15_3_1');
+  if (water) {
+    anyValid = anyValid.and(water.unmask(0).not());
+  }
+  return indicator.addBands(triggers.rename('degradation_trigger'))
+                  .updateMask(anyValid)
+                  .clip(aoi);
+}
+
+// Helper function to sum the total and degraded area (hectares) of the
+// indicator within a region. With a `lowConfidence` image (see
+// lowConfidenceMask), the low-confidence part of each is summed too
+// ('low_confidence_ha', 'degraded_low_confidence_ha').
+function sdgAreas(indicator, scale, geometry, lowConfidence) {
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  var total = pixelHa.updateMask(indicator.select('sdg_15_3_1').mask()).rename('total_ha');
+  var degraded = pixelHa.updateMask(indicator.select('sdg_15_3_1').eq(-1)).rename('degraded_ha');
+  var areas = total.addBands(degraded);
+  if (lowConfidence) {
+    areas = areas.addBands(total.updateMask(lowConfidence).rename('low_confidence_ha'))
+                 .addBands(degraded.updateMask(lowConfidence).rename('degraded_low_confidence_ha'));
+  }
+  return areas
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+}
+
+// Helper function building the headline figure of a region: its degraded area
+// and proportion over the given period label. With `estimates` (the per-class
+// table of stratifiedAreaEstimates for the indicator), the area-adjusted
+// degraded area and proportion and their confidence intervals are added. With
+// a `lowConfidence` image, so are the percent of the indicator area and of the
+// degraded area that rest on too few clear observations.
+function sdgHeadlineFeature(indicator, scale, geometry, period, estimates, lowConfidence) {
+  var areas = sdgAreas(indicator, scale, geometry, lowConfidence);
+  var props = {
+    'Period': period,
+    'Total_Area_ha': areas.get('total_ha'),
+    'Total_Area_km2': ee.Number(areas.get('total_ha')).divide(100),
+    'Degraded_Area_ha': areas.get('degraded_ha'),
+    'Degraded_Area_km2': ee.Number(areas.get('degraded_ha')).divide(100),
+    'Proportion_Degraded': ee.Number(areas.get('degraded_ha'))
+                             .divide(areas.get('total_ha'))
+  };
+  if (estimates) {
+    var degraded = ee.Feature(estimates.filter(ee.Filter.eq('Class', -1)).first());
+    props['Adjusted_Degraded_Area_ha'] = degraded.get('Estimated_Area_ha');
+    props['Adjusted_Degraded_Area_CI_ha'] = degraded.get('Estimated_Area_CI_ha');
+    props['Adjusted_Proportion_Degraded'] = degraded.get('Estimated_Proportion');
+    props['Adjusted_Proportion_Degraded_CI'] = degraded.get('Estimated_Proportion_CI');
+  }
+  if (lowConfidence) {
+    var degradedHa = ee.Number(areas.get('degraded_ha'));
+    props['Low_Confidence_pct'] = ee.Number(areas.get('low_confidence_ha'))
+                                    .divide(areas.get('total_ha')).multiply(100);
+    props['Degraded_Low_Confidence_pct'] = ee.Algorithms.If(
+      degradedHa.gt(0),
+      ee.Number(areas.get('degraded_low_confidence_ha')).divide(degradedHa).multiply(100),
+      null
+    );
+  }
+  return ee.Feature(null, props);
+}
+
+// Helper function breaking the degraded area of a region down by
+// sub-indicator. "Any" counts every pixel where the sub-indicator shows
+// degradation; "Only" counts pixels where it was the sole trigger. With a
+// `lowConfidence` image, each row also reports the percent of its "Any" area
+// resting on too few clear observations.
+function triggerBreakdown(indicator, scale, geometry, lowConfidence) {
+  var triggerImage = indicator.select('degradation_trigger');
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  // The degraded area is summed in the same reduction as the trigger areas.
+  var degraded = pixelHa.updateMask(indicator.select('sdg_15_3_1').eq(-1)).rename('degraded_ha');
+  var triggerAreas = ee.Image.cat([degraded].concat(TRIGGERS.map(function(t, idx) {
+    var any = pixelHa.updateMask(triggerImage.bitwiseAnd(t.flag).neq(0)).rename('any_' + idx);
+    var bands = any.addBands(pixelHa.updateMask(triggerImage.eq(t.flag)).rename('only_' + idx));
+    return lowConfidence ?
+      bands.addBands(any.updateMask(lowConfidence).rename('low_' + idx)) : bands;
+  }))).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: geometry,
+    scale: scale,
+    maxPixels: 1e9
+  });
+  var degradedHa = triggerAreas.get('degraded_ha');
+  return ee.FeatureCollection(TRIGGERS.map(function(t, idx) {
+    var anyHa = ee.Number(triggerAreas.get('any_' + idx));
+    var props = {
+      'Sub_Indicator': t.name,
+      'Degraded_Any_ha': anyHa,
+      'Degraded_Only_ha': triggerAreas.get('only_' + idx),
+      'Share_of_Degraded': anyHa.divide(degradedHa)
+    };
+    if (lowConfidence) {
+      props['Low_Confidence_pct'] = ee.Algorithms.If(
+        anyHa.gt(0), ee.Number(triggerAreas.get('low_' + idx)).divide(anyHa).multiply(100), null
+      );
+    }
+    return ee.Feature(null, props);
+  }));
+}
+
+exports.TRIGGER_PRODUCTIVITY = TRIGGER_PRODUCTIVITY;
+exports.TRIGGER_LAND_COVER = TRIGGER_LAND_COVER;
+exports.TRIGGER_SOC = TRIGGER_SOC;
+exports.TRIGGERS = TRIGGERS;
+exports.productivitySubIndicator = productivitySubIndicator;
+exports.oneOutAllOut = oneOutAllOut;
+exports.sdgAreas = sdgAreas;
+exports.sdgHeadlineFeature = sdgHeadlineFeature;
+exports.triggerBreakdown = triggerBreakdown;
+
+
+//---
+
+//-----------------------------------------------------
+// 10. Supervised Classification and Accuracy Assessment
+//-----------------------------------------------------
+
+// Helper function to build an untrained classifier from the parameters.
+function buildClassifier(params) {
+  if (params.classifier === 'randomForest') {
+    var rf = params.randomForest;
+    return ee.Classifier.smileRandomForest({
+      numberOfTrees: rf.numberOfTrees,
+      variablesPerSplit: rf.variablesPerSplit,
+      minLeafPopulation: rf.minLeafPopulation,
+      bagFraction: rf.bagFraction,
+      seed: params.seed
+    });
+  }
+  if (params.classifier === 'cart') {
+    return ee.Classifier.smileCart({
+      maxNodes: params.cart.maxNodes,
+      minLeafPopulation: params.cart.minLeafPopulation
+    });
+  }
+  throw new Error('Unknown classifier: ' + params.classifier);
+}
+
+// Helper function to draw stratified samples per land cover class from every
+// image of the training collection, tagged with the image's year.
+function sampleTrainingPoints(trainingCollection, params, aoi, scale) {
+  return trainingCollection.map(function(img) {
+    img = ee.Image(img);
+    return img.select(params.bands.concat(['land_class'])).stratifiedSample({
+      numPoints: params.points_per_class,
+      classBand: 'land_class',
+      region: aoi,
+      scale: scale,
+      seed: params.seed,
+      geometries: true
+    }).map(function(f) {
+      return f.set('year', img.get('year'));
+    });
+  }).flatten();
+}
+
+// Helper function summarizing an error matrix: the matrix itself, overall
+// accuracy, kappa and a per-class table of producer's and user's accuracy.
+// `order` lists the class values in matrix row/column order.
+function accuracyReport(errorMatrix, order) {
+  var producers = errorMatrix.producersAccuracy(); // Rows: actual classes.
+  var users = errorMatrix.consumersAccuracy();     // Columns: predicted classes.
+  var perClass = ee.FeatureCollection(order.map(function(value, idx) {
+    return ee.Feature(null, {
+      'Class': value,
+      'Producers_Accuracy': producers.get([idx, 0]),
+      'Users_Accuracy': users.get([0, idx])
+    });
+  }));
+  return {
+    matrix: errorMatrix,
+    overall: errorMatrix.accuracy(),
+    kappa: errorMatrix.kappa(),
+    perClass: perClass
+  };
+}
+
+// Helper function to classify the composites of the given years with a trained
+// classifier, keeping each composite's year.
+function classifyComposites(datacube, yearList, classifier, bands) {
+  return datacube.filter(ee.Filter.inList('year', yearList)).map(function(lsImage) {
+    return lsImage.select(bands)
+                  .classify(classifier)
+                  .rename('land_class')
+                  .copyProperties(lsImage, ['year', 'system:time_start']);
+  });
+}
+
+exports.buildClassifier = buildClassifier;
+exports.sampleTrainingPoints = sampleTrainingPoints;
+exports.accuracyReport = accuracyReport;
+exports.classifyComposites = classifyComposites;
+
+
+//---
+
+//-----------------------------------------------------
+// 11. Urban (Built-up) Expansion
+//-----------------------------------------------------
+
+// The 8 compass sectors, each 45° wide and centred on its direction.
+var DIRECTION_CLASSES = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].map(function(name, i) {
+  return { value: i, name: name };
+});
+
+// Helper function building the distance ring classes, labelled by their range
+// in km.
+function ringClasses(params) {
+  var classes = [];
+  for (var r = 0; r < params.ring_count; r++) {
+    classes.push({
+      value: r,
+      name: (r * params.ring_width_km) + '–' + ((r + 1) * params.ring_width_km) + ' km'
+    });
+  }
+  return classes;
+}
+
+// Helper function to map built-up pixels (1) in an annual composite.
+function builtUpMask(composite, params) {
+  return composite.select('NDBI').gt(params.ndbi_min)
+    .and(composite.select('NDVI').lt(params.ndvi_max))
+    .and(composite.select('MNDWI').lt(params.mndwi_max))
+    .rename('built_up');
+}
+
+// Helper function returning the compass sector (0 = N, clockwise) of every pixel
+// as seen from the centre.
+function directionSectors(centre) {
+  var lonLat = ee.Image.pixelLonLat();
+  var lat0 = centre[1] * Math.PI / 180;
+  // Local east/north offsets in degrees of latitude.
+  var east = lonLat.select('longitude').subtract(centre[0]).multiply(Math.cos(lat0));
+  var north = lonLat.select('latitude').subtract(centre[1]);
+  var azimuth = east.atan2(north).multiply(180 / Math.PI).add(360).mod(360);
+  return azimuth.add(22.5).mod(360).divide(45).floor().int().rename('direction');
+}
+
+// Helper function returning the distance ring index of every pixel, masked
+// beyond the outermost ring.
+function distanceRings(centre, params) {
+  var ringWidth = params.ring_width_km * 1000;
+  var distance = ee.FeatureCollection([ee.Feature(ee.Geometry.Point(centre))])
+    .distance(ringWidth * params.ring_count);
+  return distance.divide(ringWidth).floor().int()
+                 .updateMask(distance.lt(ringWidth * params.ring_count))
+                 .rename('ring');
+}
+
+exports.DIRECTION_CLASSES = DIRECTION_CLASSES;
+exports.ringClasses = ringClasses;
+exports.builtUpMask = builtUpMask;
+exports.directionSectors = directionSectors;
+exports.distanceRings = distanceRings;
+
+
+//---
+
+//-----------------------------------------------------
+// 12. Seasonal Composites and Crop Phenology
+//-----------------------------------------------------
+// Seasons are {name, start_month, end_month} objects. A season whose end month
+// precedes its start month (e.g. rabi, Nov–Apr) spans the year boundary and is
+// labelled by the year it starts in.
+
+var MS_PER_DAY = 86400000;
+
+// Helper function returning the [start, end) dates of a season starting in a
+// given year, as client-side milliseconds.
+function seasonWindow(season, year) {
+  var endYear = season.end_month < season.start_month ? year + 1 : year;
+  // Date.UTC months are 0-based, so end_month is the month after the season.
+  return [Date.UTC(year, season.start_month - 1, 1), Date.UTC(endYear, season.end_month, 1)];
+}
+
+// Function to build the median composite of a season starting in a given year.
+function loadSeasonalComposite(season, year, aoi, params, indices) {
+  var window = seasonWindow(season, year);
+  return landsatComposite(ee.Date(window[0]), ee.Date(window[1]), aoi, params, indices)
+           .set('year', year)
+           .set('season', season.name);
+}
+
+// Function to build the ImageCollection of seasonal median composites for a
+// list of seasons and years. Seasons without any usable scene are left out.
+function buildSeasonalDatacube(seasons, yearList, aoi, params, indices) {
+  var composites = [];
+  yearList.forEach(function(year) {
+    seasons.forEach(function(season) {
+      composites.push(loadSeasonalComposite(season, year, aoi, params, indices));
+    });
+  });
+  return ee.ImageCollection(composites)
+           .filter(ee.Filter.neq('system:band_names', ee.List([])));
+}
+
+// Helper function summarizing the mean NDVI of every seasonal composite within
+// a region, with the percent of the region flagged as low confidence.
+function seasonalNdviTable(seasonalDatacube, scale, geometry) {
+  return ee.FeatureCollection(seasonalDatacube.map(function(img) {
+    var mean = withLowConfidence(ee.Image(img)).select(['NDVI', 'low_confidence']).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: geometry,
+      scale: scale,
+      maxPixels: 1e9
+    });
+    return ee.Feature(null, {
+      'Season': img.get('season'),
+      'Year': img.get('year'),
+      'Mean_NDVI': mean.get('NDVI'),
+      'Low_Confidence_pct': ee.Number(mean.get('low_confidence')).multiply(100)
+    });
+  }));
+}
+
+// Helper function returning the names of the harmonic model terms: a constant,
+// a linear time term and a cosine/sine pair per harmonic.
+function harmonicTermNames(harmonics) {
+  var names = ['constant', 't'];
+  for (var k = 1; k <= harmonics; k++) {
+    names.push('cos_' + k, 'sin_' + k);
+  }
+  return names;
+}
+
+// Helper function returning the harmonic model terms at time t (years since the
+// start of the phenology window; a number or an ee.Number) as an image.
+function harmonicTerms(t, harmonics) {
+  var time = ee.Image.constant(t).float();
+  var terms = [ee.Image.constant(1), time];
+  for (var k = 1; k <= harmonics; k++) {
+    var angle = time.multiply(2 * Math.PI * k);
+    terms.push(angle.cos(), angle.sin());
+  }
+  return ee.Image.cat(terms).rename(harmonicTermNames(harmonics));
+}
+
+// Helper function returning the phenology window of a year: from the earliest
+// season start to the latest season end, as client-side milliseconds.
+function phenologyWindow(seasons, year) {
+  var windows = seasons.map(function(season) { return seasonWindow(season, year); });
+  return [
+    Math.min.apply(null, windows.map(function(w) { return w[0]; })),
+    Math.max.apply(null, windows.map(function(w) { return w[1]; }))
+  ];
+}
+
+// Function to fit a harmonic model to the NDVI of every clear Landsat scene in
+// the phenology window of a year. Returns the model coefficients (one band per
+// term) and the observation count; pixels with fewer than
+// params.min_observations scenes are masked.
+function fitHarmonicModel(year, aoi, landsatParams, params) {
+  var window = phenologyWindow(params.seasons, year);
+  var start = ee.Date(window[0]);
+  var names = harmonicTermNames(params.harmonics);
+  var scenes = loadLandsatScenes(start, ee.Date(window[1]), aoi, landsatParams)
+    .map(function(img) {
+      var ndvi = addIndices(img, ['NDVI']).select('NDVI');
+      var t = img.date().difference(start, 'year');
+      return harmonicTerms(t, params.harmonics).addBands(ndvi).updateMask(ndvi.mask());
+    });
+  var coefficients = scenes
+    .reduce(ee.Reducer.linearRegression({ numX: names.length, numY: 1 }))
+    .select('coefficients')
+    .arrayProject([0])
+    .arrayFlatten([names]);
+  var nObs = scenes.select('NDVI').count().rename('n_obs');
+  return coefficients.addBands(nObs)
+                     .updateMask(nObs.gte(params.min_observations))
+                     .clip(aoi)
+                     .set('year', year);
+}
+
+// Helper function evaluating the fitted NDVI of a harmonic model at time t.
+function harmonicFitted(model, t, harmonics) {
+  return model.select(harmonicTermNames(harmonics))
+              .multiply(harmonicTerms(t, harmonics))
+              .reduce(ee.Reducer.sum())
+              .rename('fitted');
+}
+
+// Phenology metrics extracted for each season, as band name suffixes. Days are
+// counted from the first day of the season.
+var PHENOLOGY_METRICS = [
+  { key: 'peak_ndvi',   name: 'Peak NDVI' },
+  { key: 'peak_day',    name: 'Peak day' },
+  { key: 'greenup_day', name: 'Green-up day' },
+  { key: 'length_days', name: 'Season length (days)' },
+  { key: 'amplitude',   name: 'Amplitude (NDVI)' }
+];
+
+// Function to extract the phenology metrics of each season from a harmonic
+// model fitted for a year. The fitted curve is sampled every params.step_days
+// within the season: the peak is its maximum, green-up the first day it
+// reaches params.greenup_fraction of the way from the seasonal minimum to the
+// peak, and the season length the number of days it stays at or above that.
+function phenologyMetrics(model, year, params) {
+  var windowStart = phenologyWindow(params.seasons, year)[0];
+  var stepMs = params.step_days * MS_PER_DAY;
+  var bands = [];
+  params.seasons.forEach(function(season) {
+    var window = seasonWindow(season, year);
+    var steps = [];
+    for (var ms = window[0]; ms < window[1]; ms += stepMs) {
+      steps.push({
+        day: (ms - window[0]) / MS_PER_DAY,
+        fitted: harmonicFitted(model, (ms - windowStart) / (365.25 * MS_PER_DAY), params.harmonics)
+      });
+    }
+    var peak = steps[0].fitted;
+    var trough = steps[0].fitted;
+    var peakDay = ee.Image.constant(steps[0].day);
+    steps.forEach(function(step) {
+      peakDay = peakDay.where(step.fitted.gt(peak), step.day);
+      peak = peak.max(step.fitted);
+      trough = trough.min(step.fitted);
+    });
+    var threshold = trough.add(peak.subtract(trough).multiply(params.greenup_fraction));
+    // Walk backwards so that the earliest qualifying day is kept.
+    var greenup = ee.Image.constant(steps[steps.length - 1].day);
+    var length = ee.Image.constant(0);
+    for (var i = steps.length - 1; i >= 0; i--) {
+      var above = steps[i].fitted.gte(threshold);
+      greenup = greenup.where(above, steps[i].day);
+      length = length.add(above.multiply(params.step_days));
+    }
+    bands.push(
+      peak.rename(season.name + '_peak_ndvi'),
+      peakDay.updateMask(peak.mask()).rename(season.name + '_peak_day'),
+      greenup.updateMask(peak.mask()).rename(season.name + '_greenup_day'),
+      length.rename(season.name + '_length_days'),
+      peak.subtract(trough).rename(season.name + '_amplitude')
+    );
+  });
+  return ee.Image.cat(bands).set('year', year);
+}
+
+// Helper function to build the phenology change table of a region: the mean of
+// every season's metrics in the first and last years, and the mean per-pixel
+// change over the pixels valid in both. With a `lowConfidence` image (see
+// lowConfidenceMask), each row also reports the percent of those pixels
+// resting on too few clear observations (null without any).
+function phenologyChangeTable(firstMetrics, lastMetrics, seasons, firstYear, lastYear, scale, geometry,
+                              lowConfidence) {
+  var names = [];
+  seasons.forEach(function(season) {
+    PHENOLOGY_METRICS.forEach(function(metric) {
+      names.push(season.name + '_' + metric.key);
+    });
+  });
+  function prefixed(prefix) {
+    return names.map(function(n) { return prefix + n; });
+  }
+  var first = firstMetrics.select(names);
+  var last = lastMetrics.select(names);
+  var change = last.subtract(first);
+  var bands = [
+    first.rename(prefixed('first_')),
+    last.rename(prefixed('last_')),
+    change.rename(prefixed('change_'))
+  ];
+  if (lowConfidence) {
+    names.forEach(function(name) {
+      bands.push(lowConfidence.unmask(0).updateMask(change.select(name).mask()).rename('low_' + name));
+    });
+  }
+  var means = ee.Image.cat(bands).reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: geometry,
+    scale: scale,
+    maxPixels: 1e9
+  });
+  var rows = [];
+  seasons.forEach(function(season) {
+    PHENOLOGY_METRICS.forEach(function(metric) {
+      var name = season.name + '_' + metric.key;
+      var props = { 'Season': season.name, 'Metric': metric.name };
+      props['Mean_' + firstYear] = means.get('first_' + name);
+      props['Mean_' + lastYear] = means.get('last_' + name);
+      props['Change'] = means.get('change_' + name);
+      if (lowConfidence) {
+        var low = means.get('low_' + name);
+        props['Low_Confidence_pct'] = ee.Algorithms.If(
+          ee.Algorithms.IsEqual(low, null), null, ee.Number(low).multiply(100)
+        );
+      }
+      rows.push(ee.Feature(null, props));
+    });
+  });
+  return ee.FeatureCollection(rows);
+}
+
+exports.seasonWindow = seasonWindow;
+exports.loadSeasonalComposite = loadSeasonalComposite;
+exports.buildSeasonalDatacube = buildSeasonalDatacube;
+exports.seasonalNdviTable = seasonalNdviTable;
+exports.harmonicTermNames = harmonicTermNames;
+exports.harmonicTerms = harmonicTerms;
+exports.phenologyWindow = phenologyWindow;
+exports.fitHarmonicModel = fitHarmonicModel;
+exports.harmonicFitted = harmonicFitted;
+exports.PHENOLOGY_METRICS = PHENOLOGY_METRICS;
+exports.phenologyMetrics = phenologyMetrics;
+exports.phenologyChangeTable = phenologyChangeTable;
+
+
+//---
+
+//-----------------------------------------------------
+// 13. Zonal Statistics
+//-----------------------------------------------------
+
+// Helper function to load reporting zones (wards, blocks, districts or any
+// polygon FeatureCollection asset) that intersect the AOI, clipped to it so
+// zone areas cover only the analysed part. Each zone is labelled with a 'Zone'
+// property taken from `name_property`.
+function loadZones(def, aoi) {
+  var zones = ee.FeatureCollection(def.asset_id);
+  if (def.filter_property) {
+    zones = zones.filter(ee.Filter.eq(def.filter_property, def.filter_value));
+  }
+  return zones.filterBounds(aoi).map(function(zone) {
+    return zone.intersection(aoi, ee.ErrorMargin(1))
+               .set('Zone', zone.get(def.name_property));
+  });
+}
+
+// Function computing per-zone statistics:
+//  - land cover class areas for every year in `layers.landCover`
+//    ({year: class image}, with `layers.classes` listing the classes),
+//  - mean / min / max NDVI for every year in `layers.ndvi` ({year: NDVI image}),
+//  - degraded / stable / improved area of `layers.indicator` (the output of
+//    oneOutAllOut) and their proportions of the zone's indicator area,
+//  - with `layers.lowConfidence` (see lowConfidenceMask), the area and percent
+//    of the zone resting on too few clear observations.
+// All areas are summed in one reduceRegions pass and the NDVI statistics in a
+// second, rather than one reduction per zone. Zones keep their geometry, so
+// the result can be painted or exported as polygons.
+function zonalStatistics(zones, layers, scale) {
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  var landCoverYears = Object.keys(layers.landCover);
+  var ndviYears = Object.keys(layers.ndvi);
+  var sdgBand = layers.indicator.select('sdg_15_3_1');
+
+  var areaBands = [
+    pixelHa.rename('Area_ha'),
+    pixelHa.updateMask(sdgBand.mask()).rename('sdg_total_ha')
+  ];
+  landCoverYears.forEach(function(year) {
+    layers.classes.forEach(function(c) {
+      areaBands.push(pixelHa.updateMask(layers.landCover[year].eq(c.value))
+                            .rename('LC_' + year + '_' + c.value + '_ha'));
+    });
+  });
+  SUB_INDICATOR_CLASSES.forEach(function(c) {
+    areaBands.push(pixelHa.updateMask(sdgBand.eq(c.value)).rename(c.name + '_ha'));
+  });
+  if (layers.lowConfidence) {
+    areaBands.push(pixelHa.updateMask(layers.lowConfidence).rename('Low_Confidence_ha'));
+  }
+  var withAreas = ee.Image.cat(areaBands).reduceRegions({
+    collection: zones,
+    reducer: ee.Reducer.sum(),
+    scale: scale
+  });
+
+  var withNdvi = ee.Image.cat(ndviYears.map(function(year) {
+    return layers.ndvi[year].rename('NDVI_' + year);
+  })).reduceRegions({
+    collection: withAreas,
+    reducer: ee.Reducer.mean()
+               .combine(ee.Reducer.min(), '', true)
+               .combine(ee.Reducer.max(), '', true),
+    scale: scale
+  });
+
+  return withNdvi.map(function(zone) {
+    var sdgTotal = ee.Number(zone.get('sdg_total_ha'));
+    var props = { 'Zone': zone.get('Zone'), 'Area_ha': zone.get('Area_ha') };
+    landCoverYears.forEach(function(year) {
+      layers.classes.forEach(function(c) {
+        var name = 'LC_' + year + '_' + c.value + '_ha';
+        props[name] = zone.get(name);
+      });
+    });
+    ndviYears.forEach(function(year) {
+      ['mean', 'min', 'max'].forEach(function(stat) {
+        // A single-band image reports the reducer outputs without the band prefix.
+        var key = ndviYears.length === 1 ? stat : 'NDVI_' + year + '_' + stat;
+        props['NDVI_' + year + '_' + stat] = zone.get(key);
+      });
+    });
+    SUB_INDICATOR_CLASSES.forEach(function(c) {
+      props[c.name + '_ha'] = zone.get(c.name + '_ha');
+      // Zones without indicator pixels get no proportion rather than 0.
+      props['Proportion_' + c.name] = ee.Algorithms.If(
+        sdgTotal.gt(0), ee.Number(zone.get(c.name + '_ha')).divide(sdgTotal), null
+      );
+    });
+    if (layers.lowConfidence) {
+      var lowHa = ee.Number(zone.get('Low_Confidence_ha'));
+      props['Low_Confidence_ha'] = lowHa;
+      props['Low_Confidence_pct'] = lowHa.divide(zone.get('Area_ha')).multiply(100);
+    }
+    return ee.Feature(zone.geometry(), props);
+  });
+}
+
+// Helper function keeping the `count` features with the highest value of
+// `property` (features without it are left out), numbered from 1 in a 'Rank'
+// property.
+function rankFeatures(collection, property, count) {
+  var ranked = collection.filter(ee.Filter.notNull([property]))
+                         .limit(count, property, false)
+                         .toList(count);
+  return ee.FeatureCollection(ee.List.sequence(0, ranked.size().subtract(1)).map(function(i) {
+    return ee.Feature(ranked.get(i)).set('Rank', ee.Number(i).add(1));
+  }));
+}
+
+// Helper function ranking the `count` zones with the highest proportion of
+// degraded land.
+function mostDegradedZones(zoneStats, count) {
+  return rankFeatures(zoneStats, 'Proportion_Degraded', count);
+}
+
+// Helper function painting a numeric zone property into an image for a
+// choropleth layer; pixels outside every zone stay masked.
+function zoneChoropleth(zoneStats, property) {
+  return ee.Image().float().paint(zoneStats, property).rename(property);
+}
+
+exports.loadZones = loadZones;
+exports.zonalStatistics = zonalStatistics;
+exports.rankFeatures = rankFeatures;
+exports.mostDegradedZones = mostDegradedZones;
+exports.zoneChoropleth = zoneChoropleth;
+
+
+//---
+
+//-----------------------------------------------------
+// 14. Degradation Hotspots
+//-----------------------------------------------------
+
+// Function returning the 0/1 degraded pixels that hotspots are built from,
+// selected by `params.source`:
+//  - 'ndvi_change': NDVI loss (first minus last year, see ndviLoss) above
+//                   `params.ndvi_loss_min`,
+//  - 'indicator':   the degraded class of the SDG 15.3.1 indicator.
+function hotspotSource(params, ndviLossImage, indicator) {
+  if (params.source === 'ndvi_change') {
+    return ndviLossImage.gt(params.ndvi_loss_min).rename('degraded');
+  }
+  if (params.source === 'indicator') {
+    return indicator.select('sdg_15_3_1').eq(-1).rename('degraded');
+  }
+  throw new Error('Unknown hotspot source: ' + params.source);
+}
+
+// Helper function returning the NDVI loss between two NDVI images (positive
+// where NDVI dropped).
+function ndviLoss(firstNdvi, lastNdvi) {
+  return firstNdvi.subtract(lastNdvi).rename('ndvi_loss');
+}
+
+// Function to vectorize contiguous degraded pixels (8-connected) into patch
+// polygons at `params.scale`, dropping patches smaller than
+// `params.min_area_ha`. Patch sizes are counted with connectedPixelCount, so
+// the minimum must stay within 1024 pixels (about 92 ha at 30 m).
+function vectorizeHotspots(degraded, params, aoi) {
+  var minPixels = Math.ceil(params.min_area_ha * 10000 / (params.scale * params.scale));
+  if (minPixels > 1024) {
+    throw new Error('Hotspot min_area_ha ' + params.min_area_ha + ' is ' + minPixels +
+                    ' pixels at ' + params.scale + ' m, above the 1024-pixel limit');
+  }
+  var patches = degraded.selfMask();
+  var patchSize = patches.connectedPixelCount(minPixels, true);
+  return patches.updateMask(patchSize.gte(minPixels)).reduceToVectors({
+    geometry: aoi,
+    scale: params.scale,
+    geometryType: 'polygon',
+    eightConnected: true,
+    labelProperty: 'degraded',
+    maxPixels: 1e10
+  });
+}
+
+// Function computing the field-verification attributes of every patch:
+//  - Area_ha and Mean_NDVI_Loss (from `layers.ndviLoss`),
+//  - Centroid_Lon / Centroid_Lat (mean position of the patch's pixels),
+//  - Dominant_Transition: the most common UNCCD transition between
+//    `layers.fromClass` and `layers.toClass` (e.g. 'Cropland → Artificial'),
+//  - Distance_km: mean distance to `layers.centre` ([lon, lat]), capped at
+//    `params.max_distance_km`,
+//  - Priority_Score: a weighted sum (`params.weights`: area, ndvi_loss,
+//    proximity) of the area and NDVI loss relative to the largest among the
+//    patches and of the proximity to the centre (1 at the centre, 0 at
+//    `params.max_distance_km`),
+//  - with `layers.lowConfidence` (see lowConfidenceMask), Low_Confidence_pct:
+//    the percent of the patch resting on too few clear observations.
+// A patch lying only over masked NDVI loss or land cover pixels keeps a null
+// Mean_NDVI_Loss (scored as no loss) or Transition_Code ('Unknown').
+function hotspotAttributes(patches, layers, params) {
+  var maxDistance = params.max_distance_km * 1000;
+  var distanceKm = ee.FeatureCollection([ee.Feature(ee.Geometry.Point(layers.centre))])
+    .distance(maxDistance)
+    .unmask(maxDistance)
+    .divide(1000);
+  var statBands = [
+    ee.Image.pixelArea().divide(10000).rename('area_ha'),
+    layers.ndviLoss.rename('ndvi_loss'),
+    distanceKm.rename('distance_km'),
+    ee.Image.pixelLonLat()
+  ];
+  if (layers.lowConfidence) {
+    statBands.push(layers.lowConfidence.rename('low_confidence'));
+  }
+  var withStats = ee.Image.cat(statBands).reduceRegions({
+    collection: patches,
+    reducer: ee.Reducer.sum().combine(ee.Reducer.mean(), '', true),
+    scale: params.scale
+  });
+  var withTransition = transitionCode(layers.fromClass, layers.toClass).reduceRegions({
+    collection: withStats,
+    reducer: ee.Reducer.mode(),
+    scale: params.scale
+  });
+
+  var names = ee.Dictionary.fromLists(
+    UNCCD_CLASSES.map(function(c) { return String(c.value); }),
+    UNCCD_CLASSES.map(function(c) { return c.name; })
+  );
+  var attributed = withTransition.map(function(patch) {
+    var mode = patch.get('mode');
+    var code = ee.Number(ee.Algorithms.If(mode, mode, 0)).int();
+    var from = code.divide(TRANSITION_CODE_BASE).int();
+    var to = code.mod(TRANSITION_CODE_BASE);
+    var props = {
+      'Area_ha': patch.get('area_ha_sum'),
+      'Mean_NDVI_Loss': patch.get('ndvi_loss_mean'),
+      'Centroid_Lon': patch.get('longitude_mean'),
+      'Centroid_Lat': patch.get('latitude_mean'),
+      'Transition_Code': mode,
+      'Dominant_Transition': ee.Algorithms.If(
+        mode,
+        ee.String(names.get(from.format(), 'Unknown'))
+          .cat(' → ')
+          .cat(names.get(to.format(), 'Unknown')),
+        'Unknown'
+      ),
+      'Distance_km': patch.get('distance_km_mean')
+    };
+    if (layers.lowConfidence) {
+      props['Low_Confidence_pct'] = ee.Number(patch.get('low_confidence_mean')).multiply(100);
+    }
+    return ee.Feature(patch.geometry(), props);
+  });
+
+  var maxArea = ee.Number(attributed.aggregate_max('Area_ha'));
+  var highestLoss = attributed.aggregate_max('Mean_NDVI_Loss');
+  var maxLoss = ee.Number(ee.Algorithms.If(highestLoss, highestLoss, 0));
+  var weights = params.weights;
+  return attributed.map(function(patch) {
+    var loss = patch.get('Mean_NDVI_Loss');
+    // Relative loss, 0 without a loss value or when no patch lost NDVI.
+    var relativeLoss = ee.Algorithms.If(
+      maxLoss.gt(0), ee.Number(ee.Algorithms.If(loss, loss, 0)).divide(maxLoss), 0
+    );
+    var score = ee.Number(patch.get('Area_ha')).divide(maxArea).multiply(weights.area)
+      .add(ee.Number(relativeLoss).multiply(weights.ndvi_loss))
+      .add(ee.Number(1).subtract(ee.Number(patch.get('Distance_km')).divide(params.max_distance_km))
+                       .multiply(weights.proximity));
+    return patch.set('Priority_Score', score);
+  });
+}
+
+// Function running the hotspot workflow: vectorize the degraded pixels,
+// attribute the patches and keep the `params.max_patches` with the highest
+// priority score, ranked from 1.
+function degradationHotspots(degraded, layers, params, aoi) {
+  var patches = vectorizeHotspots(degraded, params, aoi);
+  return rankFeatures(hotspotAttributes(patches, layers, params), 'Priority_Score', params.max_patches);
+}
+
+exports.hotspotSource = hotspotSource;
+exports.ndviLoss = ndviLoss;
+exports.vectorizeHotspots = vectorizeHotspots;
+exports.hotspotAttributes = hotspotAttributes;
+exports.degradationHotspots = degradationHotspots;
+
+
+//---
+
+//-----------------------------------------------------
+// 15. Reference Points and Area-Adjusted Accuracy
+//-----------------------------------------------------
+// Pixel counts treat every pixel of a map as correctly labelled. With a sample
+// of labelled reference points, the map classes are used as strata and the
+// class areas are re-estimated from the error matrix, with confidence
+// intervals, following Olofsson et al. (2014), "Good practices for estimating
+// area and assessing accuracy of land change", Remote Sensing of Environment
+// 148: 42–57.
+
+// Helper function to parse reference points from CSV text with a header row
+// (comma-separated, no quoted fields). The point is read from `lon_column` and
+// `lat_column` (default 'longitude' / 'latitude'); every column is kept as a
+// property, numeric where the cell is a number and null where it is empty.
+function parseReferenceCsv(text, def) {
+  var lonColumn = def.lon_column || 'longitude';
+  var latColumn = def.lat_column || 'latitude';
+  var lines = text.split(/\r?\n/).filter(function(line) { return line.trim() !== ''; });
+  var header = lines[0].split(',').map(function(name) { return name.trim(); });
+  [lonColumn, latColumn].forEach(function(column) {
+    if (header.indexOf(column) === -1) {
+      throw new Error('Reference CSV has no column: ' + column);
+    }
+  });
+  return ee.FeatureCollection(lines.slice(1).map(function(line) {
+    var cells = line.split(',');
+    var props = {};
+    header.forEach(function(name, i) {
+      var cell = (cells[i] || '').trim();
+      props[name] = cell === '' ? null : isNaN(Number(cell)) ? cell : Number(cell);
+    });
+    return ee.Feature(ee.Geometry.Point([props[lonColumn], props[latColumn]]), props);
+  }));
+}
+
+// Helper function to load labelled reference points. Supported types:
+//  - 'asset': a point FeatureCollection asset (e.g. an uploaded CSV or
+//             shapefile), optionally restricted to features whose
+//             `filter_property` equals `filter_value`.
+//  - 'csv':   CSV text in `csv` (see parseReferenceCsv).
+function loadReferencePoints(def) {
+  if (def.type === 'asset') {
+    var points = ee.FeatureCollection(def.asset_id);
+    if (def.filter_property) {
+      points = points.filter(ee.Filter.eq(def.filter_property, def.filter_value));
+    }
+    return points;
+  }
+  if (def.type === 'csv') {
+    return parseReferenceCsv(def.csv, def);
+  }
+  throw new Error('Unknown reference point type: ' + def.type);
+}
+
+// Helper function sampling a single-band map at the reference points within a
+// region and cross-tabulating it against their `labelProperty`. Labels stored
+// as text (e.g. '12' from an uploaded CSV) are read as numbers. Rows of the
+// error matrix are reference classes and columns map classes, both in the
+// order of `classes`; points with other labels or on masked pixels are left
+// out.
+function referenceErrorMatrix(mapImage, points, labelProperty, classes, scale, geometry) {
+  var order = classes.map(function(c) { return c.value; });
+  var labelled = points.filterBounds(geometry)
+    .filter(ee.Filter.notNull([labelProperty]))
+    .map(function(point) {
+      var label = point.get(labelProperty);
+      return point.set(labelProperty, ee.Algorithms.If(
+        ee.Algorithms.IsEqual(ee.Algorithms.ObjectType(label), 'String'),
+        ee.Number.parse(label),
+        label
+      ));
+    });
+  var samples = mapImage.rename('mapped').sampleRegions({
+    collection: labelled.filter(ee.Filter.inList(labelProperty, order)),
+    properties: [labelProperty],
+    scale: scale
+  });
+  return samples.errorMatrix(labelProperty, 'mapped', order);
+}
+
+// Function estimating the area of each class from an error matrix (as built by
+// referenceErrorMatrix) and the mapped area of each class (an ee.Dictionary of
+// hectares keyed by class value, see areaByClass). With W_i the mapped share
+// of map class i and n_ij the number of its points labelled j:
+//   p_.j     = Σ_i W_i n_ij / n_i.
+//   SE(p_.j) = √(Σ_i W_i² (n_ij / n_i.)(1 − n_ij / n_i.) / (n_i. − 1))
+// Every mapped class needs reference points; the area of a class without any
+// cannot be reallocated. Returns the error matrix, the area-weighted overall
+// accuracy and a per-class table of mapped and estimated area and proportion,
+// the half-width of their confidence interval at `confidence`, and the
+// area-weighted user's and producer's accuracy.
+function stratifiedAreaEstimates(errorMatrix, classes, mapAreas, confidence) {
+  var counts = errorMatrix.array();
+  var z = zCritical(confidence);
+  function sum(numbers) {
+    return numbers.reduce(function(a, b) { return a.add(b); }, ee.Number(0));
+  }
+  var mapHa = classes.map(function(c) { return ee.Number(mapAreas.get(String(c.value), 0)); });
+  var totalHa = sum(mapHa);
+  var strata = classes.map(function(ci, i) {
+    var row = classes.map(function(cj, j) { return ee.Number(counts.get([j, i])); });
+    var n = sum(row);
+    return {
+      weight: mapHa[i].divide(totalHa),
+      n: n,
+      // Share of the stratum's points per reference class (0 without points).
+      shares: row.map(function(nij) { return nij.divide(n.max(1)); })
+    };
+  });
+
+  var perClass = ee.FeatureCollection(classes.map(function(c, j) {
+    var proportion = sum(strata.map(function(s) { return s.weight.multiply(s.shares[j]); }));
+    var variance = sum(strata.map(function(s) {
+      var share = s.shares[j];
+      // A stratum with a single point has no variance estimate.
+      return s.weight.pow(2).multiply(share).multiply(ee.Number(1).subtract(share))
+                     .divide(s.n.subtract(1).max(1));
+    }));
+    var proportionCi = variance.sqrt().multiply(z);
+    var diagonal = strata[j].weight.multiply(strata[j].shares[j]);
+    return ee.Feature(null, {
+      'Class': c.value,
+      'Name': c.name,
+      'Sample_Count': strata[j].n,
+      'Map_Area_ha': mapHa[j],
+      'Estimated_Area_ha': proportion.multiply(totalHa),
+      'Estimated_Area_CI_ha': proportionCi.multiply(totalHa),
+      'Estimated_Proportion': proportion,
+      'Estimated_Proportion_CI': proportionCi,
+      'Users_Accuracy': ee.Algorithms.If(strata[j].n.gt(0), strata[j].shares[j], null),
+      'Producers_Accuracy': ee.Algorithms.If(proportion.gt(0), diagonal.divide(proportion), null)
+    });
+  }));
+  return {
+    matrix: errorMatrix,
+    overall: sum(strata.map(function(s, i) { return s.weight.multiply(s.shares[i]); })),
+    perClass: perClass
+  };
+}
+
+// Function assessing a single-band map against the reference points within a
+// region: the error matrix and stratified area estimates of its classes.
+function referenceAccuracy(mapImage, points, labelProperty, classes, scale, geometry, confidence) {
+  var mapAreas = areaByClass(ee.Image.pixelArea().divide(10000), mapImage, scale, geometry);
+  return stratifiedAreaEstimates(
+    referenceErrorMatrix(mapImage, points, labelProperty, classes, scale, geometry),
+    classes, mapAreas, confidence
+  );
+}
+
+// Helper function adding the estimated area of each class and the half-width
+// of its confidence interval to a change table (see changeTableFromPairs) as
+// 'Adjusted_Area_<year>_ha' and 'Adjusted_Area_<year>_CI_ha'.
+// `estimatesByYear` maps a year to a per-class table of
+// stratifiedAreaEstimates.
+function withAreaEstimates(table, estimatesByYear) {
+  var years = Object.keys(estimatesByYear);
+  return table.map(function(row) {
+    var props = {};
+    years.forEach(function(year) {
+      var estimate = ee.Feature(
+        estimatesByYear[year].filter(ee.Filter.eq('Class', row.get('Class'))).first()
+      );
+      props['Adjusted_Area_' + year + '_ha'] = estimate.get('Estimated_Area_ha');
+      props['Adjusted_Area_' + year + '_CI_ha'] = estimate.get('Estimated_Area_CI_ha');
+    });
+    return row.set(props);
+  });
+}
+
+exports.parseReferenceCsv = parseReferenceCsv;
+exports.loadReferencePoints = loadReferencePoints;
+exports.referenceErrorMatrix = referenceErrorMatrix;
+exports.stratifiedAreaEstimates = stratifiedAreaEstimates;
+exports.referenceAccuracy = referenceAccuracy;
+exports.withAreaEstimates = withAreaEstimates;
+
+
+//---
+
+//-----------------------------------------------------
+// 16. Export Manifest and Backends
+//-----------------------------------------------------
+// Every export is first described by a manifest entry: its kind (table or
+// image), file name, format, CRS and scale. Entries are handed to an export
+// backend; any object with `table(entry)` and `image(entry)` functions can
+// stand in for the Earth Engine one.
+
+// Helper function to make an Earth Engine task description from a name.
+function exportDescription(params, name) {
+  return (params.prefix + '_' + name).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100);
+}
+
+// Helper function to describe a table export.
+function tableExport(params, name, collection) {
+  return {
+    kind: 'table',
+    name: name,
+    source: collection,
+    options: {
+      description: exportDescription(params, name),
+      fileNamePrefix: params.prefix + '_' + name,
+      fileFormat: params.table_format
+    }
+  };
+}
+
+// Helper function to describe a Cloud-Optimized GeoTIFF export. `type` is the
+// pixel type every band is cast to ('int16' for class maps, 'float' otherwise).
+function imageExport(params, name, image, scale, type, region) {
+  return {
+    kind: 'image',
+    name: name,
+    source: type === 'int16' ? image.toInt16() : image.toFloat(),
+    options: {
+      description: exportDescription(params, name),
+      fileNamePrefix: params.prefix + '_' + name,
+      fileFormat: 'GeoTIFF',
+      formatOptions: { cloudOptimized: true },
+      crs: params.crs,
+      scale: scale,
+      region: region,
+      maxPixels: params.maxPixels
+    }
+  };
+}
+
+// Helper function returning a serializable copy of the manifest (without the
+// Earth Engine objects), suitable for printing or saving alongside the outputs.
+function describeManifest(manifest) {
+  return manifest.map(function(entry) {
+    var options = {};
+    Object.keys(entry.options).forEach(function(key) {
+      if (key !== 'region') {
+        options[key] = entry.options[key];
+      }
+    });
+    return { kind: entry.kind, name: entry.name, options: options };
+  });
+}
+
+// Helper function to add the destination-specific options to an entry.
+function withDestination(params, entry) {
+  var options = {};
+  Object.keys(entry.options).forEach(function(key) {
+    options[key] = entry.options[key];
+  });
+  if (params.destination === 'cloudStorage') {
+    options.bucket = params.bucket;
+  } else {
+    options.folder = params.folder;
+  }
+  return options;
+}
+
+// Function returning the default export backend: Earth Engine batch tasks
+// (the Code Editor's `Export`) sent to Drive or Cloud Storage.
+function eeExportBackend(params) {
+  return {
+    table: function(entry) {
+      var options = withDestination(params, entry);
+      options.collection = entry.source;
+      if (params.destination === 'cloudStorage') {
+        Export.table.toCloudStorage(options);
+      } else {
+        Export.table.toDrive(options);
+      }
+    },
+    image: function(entry) {
+      var options = withDestination(params, entry);
+      options.image = entry.source;
+      if (params.destination === 'cloudStorage') {
+        Export.image.toCloudStorage(options);
+      } else {
+        Export.image.toDrive(options);
+      }
+    }
+  };
+}
+
+// Helper function to run every manifest entry through an export backend.
+function runExports(manifest, backend) {
+  manifest.forEach(function(entry) {
+    if (!backend[entry.kind]) {
+      throw new Error('Export backend cannot handle kind: ' + entry.kind);
+    }
+    backend[entry.kind](entry);
+  });
+}
+
+exports.exportDescription = exportDescription;
+exports.tableExport = tableExport;
+exports.imageExport = imageExport;
+exports.describeManifest = describeManifest;
+exports.withDestination = withDestination;
+exports.eeExportBackend = eeExportBackend;
+exports.runExports = runExports;
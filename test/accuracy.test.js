@@ -0,0 +1,131 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var CLASSES = [{ value: 12, name: 'Cropland' }, { value: 13, name: 'Urban' }];
+
+// Pixel centres of the 2×2 grid, ordered SW, SE, NW, NE.
+var CENTRES = [[80.805, 26.725], [80.815, 26.725], [80.805, 26.735], [80.815, 26.735]];
+
+// Reference points as CSV: three cropland pixels with 4 points (3 labelled
+// cropland) and one urban pixel with 2 points (1 labelled cropland), plus a
+// point with a label outside the classes.
+var CSV = [
+  'longitude,latitude,lc_2020,note',
+  CENTRES[0].join(',') + ',12,',
+  CENTRES[1].join(',') + ',12,field visit',
+  CENTRES[2].join(',') + ',12,',
+  CENTRES[2].join(',') + ',13,',
+  CENTRES[3].join(',') + ',12,',
+  CENTRES[3].join(',') + ',13,',
+  CENTRES[3].join(',') + ',99,'
+].join('\n');
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('loadReferencePoints parses CSV text into labelled points', function() {
+  var points = lib.loadReferencePoints({ type: 'csv', csv: CSV });
+  assert.equal(fake.unwrap(points.size()), 7);
+  var first = fake.rows(points).slice(0, 2);
+  assert.equal(first[0].lc_2020, 12);
+  assert.equal(first[0].note, null);
+  assert.equal(first[1].note, 'field visit');
+  assert.throws(function() {
+    lib.loadReferencePoints({ type: 'csv', csv: 'x,y,lc\n80.8,26.7,12' });
+  }, /Reference CSV has no column: longitude/);
+  assert.throws(function() {
+    lib.loadReferencePoints({ type: 'kml' });
+  }, /Unknown reference point type: kml/);
+});
+
+test('referenceErrorMatrix cross-tabulates reference against map classes', function() {
+  var points = lib.loadReferencePoints({ type: 'csv', csv: CSV });
+  var matrix = lib.referenceErrorMatrix(
+    fake.image({ lc: [12, 12, 12, 13] }), points, 'lc_2020', CLASSES, 500, AOI
+  );
+  // Rows: reference cropland / urban; columns: map cropland / urban.
+  assert.deepEqual(matrix.getInfo(), [[3, 1], [1, 1]]);
+});
+
+test('referenceAccuracy gives stratified area estimates with intervals', function() {
+  var points = lib.loadReferencePoints({ type: 'csv', csv: CSV });
+  var report = lib.referenceAccuracy(
+    fake.image({ lc: [12, 12, 12, 13] }), points, 'lc_2020', CLASSES, 500, AOI, 0.95
+  );
+  var table = fake.rows(report.perClass);
+  // Strata weights 0.75 (cropland, 3 ha mapped) and 0.25 (urban, 1 ha).
+  assert.equal(table[0].Map_Area_ha, 3);
+  assert.equal(table[0].Sample_Count, 4);
+  fake.close(table[0].Estimated_Proportion, 0.75 * 0.75 + 0.25 * 0.5);
+  fake.close(table[0].Estimated_Area_ha, 4 * 0.6875);
+  fake.close(table[1].Estimated_Area_ha, 4 * 0.3125);
+  var se = Math.sqrt(0.75 * 0.75 * 0.75 * 0.25 / 3 + 0.25 * 0.25 * 0.5 * 0.5 / 1);
+  fake.close(table[0].Estimated_Proportion_CI, lib.zCritical(0.95) * se);
+  fake.close(table[0].Estimated_Area_CI_ha, 4 * lib.zCritical(0.95) * se);
+  fake.close(table[0].Users_Accuracy, 0.75);
+  fake.close(table[0].Producers_Accuracy, 0.5625 / 0.6875);
+  fake.close(fake.unwrap(report.overall), 0.75 * 0.75 + 0.25 * 0.5);
+});
+
+test('a class without reference points has no user\'s accuracy', function() {
+  var points = ee.FeatureCollection([ee.Feature(ee.Geometry.Point(CENTRES[0]), { lc: 12 })]);
+  var table = fake.rows(lib.referenceAccuracy(
+    fake.image({ lc: [12, 12, 12, 13] }), points, 'lc', CLASSES, 500, AOI, 0.95
+  ).perClass);
+  assert.equal(table[1].Sample_Count, 0);
+  assert.equal(table[1].Users_Accuracy, null);
+  assert.equal(table[1].Producers_Accuracy, null);
+  // A single point leaves the cropland stratum without a variance estimate.
+  assert.equal(table[0].Estimated_Area_CI_ha, 0);
+});
+
+test('summary tables carry the area-adjusted estimates', function() {
+  var points = lib.loadReferencePoints({ type: 'csv', csv: CSV });
+  var estimates = lib.referenceAccuracy(
+    fake.image({ lc: [12, 12, 12, 13] }), points, 'lc_2020', CLASSES, 500, AOI, 0.95
+  ).perClass;
+  var change = fake.rows(lib.withAreaEstimates(lib.landCoverChangeTable(
+    fake.image({ lc: [12, 12, 13, 13] }), fake.image({ lc: [12, 12, 12, 13] }),
+    CLASSES, 2001, 2020, 500, AOI
+  ), { 2020: estimates }));
+  assert.equal(change[1].Area_2020_ha, 1);
+  fake.close(change[1].Adjusted_Area_2020_ha, 1.25);
+  assert.ok(change[1].Adjusted_Area_2020_CI_ha > 0);
+
+  var indicator = fake.image({ sdg_15_3_1: [-1, 0, 0, 0], degradation_trigger: [1, 0, 0, 0] });
+  var degradationPoints = ee.FeatureCollection([
+    ee.Feature(ee.Geometry.Point(CENTRES[0]), { degradation: -1 }),
+    ee.Feature(ee.Geometry.Point(CENTRES[1]), { degradation: -1 }),
+    ee.Feature(ee.Geometry.Point(CENTRES[2]), { degradation: 0 }),
+    ee.Feature(ee.Geometry.Point(CENTRES[3]), { degradation: 0 })
+  ]);
+  var sdgEstimates = lib.referenceAccuracy(
+    indicator.select('sdg_15_3_1'), degradationPoints, 'degradation',
+    lib.SUB_INDICATOR_CLASSES, 30, AOI, 0.95
+  ).perClass;
+  var headline = lib.sdgHeadlineFeature(indicator, 30, AOI, '2001–2020', sdgEstimates)
+    .getInfo().properties;
+  assert.equal(headline.Proportion_Degraded, 0.25);
+  // One of the three stable-mapped points is degraded on the ground.
+  fake.close(headline.Adjusted_Proportion_Degraded, 0.25 + 0.75 / 3);
+  fake.close(headline.Adjusted_Degraded_Area_ha, 2);
+  assert.ok(headline.Adjusted_Proportion_Degraded_CI > 0);
+});
+
+test('referenceErrorMatrix reads labels stored as text', function() {
+  var points = ee.FeatureCollection([
+    ee.Feature(ee.Geometry.Point(CENTRES[0]), { lc: '12' }),
+    ee.Feature(ee.Geometry.Point(CENTRES[1]), { lc: '13' }),
+    ee.Feature(ee.Geometry.Point(CENTRES[3]), { lc: 13 }),
+    ee.Feature(ee.Geometry.Point(CENTRES[2]), { lc: null })
+  ]);
+  var matrix = lib.referenceErrorMatrix(
+    fake.image({ lc: [12, 12, 12, 13] }), points, 'lc', CLASSES, 500, AOI
+  );
+  assert.deepEqual(matrix.getInfo(), [[1, 0], [1, 1]]);
+});
@@ -0,0 +1,87 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var PARAMS;
+
+function manifest() {
+  var region = ee.Geometry.Rectangle(fake.gridBounds());
+  return [
+    lib.tableExport(PARAMS, 'ndvi summary', ee.FeatureCollection([ee.Feature(null, { a: 1 })])),
+    lib.imageExport(PARAMS, 'sdg_15_3_1', fake.image({ sdg: [-1, 0, 1, 0.6] }), 30, 'int16', region)
+  ];
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  PARAMS = {
+    enabled: true,
+    destination: 'drive',
+    folder: 'out',
+    bucket: null,
+    prefix: 'lucknow_2001_2020',
+    table_format: 'CSV',
+    crs: 'EPSG:32644',
+    maxPixels: 1e10
+  };
+});
+
+test('export entries carry task-safe descriptions and the configured format', function() {
+  var entries = manifest();
+  assert.equal(entries[0].options.description, 'lucknow_2001_2020_ndvi_summary');
+  assert.equal(entries[0].options.fileNamePrefix, 'lucknow_2001_2020_ndvi summary');
+  assert.equal(entries[0].options.fileFormat, 'CSV');
+  assert.equal(entries[1].options.crs, 'EPSG:32644');
+  assert.equal(entries[1].options.scale, 30);
+  // Class maps are cast to integers.
+  assert.deepEqual(fake.pixels(entries[1].source), [-1, 0, 1, 0]);
+});
+
+test('describeManifest drops the Earth Engine objects', function() {
+  var described = lib.describeManifest(manifest());
+  assert.deepEqual(described[0], {
+    kind: 'table',
+    name: 'ndvi summary',
+    options: {
+      description: 'lucknow_2001_2020_ndvi_summary',
+      fileNamePrefix: 'lucknow_2001_2020_ndvi summary',
+      fileFormat: 'CSV'
+    }
+  });
+  assert.equal(described[1].options.region, undefined);
+  assert.doesNotThrow(function() { JSON.stringify(described); });
+});
+
+test('runExports hands every entry to a stand-in backend', function() {
+  var seen = [];
+  lib.runExports(manifest(), {
+    table: function(entry) { seen.push('table:' + entry.name); },
+    image: function(entry) { seen.push('image:' + entry.name); }
+  });
+  assert.deepEqual(seen, ['table:ndvi summary', 'image:sdg_15_3_1']);
+});
+
+test('runExports rejects kinds the backend cannot handle', function() {
+  assert.throws(function() {
+    lib.runExports(manifest(), { table: function() {} });
+  }, /Export backend cannot handle kind: image/);
+});
+
+test('eeExportBackend starts Drive or Cloud Storage tasks', function() {
+  lib.runExports(manifest(), lib.eeExportBackend(PARAMS));
+  var tasks = fake.tasks();
+  assert.deepEqual(tasks.map(function(t) { return t.type; }), ['table.toDrive', 'image.toDrive']);
+  assert.equal(tasks[0].params.folder, 'out');
+  assert.ok(tasks[0].params.collection);
+  assert.ok(tasks[1].params.image);
+
+  fake.reset();
+  PARAMS.destination = 'cloudStorage';
+  PARAMS.bucket = 'my-bucket';
+  lib.runExports(manifest(), lib.eeExportBackend(PARAMS));
+  assert.deepEqual(fake.tasks().map(function(t) { return [t.type, t.params.bucket]; }), [
+    ['table.toCloudStorage', 'my-bucket'],
+    ['image.toCloudStorage', 'my-bucket']
+  ]);
+});
@@ -0,0 +1,1867 @@
+// A small, eager stand-in for the Earth Engine client library, used to run the
+// module's logic under Node without an Earth Engine account.
+//
+// Images are evaluated immediately on a tiny pixel grid (see setGrid). Each
+// band holds one value and one mask per pixel; operations follow Earth Engine's
+// masking rules closely enough for the module's functions: binary operations
+// intersect masks, division by zero masks the pixel, remap masks unmapped
+// values and reductions weight pixels by their mask. Geometries select the
+// pixels whose centre they contain, and Image.pixelArea() is uniform.
+//
+// Like Earth Engine, failures inside an image (a missing band, a missing
+// asset) are deferred: the image carries the error and only throws when it is
+// evaluated, so that the untaken branch of ee.Algorithms.If is harmless.
+
+var assert = require('node:assert/strict');
+
+var grid;
+var assets;
+var tasks;
+
+// Reset the grid, the registered assets and the recorded export tasks.
+function reset() {
+  grid = {
+    width: 2,
+    height: 2,
+    lon0: 80.80,
+    lat0: 26.72,
+    step: 0.01,
+    pixelArea: 10000 // m², i.e. 1 ha per pixel.
+  };
+  assets = {};
+  tasks = [];
+}
+
+// Override some of the grid settings (width, height, lon0, lat0, step,
+// pixelArea).
+function setGrid(options) {
+  Object.keys(options).forEach(function(key) {
+    grid[key] = options[key];
+  });
+}
+
+function pixelCount() {
+  return grid.width * grid.height;
+}
+
+// Longitude/latitude of a pixel centre. Row 0 is the southernmost row.
+function pixelCentre(k) {
+  var col = k % grid.width;
+  var row = Math.floor(k / grid.width);
+  return {
+    lon: grid.lon0 + (col + 0.5) * grid.step,
+    lat: grid.lat0 + (row + 0.5) * grid.step
+  };
+}
+
+// [west, south, east, north] of the whole grid.
+function gridBounds() {
+  return [
+    grid.lon0, grid.lat0,
+    grid.lon0 + grid.width * grid.step, grid.lat0 + grid.height * grid.step
+  ];
+}
+
+function fill(value) {
+  var out = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    out.push(value);
+  }
+  return out;
+}
+
+// Convert fake computed objects back into plain JavaScript values.
+function unwrap(value) {
+  if (value instanceof FakeNumber && value.error) {
+    throw new Error(value.error);
+  }
+  if (value instanceof FakeNumber || value instanceof FakeString) {
+    return value.value;
+  }
+  if (value instanceof FakeDate) {
+    return value.ms;
+  }
+  if (value instanceof FakeList) {
+    return value.items.map(unwrap);
+  }
+  if (value instanceof FakeDictionary) {
+    return unwrapObject(value.obj);
+  }
+  if (Array.isArray(value)) {
+    return value.map(unwrap);
+  }
+  return value;
+}
+
+function unwrapObject(obj) {
+  var out = {};
+  Object.keys(obj).forEach(function(key) {
+    out[key] = unwrap(obj[key]);
+  });
+  return out;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(unwrap(a)) === JSON.stringify(unwrap(b));
+}
+
+//-----------------------------------------------------
+// Numbers, strings, dates, lists and dictionaries
+//-----------------------------------------------------
+
+// Arithmetic on a null number (e.g. a reduction over masked pixels) fails as
+// in Earth Engine, but only once the result is used, so that an unselected
+// ee.Algorithms.If branch stays harmless.
+function FakeNumber(value, error) {
+  this.value = value;
+  this.error = error || null;
+}
+function nullOperand(a, b) {
+  if (a.error || (b instanceof FakeNumber && b.error)) {
+    return new FakeNumber(null, a.error || b.error);
+  }
+  if (a.value === null || (b !== undefined && unwrap(b) === null)) {
+    return new FakeNumber(null, 'Number: null operand');
+  }
+  return null;
+}
+function numberOp(fn) {
+  return function(other) {
+    return nullOperand(this, other) || new FakeNumber(fn(this.value, unwrap(other)));
+  };
+}
+function unaryNumberOp(fn) {
+  return function() {
+    return nullOperand(this) || new FakeNumber(fn(this.value));
+  };
+}
+FakeNumber.prototype.add = numberOp(function(a, b) { return a + b; });
+FakeNumber.prototype.subtract = numberOp(function(a, b) { return a - b; });
+FakeNumber.prototype.multiply = numberOp(function(a, b) { return a * b; });
+FakeNumber.prototype.divide = numberOp(function(a, b) { return a / b; });
+FakeNumber.prototype.mod = numberOp(function(a, b) { return a % b; });
+FakeNumber.prototype.pow = numberOp(function(a, b) { return Math.pow(a, b); });
+FakeNumber.prototype.min = numberOp(function(a, b) { return Math.min(a, b); });
+FakeNumber.prototype.max = numberOp(function(a, b) { return Math.max(a, b); });
+FakeNumber.prototype.gt = numberOp(function(a, b) { return a > b ? 1 : 0; });
+FakeNumber.prototype.gte = numberOp(function(a, b) { return a >= b ? 1 : 0; });
+FakeNumber.prototype.lt = numberOp(function(a, b) { return a < b ? 1 : 0; });
+FakeNumber.prototype.lte = numberOp(function(a, b) { return a <= b ? 1 : 0; });
+FakeNumber.prototype.eq = numberOp(function(a, b) { return a === b ? 1 : 0; });
+FakeNumber.prototype.neq = numberOp(function(a, b) { return a !== b ? 1 : 0; });
+FakeNumber.prototype.and = numberOp(function(a, b) { return a && b ? 1 : 0; });
+FakeNumber.prototype.or = numberOp(function(a, b) { return a || b ? 1 : 0; });
+FakeNumber.prototype.not = function() { return new FakeNumber(this.value ? 0 : 1); };
+FakeNumber.prototype.int = unaryNumberOp(Math.trunc);
+FakeNumber.prototype.toInt = FakeNumber.prototype.int;
+FakeNumber.prototype.float = unaryNumberOp(function(v) { return v; });
+FakeNumber.prototype.abs = unaryNumberOp(Math.abs);
+FakeNumber.prototype.sqrt = unaryNumberOp(Math.sqrt);
+FakeNumber.prototype.round = unaryNumberOp(Math.round);
+FakeNumber.prototype.format = function() { return new FakeString(String(unwrap(this))); };
+FakeNumber.prototype.getInfo = function() { return unwrap(this); };
+
+function FakeString(value) {
+  this.value = value;
+}
+FakeString.prototype.cat = function(other) {
+  return new FakeString(this.value + unwrap(other));
+};
+FakeString.prototype.getInfo = function() { return this.value; };
+
+function FakeDate(ms) {
+  this.ms = ms;
+}
+FakeDate.prototype.millis = function() { return new FakeNumber(this.ms); };
+FakeDate.prototype.get = function(unit) {
+  var d = new Date(this.ms);
+  if (unit === 'year') {
+    return new FakeNumber(d.getUTCFullYear());
+  }
+  if (unit === 'month') {
+    return new FakeNumber(d.getUTCMonth() + 1);
+  }
+  throw new Error('FakeDate.get: unsupported unit ' + unit);
+};
+FakeDate.prototype.getInfo = function() { return { type: 'Date', value: this.ms }; };
+FakeDate.prototype.advance = function(delta, unit) {
+  var d = new Date(this.ms);
+  var n = unwrap(delta);
+  if (unit === 'day') {
+    return new FakeDate(this.ms + n * 86400000);
+  }
+  if (unit === 'month') {
+    return new FakeDate(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, d.getUTCDate()));
+  }
+  if (unit === 'year') {
+    return new FakeDate(Date.UTC(d.getUTCFullYear() + n, d.getUTCMonth(), d.getUTCDate()));
+  }
+  throw new Error('FakeDate.advance: unsupported unit ' + unit);
+};
+// Fractional difference; a year is taken as 365.25 days.
+FakeDate.prototype.difference = function(start, unit) {
+  var days = (this.ms - unwrap(ee.Date(start))) / 86400000;
+  if (unit === 'day') {
+    return new FakeNumber(days);
+  }
+  if (unit === 'year') {
+    return new FakeNumber(days / 365.25);
+  }
+  throw new Error('FakeDate.difference: unsupported unit ' + unit);
+};
+
+function FakeList(items) {
+  this.items = items;
+}
+FakeList.prototype.map = function(fn) {
+  return new FakeList(this.items.map(function(item) { return unwrap(fn(item)); }));
+};
+FakeList.prototype.get = function(index) {
+  var i = unwrap(index);
+  if (i < 0) {
+    i += this.items.length;
+  }
+  if (i < 0 || i >= this.items.length) {
+    throw new Error('List.get: List index must be between 0 and ' +
+                    (this.items.length - 1) + ', got ' + unwrap(index));
+  }
+  return this.items[i];
+};
+FakeList.prototype.size = function() { return new FakeNumber(this.items.length); };
+FakeList.prototype.length = FakeList.prototype.size;
+FakeList.prototype.distinct = function() {
+  var seen = [];
+  this.items.forEach(function(item) {
+    if (!seen.some(function(s) { return sameValue(s, item); })) {
+      seen.push(item);
+    }
+  });
+  return new FakeList(seen);
+};
+FakeList.prototype.contains = function(value) {
+  return new FakeNumber(this.items.some(function(item) { return sameValue(item, value); }) ? 1 : 0);
+};
+FakeList.prototype.indexOf = function(value) {
+  for (var i = 0; i < this.items.length; i++) {
+    if (sameValue(this.items[i], value)) {
+      return new FakeNumber(i);
+    }
+  }
+  return new FakeNumber(-1);
+};
+FakeList.prototype.flatten = function() {
+  return new FakeList(this.items.reduce(function(acc, item) {
+    return acc.concat(unwrap(item));
+  }, []));
+};
+FakeList.prototype.removeAll = function(other) {
+  var remove = unwrap(other);
+  return new FakeList(this.items.filter(function(item) {
+    return !remove.some(function(r) { return sameValue(item, r); });
+  }));
+};
+FakeList.prototype.cat = function(other) {
+  return new FakeList(this.items.concat(unwrap(other)));
+};
+FakeList.prototype.getInfo = function() { return unwrap(this); };
+
+// A dictionary with `error` set (the reduction of a failed image) reads as
+// null so that an unselected ee.Algorithms.If branch stays harmless, and fails
+// on getInfo.
+function FakeDictionary(obj, error) {
+  this.obj = obj;
+  this.error = error || null;
+}
+FakeDictionary.prototype.get = function(key, defaultValue) {
+  if (this.error) {
+    return null;
+  }
+  var k = String(unwrap(key));
+  if (Object.prototype.hasOwnProperty.call(this.obj, k)) {
+    return this.obj[k];
+  }
+  if (defaultValue !== undefined) {
+    return defaultValue;
+  }
+  throw new Error('Dictionary.get: Dictionary does not contain key: ' + k);
+};
+FakeDictionary.prototype.set = function(key, value) {
+  var obj = {};
+  Object.keys(this.obj).forEach(function(k) { obj[k] = this.obj[k]; }, this);
+  obj[String(unwrap(key))] = unwrap(value);
+  return new FakeDictionary(obj);
+};
+FakeDictionary.prototype.contains = function(key) {
+  return new FakeNumber(Object.prototype.hasOwnProperty.call(this.obj, String(unwrap(key))) ? 1 : 0);
+};
+FakeDictionary.prototype.keys = function() { return new FakeList(Object.keys(this.obj)); };
+FakeDictionary.prototype.values = function() {
+  return new FakeList(Object.keys(this.obj).map(function(k) { return this.obj[k]; }, this));
+};
+FakeDictionary.prototype.getInfo = function() {
+  if (this.error) {
+    throw new Error(this.error);
+  }
+  return unwrap(this);
+};
+
+//-----------------------------------------------------
+// Geometries
+//-----------------------------------------------------
+
+// A geometry is represented by a point-in-geometry test on pixel centres.
+function FakeGeometry(type, contains, coordinates) {
+  this.type = type;
+  this.containsPoint = contains;
+  this.coordinates = coordinates;
+}
+// Mask (0/1) of the grid pixels whose centre lies inside the geometry.
+FakeGeometry.prototype.pixels = function() {
+  var out = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var c = pixelCentre(k);
+    out.push(this.containsPoint(c.lon, c.lat) ? 1 : 0);
+  }
+  return out;
+};
+FakeGeometry.prototype.area = function() {
+  var inside = this.pixels().reduce(function(a, b) { return a + b; }, 0);
+  return new FakeNumber(inside * grid.pixelArea);
+};
+FakeGeometry.prototype.getInfo = function() {
+  return { type: this.type, coordinates: this.coordinates };
+};
+
+function rectangle(coords) {
+  var b = unwrap(coords);
+  return new FakeGeometry('Rectangle', function(lon, lat) {
+    return lon >= b[0] && lon < b[2] && lat >= b[1] && lat < b[3];
+  }, b);
+}
+
+function ringContains(ring, lon, lat) {
+  var inside = false;
+  for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    var xi = ring[i][0], yi = ring[i][1];
+    var xj = ring[j][0], yj = ring[j][1];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygon(rings) {
+  return new FakeGeometry('Polygon', function(lon, lat) {
+    return ringContains(rings[0], lon, lat) &&
+      !rings.slice(1).some(function(hole) { return ringContains(hole, lon, lat); });
+  }, rings);
+}
+
+function point(coords) {
+  var c = unwrap(coords);
+  var geometry = new FakeGeometry('Point', function() { return false; }, c);
+  geometry.point = c;
+  return geometry;
+}
+
+// Geometry covering a set of grid pixels, as built by reduceToVectors.
+function pixelSet(indices) {
+  return new FakeGeometry('Polygon', function(lon, lat) {
+    var col = Math.floor((lon - grid.lon0) / grid.step);
+    var row = Math.floor((lat - grid.lat0) / grid.step);
+    return col >= 0 && col < grid.width && row >= 0 && row < grid.height &&
+      indices.indexOf(row * grid.width + col) !== -1;
+  }, indices.slice());
+}
+
+// Connected groups of unmasked pixels with equal values in one band, as lists
+// of pixel indices.
+function connectedComponents(b, eightConnected) {
+  var label = fill(-1);
+  var components = [];
+  for (var start = 0; start < pixelCount(); start++) {
+    if (!b.mask[start] || label[start] !== -1) {
+      continue;
+    }
+    var members = [];
+    var queue = [start];
+    label[start] = components.length;
+    while (queue.length) {
+      var k = queue.shift();
+      members.push(k);
+      var col = k % grid.width;
+      var row = Math.floor(k / grid.width);
+      for (var dr = -1; dr <= 1; dr++) {
+        for (var dc = -1; dc <= 1; dc++) {
+          var r = row + dr;
+          var c = col + dc;
+          var diagonal = dr !== 0 && dc !== 0;
+          if ((dr === 0 && dc === 0) || (diagonal && !eightConnected) ||
+              r < 0 || r >= grid.height || c < 0 || c >= grid.width) {
+            continue;
+          }
+          var j = r * grid.width + c;
+          if (b.mask[j] && label[j] === -1 && b.values[j] === b.values[start]) {
+            label[j] = components.length;
+            queue.push(j);
+          }
+        }
+      }
+    }
+    components.push(members.sort(function(x, y) { return x - y; }));
+  }
+  return components;
+}
+
+function union(geometries) {
+  var merged = new FakeGeometry('MultiGeometry', function(lon, lat) {
+    return geometries.some(function(g) { return g.containsPoint(lon, lat); });
+  }, geometries.map(function(g) { return g.coordinates; }));
+  merged.parts = geometries;
+  return merged;
+}
+
+function geometryFromGeoJson(geojson) {
+  if (geojson instanceof FakeGeometry) {
+    return geojson;
+  }
+  if (geojson.type === 'Polygon') {
+    return polygon(geojson.coordinates);
+  }
+  if (geojson.type === 'MultiPolygon') {
+    return union(geojson.coordinates.map(polygon));
+  }
+  if (geojson.type === 'Point') {
+    return point(geojson.coordinates);
+  }
+  throw new Error('Geometry: unsupported GeoJSON type ' + geojson.type);
+}
+
+//-----------------------------------------------------
+// Images
+//-----------------------------------------------------
+
+// bands: [{name, values, mask}]. An image with `error` set fails on evaluation.
+function FakeImage(bands, props, error) {
+  this.bands = bands;
+  this.props = props || {};
+  this.error = error || null;
+}
+
+function errorImage(message) {
+  return new FakeImage([], {}, message);
+}
+
+function band(name, values, mask) {
+  return { name: name, values: values, mask: mask };
+}
+
+function copyProps(props) {
+  var out = {};
+  Object.keys(props).forEach(function(k) { out[k] = props[k]; });
+  return out;
+}
+
+// Cast a number, list of numbers or image to an image.
+function toImage(value) {
+  if (value instanceof FakeImage) {
+    return value;
+  }
+  var v = unwrap(value);
+  if (Array.isArray(v)) {
+    return new FakeImage(v.map(function(x, i) {
+      return band('constant_' + i, fill(x), fill(1));
+    }));
+  }
+  return new FakeImage([band('constant', fill(v), fill(1))]);
+}
+
+FakeImage.prototype.check = function() {
+  if (this.error) {
+    throw new Error(this.error);
+  }
+  return this;
+};
+
+// Pair up the bands of two images, broadcasting single-band images.
+function pairBands(a, b, opName) {
+  var n = Math.max(a.bands.length, b.bands.length);
+  if (a.bands.length !== b.bands.length && a.bands.length !== 1 && b.bands.length !== 1) {
+    throw new Error('Image.' + opName + ': band counts do not match (' +
+                    a.bands.length + ' vs ' + b.bands.length + ')');
+  }
+  var pairs = [];
+  for (var i = 0; i < n; i++) {
+    pairs.push([
+      a.bands[a.bands.length === 1 ? 0 : i],
+      b.bands[b.bands.length === 1 ? 0 : i]
+    ]);
+  }
+  return pairs;
+}
+
+// Define a per-pixel binary operation. Non-finite results are masked.
+function binaryOp(opName, fn) {
+  FakeImage.prototype[opName] = function(other) {
+    if (this.error) {
+      return this;
+    }
+    var b = toImage(other);
+    if (b.error) {
+      return b;
+    }
+    var leftNames = this.bands.length >= b.bands.length || this.bands.length !== 1;
+    return new FakeImage(pairBands(this, b, opName).map(function(pair) {
+      var values = [];
+      var mask = [];
+      for (var k = 0; k < pixelCount(); k++) {
+        var v = fn(pair[0].values[k], pair[1].values[k]);
+        var m = Math.min(pair[0].mask[k], pair[1].mask[k]);
+        if (typeof v !== 'number' || !isFinite(v)) {
+          v = 0;
+          m = 0;
+        }
+        values.push(v);
+        mask.push(m);
+      }
+      return band(leftNames ? pair[0].name : pair[1].name, values, mask);
+    }));
+  };
+}
+
+// Define a per-pixel unary operation. Non-finite results are masked.
+function unaryOp(opName, fn) {
+  FakeImage.prototype[opName] = function() {
+    if (this.error) {
+      return this;
+    }
+    return new FakeImage(this.bands.map(function(b) {
+      var values = [];
+      var mask = [];
+      for (var k = 0; k < pixelCount(); k++) {
+        var v = fn(b.values[k]);
+        var m = b.mask[k];
+        if (!isFinite(v)) {
+          v = 0;
+          m = 0;
+        }
+        values.push(v);
+        mask.push(m);
+      }
+      return band(b.name, values, mask);
+    }), copyProps(this.props));
+  };
+}
+
+binaryOp('add', function(a, b) { return a + b; });
+binaryOp('subtract', function(a, b) { return a - b; });
+binaryOp('multiply', function(a, b) { return a * b; });
+binaryOp('divide', function(a, b) { return b === 0 ? NaN : a / b; });
+binaryOp('mod', function(a, b) { return b === 0 ? NaN : a % b; });
+binaryOp('pow', function(a, b) { return Math.pow(a, b); });
+binaryOp('min', function(a, b) { return Math.min(a, b); });
+binaryOp('max', function(a, b) { return Math.max(a, b); });
+binaryOp('atan2', function(a, b) { return Math.atan2(a, b); });
+binaryOp('gt', function(a, b) { return a > b ? 1 : 0; });
+binaryOp('gte', function(a, b) { return a >= b ? 1 : 0; });
+binaryOp('lt', function(a, b) { return a < b ? 1 : 0; });
+binaryOp('lte', function(a, b) { return a <= b ? 1 : 0; });
+binaryOp('eq', function(a, b) { return a === b ? 1 : 0; });
+binaryOp('neq', function(a, b) { return a !== b ? 1 : 0; });
+binaryOp('and', function(a, b) { return a !== 0 && b !== 0 ? 1 : 0; });
+binaryOp('or', function(a, b) { return a !== 0 || b !== 0 ? 1 : 0; });
+binaryOp('bitwiseAnd', function(a, b) { return a & b; });
+binaryOp('bitwiseOr', function(a, b) { return a | b; });
+
+unaryOp('not', function(v) { return v === 0 ? 1 : 0; });
+unaryOp('signum', function(v) { return Math.sign(v); });
+unaryOp('sqrt', function(v) { return v < 0 ? NaN : Math.sqrt(v); });
+unaryOp('abs', function(v) { return Math.abs(v); });
+unaryOp('floor', function(v) { return Math.floor(v); });
+unaryOp('ceil', function(v) { return Math.ceil(v); });
+unaryOp('round', function(v) { return Math.round(v); });
+unaryOp('log', function(v) { return v <= 0 ? NaN : Math.log(v); });
+unaryOp('exp', function(v) { return Math.exp(v); });
+unaryOp('cos', function(v) { return Math.cos(v); });
+unaryOp('sin', function(v) { return Math.sin(v); });
+unaryOp('int', function(v) { return Math.trunc(v); });
+unaryOp('toInt', function(v) { return Math.trunc(v); });
+unaryOp('toInt16', function(v) { return Math.trunc(v); });
+unaryOp('toInt32', function(v) { return Math.trunc(v); });
+unaryOp('byte', function(v) { return Math.trunc(v); });
+unaryOp('uint8', function(v) { return Math.trunc(v); });
+unaryOp('float', function(v) { return v; });
+unaryOp('toFloat', function(v) { return v; });
+unaryOp('double', function(v) { return v; });
+
+FakeImage.prototype.rename = function() {
+  if (this.error) {
+    return this;
+  }
+  var names = Array.isArray(arguments[0]) || arguments[0] instanceof FakeList ?
+    unwrap(arguments[0]) : Array.prototype.slice.call(arguments).map(unwrap);
+  if (names.length !== this.bands.length) {
+    return errorImage('Image.rename: got ' + names.length + ' names for ' +
+                      this.bands.length + ' bands');
+  }
+  return new FakeImage(this.bands.map(function(b, i) {
+    return band(names[i], b.values, b.mask);
+  }), copyProps(this.props));
+};
+
+FakeImage.prototype.select = function(selectors, newNames) {
+  if (this.error) {
+    return this;
+  }
+  var names = Array.isArray(selectors) || selectors instanceof FakeList ?
+    unwrap(selectors) : [unwrap(selectors)];
+  var picked = [];
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i];
+    var found = typeof name === 'number' ? this.bands[name] :
+      this.bands.filter(function(b) { return b.name === name; })[0];
+    if (!found) {
+      return errorImage("Image.select: Pattern '" + name + "' did not match any bands.");
+    }
+    picked.push(found);
+  }
+  var renamed = newNames ? unwrap(newNames) : null;
+  return new FakeImage(picked.map(function(b, idx) {
+    return band(renamed ? renamed[idx] : b.name, b.values, b.mask);
+  }), copyProps(this.props));
+};
+
+FakeImage.prototype.addBands = function(other) {
+  if (this.error) {
+    return this;
+  }
+  var b = toImage(other);
+  if (b.error) {
+    return b;
+  }
+  return new FakeImage(this.bands.concat(b.bands), copyProps(this.props));
+};
+
+FakeImage.prototype.bandNames = function() {
+  this.check();
+  return new FakeList(this.bands.map(function(b) { return b.name; }));
+};
+
+FakeImage.prototype.mask = function() {
+  if (this.error) {
+    return this;
+  }
+  return new FakeImage(this.bands.map(function(b) {
+    return band(b.name, b.mask.slice(), fill(1));
+  }));
+};
+
+FakeImage.prototype.updateMask = function(maskImage) {
+  if (this.error) {
+    return this;
+  }
+  var m = toImage(maskImage);
+  if (m.error) {
+    return m;
+  }
+  return new FakeImage(pairBands(this, m, 'updateMask').map(function(pair) {
+    var mask = [];
+    for (var k = 0; k < pixelCount(); k++) {
+      var newMask = pair[1].mask[k] ? Math.min(1, Math.abs(pair[1].values[k])) : 0;
+      mask.push(Math.min(pair[0].mask[k], newMask));
+    }
+    return band(pair[0].name, pair[0].values, mask);
+  }), copyProps(this.props));
+};
+
+// Masked pixels take a constant, or the value and mask of another image.
+FakeImage.prototype.unmask = function(value) {
+  if (this.error) {
+    return this;
+  }
+  if (value instanceof FakeImage) {
+    var other = value.check();
+    return new FakeImage(pairBands(this, other, 'unmask').map(function(pair) {
+      var a = pair[0];
+      var b = pair[1];
+      return band(
+        a.name,
+        a.values.map(function(x, k) { return a.mask[k] ? x : b.values[k]; }),
+        a.mask.map(function(m, k) { return m ? 1 : b.mask[k]; })
+      );
+    }), copyProps(this.props));
+  }
+  var v = value === undefined ? 0 : unwrap(value);
+  return new FakeImage(this.bands.map(function(b) {
+    return band(b.name, b.values.map(function(x, k) { return b.mask[k] ? x : v; }), fill(1));
+  }), copyProps(this.props));
+};
+
+// Mean of the unmasked pixels within a square of `radius` pixels; pixels with
+// none stay masked.
+FakeImage.prototype.focal_mean = function(options) {
+  if (this.error) {
+    return this;
+  }
+  var radius = typeof options === 'object' ? options.radius : options;
+  return new FakeImage(this.bands.map(function(b) {
+    var values = [];
+    var mask = [];
+    for (var k = 0; k < pixelCount(); k++) {
+      var col = k % grid.width;
+      var row = Math.floor(k / grid.width);
+      var sum = 0;
+      var n = 0;
+      for (var j = 0; j < pixelCount(); j++) {
+        var near = Math.abs(j % grid.width - col) <= radius &&
+                   Math.abs(Math.floor(j / grid.width) - row) <= radius;
+        if (near && b.mask[j]) {
+          sum += b.values[j];
+          n++;
+        }
+      }
+      values.push(n ? sum / n : 0);
+      mask.push(n ? 1 : 0);
+    }
+    return band(b.name, values, mask);
+  }), copyProps(this.props));
+};
+
+FakeImage.prototype.selfMask = function() {
+  return this.updateMask(this);
+};
+
+FakeImage.prototype.where = function(test, value) {
+  if (this.error) {
+    return this;
+  }
+  var t = toImage(test);
+  var v = toImage(value);
+  if (t.error || v.error) {
+    return t.error ? t : v;
+  }
+  return new FakeImage(this.bands.map(function(b, i) {
+    var tb = t.bands[t.bands.length === 1 ? 0 : i];
+    var vb = v.bands[v.bands.length === 1 ? 0 : i];
+    var values = b.values.slice();
+    var mask = b.mask.slice();
+    for (var k = 0; k < pixelCount(); k++) {
+      if (tb.mask[k] && tb.values[k] !== 0) {
+        values[k] = vb.values[k];
+        mask[k] = vb.mask[k];
+      }
+    }
+    return band(b.name, values, mask);
+  }), copyProps(this.props));
+};
+
+FakeImage.prototype.remap = function(from, to) {
+  if (this.error) {
+    return this;
+  }
+  var f = unwrap(from);
+  var t = unwrap(to);
+  var b = this.bands[0];
+  var values = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var idx = f.indexOf(b.values[k]);
+    values.push(idx === -1 ? 0 : t[idx]);
+    mask.push(idx === -1 ? 0 : b.mask[k]);
+  }
+  return new FakeImage([band('remapped', values, mask)], copyProps(this.props));
+};
+
+FakeImage.prototype.normalizedDifference = function(names) {
+  var pair = unwrap(names);
+  var a = this.select(pair[0]);
+  var b = this.select(pair[1]);
+  return a.subtract(b).divide(a.add(b)).rename('nd');
+};
+
+// Parse an arithmetic expression over numbers and variable names (+, -, *, /,
+// unary minus and parentheses) into a function of a {name: value} object.
+function parseExpression(expression) {
+  var tokens = expression.match(/\d+(\.\d+)?|\.\d+|[A-Za-z_]\w*|[-+*\/()]|\S/g) || [];
+  var pos = 0;
+  function expect(token) {
+    if (tokens[pos] !== token) {
+      throw new Error('expression: expected ' + token + ' in ' + expression);
+    }
+    pos++;
+  }
+  function primary() {
+    var token = tokens[pos++];
+    if (token === '(') {
+      var inner = sum();
+      expect(')');
+      return inner;
+    }
+    if (token === '-') {
+      var operand = primary();
+      return function(env) { return -operand(env); };
+    }
+    if (/^[\d.]/.test(token)) {
+      var number = Number(token);
+      return function() { return number; };
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      return function(env) {
+        if (!(token in env)) {
+          throw new Error('expression: unknown variable ' + token);
+        }
+        return env[token];
+      };
+    }
+    throw new Error('expression: unexpected ' + token + ' in ' + expression);
+  }
+  function binary(next, operators) {
+    return function() {
+      var left = next();
+      while (operators.indexOf(tokens[pos]) !== -1) {
+        left = (function(a, op, b) {
+          return function(env) {
+            var x = a(env);
+            var y = b(env);
+            return op === '+' ? x + y : op === '-' ? x - y : op === '*' ? x * y : x / y;
+          };
+        })(left, tokens[pos++], next());
+      }
+      return left;
+    };
+  }
+  var product = binary(primary, ['*', '/']);
+  var sum = binary(product, ['+', '-']);
+  var fn = sum();
+  if (pos !== tokens.length) {
+    throw new Error('expression: unexpected ' + tokens[pos] + ' in ' + expression);
+  }
+  return fn;
+}
+
+FakeImage.prototype.expression = function(expression, map) {
+  if (this.error) {
+    return this;
+  }
+  var names = Object.keys(map);
+  var images = names.map(function(n) { return toImage(map[n]); });
+  for (var i = 0; i < images.length; i++) {
+    if (images[i].error) {
+      return images[i];
+    }
+  }
+  var fn = parseExpression(expression);
+  var values = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var env = {};
+    names.forEach(function(n, i) { env[n] = images[i].bands[0].values[k]; });
+    var v = fn(env);
+    var m = Math.min.apply(null, images.map(function(img) { return img.bands[0].mask[k]; }));
+    if (!isFinite(v)) {
+      v = 0;
+      m = 0;
+    }
+    values.push(v);
+    mask.push(m);
+  }
+  return new FakeImage([band('constant', values, mask)]);
+};
+
+// Reduce across the bands of every pixel.
+FakeImage.prototype.reduce = function(reducer) {
+  if (this.error) {
+    return this;
+  }
+  var bands = this.bands;
+  var values = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var valid = bands.filter(function(b) { return b.mask[k]; })
+                     .map(function(b) { return b.values[k]; });
+    var r = valid.length ? reducer.apply(valid, valid.map(function() { return 1; })) : null;
+    values.push(r === null ? 0 : r);
+    mask.push(r === null ? 0 : 1);
+  }
+  return new FakeImage([band(reducer.outputName, values, mask)]);
+};
+
+// Arrays are held as plain JavaScript arrays in the pixel values of a band.
+// arrayProject keeps the arrays (1-D already); arrayFlatten splits them into
+// one band per name.
+FakeImage.prototype.arrayProject = function() { return this; };
+FakeImage.prototype.arrayFlatten = function(names) {
+  if (this.error) {
+    return this;
+  }
+  var b = this.bands[0];
+  return new FakeImage(unwrap(names)[0].map(function(name, i) {
+    return band(name, b.values.map(function(v, k) { return b.mask[k] ? v[i] : 0; }), b.mask.slice());
+  }), copyProps(this.props));
+};
+
+FakeImage.prototype.date = function() {
+  return new FakeDate(this.props['system:time_start']);
+};
+
+FakeImage.prototype.clip = function() { return this; };
+FakeImage.prototype.clipToCollection = function() { return this; };
+FakeImage.prototype.reproject = function() { return this; };
+FakeImage.prototype.resample = function() { return this; };
+FakeImage.prototype.projection = function() {
+  return { crs: function() { return new FakeString('EPSG:4326'); } };
+};
+
+FakeImage.prototype.set = function(key, value) {
+  if (this.error) {
+    return this;
+  }
+  var props = copyProps(this.props);
+  if (typeof key === 'object' && !(key instanceof FakeString)) {
+    var obj = key instanceof FakeDictionary ? key.obj : key;
+    Object.keys(obj).forEach(function(k) { props[k] = unwrap(obj[k]); });
+  } else {
+    props[unwrap(key)] = unwrap(value);
+  }
+  return new FakeImage(this.bands, props);
+};
+
+FakeImage.prototype.get = function(key) {
+  if (key === 'system:band_names') {
+    return this.error ? [] : this.bands.map(function(b) { return b.name; });
+  }
+  return this.props[key] === undefined ? null : this.props[key];
+};
+
+FakeImage.prototype.propertyNames = function() {
+  return new FakeList(Object.keys(this.props));
+};
+
+FakeImage.prototype.copyProperties = function(source, keys) {
+  if (this.error) {
+    return this;
+  }
+  var props = copyProps(this.props);
+  var from = source.props;
+  (keys ? unwrap(keys) : Object.keys(from)).forEach(function(k) {
+    if (from[k] !== undefined) {
+      props[k] = from[k];
+    }
+  });
+  return new FakeImage(this.bands, props);
+};
+
+FakeImage.prototype.reduceRegion = function(options) {
+  if (this.error) {
+    return new FakeDictionary({}, this.error);
+  }
+  var geometry = options.geometry ? geometryFromGeoJson(options.geometry) : null;
+  var inside = geometry ? geometry.pixels() : fill(1);
+  return new FakeDictionary(options.reducer.reduceImage(this, inside));
+};
+
+// Size of each pixel's connected group (equal values), capped at maxSize.
+FakeImage.prototype.connectedPixelCount = function(maxSize, eightConnected) {
+  if (this.error) {
+    return this;
+  }
+  return new FakeImage(this.bands.map(function(b) {
+    var values = fill(0);
+    connectedComponents(b, eightConnected !== false).forEach(function(members) {
+      members.forEach(function(k) { values[k] = Math.min(members.length, maxSize || 100); });
+    });
+    return band(b.name, values, b.mask.slice());
+  }), copyProps(this.props));
+};
+
+// One polygon per connected group of the first band within the geometry, with
+// the group's value under `labelProperty` and its pixel count.
+FakeImage.prototype.reduceToVectors = function(options) {
+  this.check();
+  var b = this.bands[0];
+  var inside = options.geometry ? geometryFromGeoJson(options.geometry).pixels() : fill(1);
+  var clipped = band(b.name, b.values, b.mask.map(function(m, k) { return m * inside[k]; }));
+  return new FakeCollection(connectedComponents(clipped, options.eightConnected !== false)
+    .map(function(members) {
+      var props = { count: members.length };
+      props[options.labelProperty || 'label'] = b.values[members[0]];
+      return new FakeFeature(pixelSet(members), props);
+    }));
+};
+
+// One region reduction per feature, added to its properties. As in Earth
+// Engine, a single-band image gives properties named after the reducer's
+// outputs rather than the band.
+FakeImage.prototype.reduceRegions = function(options) {
+  this.check();
+  var img = this;
+  var reducer = options.reducer;
+  return options.collection.map(function(feature) {
+    var out = reducer.reduceImage(img, feature.geometry().pixels());
+    if (img.bands.length === 1) {
+      var prefix = img.bands[0].name;
+      var renamed = {};
+      Object.keys(out).forEach(function(k) {
+        renamed[k === prefix ? reducer.outputName : k.slice(prefix.length + 1)] = out[k];
+      });
+      out = renamed;
+    }
+    return feature.set(out);
+  });
+};
+
+// The band values of the pixel under each point feature, with the listed
+// properties; points on masked pixels or off the grid are dropped.
+FakeImage.prototype.sampleRegions = function(options) {
+  this.check();
+  var img = this;
+  return new FakeCollection(options.collection.elements.map(function(feature) {
+    var c = feature.geometry().point;
+    var col = Math.floor((c[0] - grid.lon0) / grid.step);
+    var row = Math.floor((c[1] - grid.lat0) / grid.step);
+    if (col < 0 || col >= grid.width || row < 0 || row >= grid.height) {
+      return null;
+    }
+    var k = row * grid.width + col;
+    if (img.bands.some(function(b) { return !b.mask[k]; })) {
+      return null;
+    }
+    var props = {};
+    (options.properties || []).forEach(function(name) { props[name] = feature.get(name); });
+    img.bands.forEach(function(b) { props[b.name] = b.values[k]; });
+    return new FakeFeature(null, props);
+  }).filter(function(f) { return f !== null; }));
+};
+
+// Burn each feature's `color` (a number or property name) into the pixels it
+// covers, later features on top. Outlines (`width`) are not drawn.
+FakeImage.prototype.paint = function(featureCollection, color) {
+  this.check();
+  var b = this.bands[0];
+  var values = b.values.slice();
+  var mask = b.mask.slice();
+  featureCollection.elements.forEach(function(feature) {
+    var value = typeof color === 'string' ? feature.get(color) : unwrap(color);
+    feature.geometry().pixels().forEach(function(inside, k) {
+      if (inside && value !== null) {
+        values[k] = value;
+        mask[k] = 1;
+      }
+    });
+  });
+  return new FakeImage([band(b.name, values, mask)], copyProps(this.props));
+};
+
+FakeImage.prototype.getInfo = function() {
+  this.check();
+  return {
+    type: 'Image',
+    bands: this.bands.map(function(b) { return { id: b.name }; }),
+    properties: copyProps(this.props)
+  };
+};
+
+// Per-pixel values of one band, with null where the pixel is masked.
+function pixels(image, name) {
+  image.check();
+  var b = name === undefined ? image.bands[0] :
+    image.bands.filter(function(x) { return x.name === name; })[0];
+  if (!b) {
+    throw new Error('pixels: no band ' + name);
+  }
+  return b.values.map(function(v, k) { return b.mask[k] ? v : null; });
+}
+
+// Build an image from per-band pixel arrays; null marks a masked pixel.
+function image(bandValues, props) {
+  return new FakeImage(Object.keys(bandValues).map(function(name) {
+    var values = bandValues[name];
+    if (values.length !== pixelCount()) {
+      throw new Error('image: band ' + name + ' needs ' + pixelCount() + ' values');
+    }
+    return band(
+      name,
+      values.map(function(v) { return v === null ? 0 : v; }),
+      values.map(function(v) { return v === null ? 0 : 1; })
+    );
+  }), props);
+}
+
+// Properties of every feature of a collection.
+function rows(collection) {
+  return collection.getInfo().features.map(function(f) { return f.properties; });
+}
+
+// Assert that two numbers agree to within `tolerance` (1e-9 by default).
+function close(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) < (tolerance || 1e-9), actual + ' != ' + expected);
+}
+
+// Stored Collection 2 DN of a surface reflectance value.
+function dn(reflectance) {
+  var c02 = require('../land_cover_ndvi_lib').LANDSAT_SR_SCALING.C02;
+  return Math.round((reflectance - c02.offset) / c02.scale);
+}
+
+// A Collection 2 scene of `sensor` (an entry of LANDSAT_SENSORS) on the grid.
+// `reflectance` gives the per-pixel reflectance of each consistent band name;
+// `date` is a date string or milliseconds.
+function scene(sensor, date, reflectance, qaPixel, qaRadsat, cloudCover) {
+  var bands = {};
+  Object.keys(sensor.bands).forEach(function(name) {
+    bands[sensor.bands[name]] = reflectance[name].map(dn);
+  });
+  bands.QA_PIXEL = qaPixel;
+  bands.QA_RADSAT = qaRadsat;
+  return image(bands, {
+    'system:time_start': typeof date === 'string' ? Date.parse(date) : date,
+    'CLOUD_COVER': cloudCover === undefined ? 10 : cloudCover
+  });
+}
+
+//-----------------------------------------------------
+// Reducers
+//-----------------------------------------------------
+
+// `apply(values, weights)` reduces one pixel stack or region; a reducer over
+// an image region returns a dictionary keyed as Earth Engine does.
+function FakeReducer(outputName, apply) {
+  this.outputName = outputName;
+  this.apply = apply;
+}
+
+FakeReducer.prototype.combine = function(other) {
+  var own = this instanceof CombinedReducer ? this.reducers : [this];
+  return new CombinedReducer(own.concat(other instanceof CombinedReducer ? other.reducers : [other]));
+};
+
+FakeReducer.prototype.group = function(options) {
+  return new GroupedReducer(this, options.groupField, options.groupName || 'group');
+};
+
+// Region reduction: one output per band, keyed by the band name.
+FakeReducer.prototype.reduceImage = function(img, inside) {
+  var self = this;
+  var out = {};
+  img.bands.forEach(function(b) {
+    out[b.name] = reduceBand(self, b, inside);
+  });
+  return out;
+};
+
+function reduceBand(reducer, b, inside) {
+  var values = [];
+  var weights = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var w = b.mask[k] * inside[k];
+    if (w > 0) {
+      values.push(b.values[k]);
+      weights.push(w);
+    }
+  }
+  return reducer.apply(values, weights);
+}
+
+function CombinedReducer(reducers) {
+  this.reducers = reducers;
+}
+CombinedReducer.prototype.combine = FakeReducer.prototype.combine;
+CombinedReducer.prototype.reduceImage = function(img, inside) {
+  var reducers = this.reducers;
+  var out = {};
+  img.bands.forEach(function(b) {
+    reducers.forEach(function(r) {
+      out[b.name + '_' + r.outputName] = reduceBand(r, b, inside);
+    });
+  });
+  return out;
+};
+
+function GroupedReducer(inner, groupField, groupName) {
+  this.inner = inner;
+  this.groupField = groupField;
+  this.groupName = groupName;
+}
+GroupedReducer.prototype.reduceImage = function(img, inside) {
+  var groupBand = img.bands[this.groupField];
+  var valueBand = img.bands.filter(function(b, i) { return i !== this.groupField; }, this)[0];
+  var groups = {};
+  for (var k = 0; k < pixelCount(); k++) {
+    var w = valueBand.mask[k] * inside[k];
+    if (w > 0 && groupBand.mask[k]) {
+      var key = groupBand.values[k];
+      groups[key] = groups[key] || { values: [], weights: [] };
+      groups[key].values.push(valueBand.values[k]);
+      groups[key].weights.push(w);
+    }
+  }
+  var inner = this.inner;
+  var groupName = this.groupName;
+  return {
+    groups: Object.keys(groups).map(Number).sort(function(a, b) { return a - b; })
+      .map(function(key) {
+        var entry = {};
+        entry[groupName] = key;
+        entry[inner.outputName] = inner.apply(groups[key].values, groups[key].weights);
+        return entry;
+      })
+  };
+};
+
+function median(values) {
+  var sorted = values.slice().sort(function(a, b) { return a - b; });
+  var mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+var reducers = {
+  sum: function() {
+    return new FakeReducer('sum', function(values, weights) {
+      return values.reduce(function(acc, v, i) { return acc + v * weights[i]; }, 0);
+    });
+  },
+  mean: function() {
+    return new FakeReducer('mean', function(values, weights) {
+      var total = weights.reduce(function(a, b) { return a + b; }, 0);
+      return total ? values.reduce(function(acc, v, i) { return acc + v * weights[i]; }, 0) / total : null;
+    });
+  },
+  min: function() {
+    return new FakeReducer('min', function(values) {
+      return values.length ? Math.min.apply(null, values) : null;
+    });
+  },
+  max: function() {
+    return new FakeReducer('max', function(values) {
+      return values.length ? Math.max.apply(null, values) : null;
+    });
+  },
+  count: function() {
+    return new FakeReducer('count', function(values) { return values.length; });
+  },
+  median: function() {
+    return new FakeReducer('median', function(values) {
+      return values.length ? median(values) : null;
+    });
+  },
+  // Most frequent value (by weight), the smallest on ties.
+  mode: function() {
+    return new FakeReducer('mode', function(values, weights) {
+      var totals = {};
+      values.forEach(function(v, i) { totals[v] = (totals[v] || 0) + weights[i]; });
+      var best = null;
+      Object.keys(totals).map(Number).sort(function(a, b) { return a - b; }).forEach(function(v) {
+        if (best === null || totals[v] > totals[best]) {
+          best = v;
+        }
+      });
+      return best;
+    });
+  },
+  first: function() {
+    return new FakeReducer('first', function(values) {
+      return values.length ? values[0] : null;
+    });
+  },
+  // Nearest-rank percentiles; several percentiles combine into one output each
+  // ('p10', 'p90', ...).
+  percentile: function(percentiles) {
+    var list = unwrap(percentiles).map(function(p) {
+      return new FakeReducer('p' + p, function(values) {
+        if (!values.length) {
+          return null;
+        }
+        var sorted = values.slice().sort(function(a, b) { return a - b; });
+        return sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)];
+      });
+    });
+    return list.length === 1 ? list[0] : new CombinedReducer(list);
+  },
+  // Only meaningful for ImageCollection.reduce (two bands: x, y).
+  sensSlope: function() {
+    return new FakeReducer('sensSlope', null);
+  },
+  // Only meaningful for ImageCollection.reduce (two bands: x, y).
+  linearFit: function() {
+    return new FakeReducer('linearFit', null);
+  },
+  // Only meaningful for ImageCollection.reduce with numY = 1.
+  linearRegression: function(options) {
+    var reducer = new FakeReducer('linearRegression', null);
+    reducer.numX = options.numX;
+    return reducer;
+  }
+};
+
+//-----------------------------------------------------
+// Features and collections
+//-----------------------------------------------------
+
+function FakeFeature(geometry, props) {
+  this.geom = geometry ? geometryFromGeoJson(geometry) : null;
+  this.props = props || {};
+}
+FakeFeature.prototype.get = function(key) {
+  var k = unwrap(key);
+  return this.props[k] === undefined ? null : this.props[k];
+};
+FakeFeature.prototype.set = function(key, value) {
+  var props = copyProps(this.props);
+  if (typeof key === 'object' && !(key instanceof FakeString)) {
+    var obj = key instanceof FakeDictionary ? key.obj : key;
+    Object.keys(obj).forEach(function(k) { props[k] = unwrap(obj[k]); });
+  } else {
+    props[unwrap(key)] = unwrap(value);
+  }
+  return new FakeFeature(this.geom, props);
+};
+FakeFeature.prototype.geometry = function() { return this.geom; };
+FakeFeature.prototype.intersection = function(geometry) {
+  var own = this.geom;
+  var other = geometryFromGeoJson(geometry);
+  return new FakeFeature(new FakeGeometry('Polygon', function(lon, lat) {
+    return own.containsPoint(lon, lat) && other.containsPoint(lon, lat);
+  }, own.coordinates), copyProps(this.props));
+};
+FakeFeature.prototype.toDictionary = function() { return new FakeDictionary(copyProps(this.props)); };
+FakeFeature.prototype.getInfo = function() {
+  return { type: 'Feature', geometry: null, properties: copyProps(this.props) };
+};
+
+// Confusion matrix counts, rows indexed by the actual and columns by the
+// predicted class, both in `order`.
+function FakeConfusionMatrix(rows) {
+  this.rows = rows;
+}
+FakeConfusionMatrix.prototype.array = function() { return new FakeArray(this.rows); };
+FakeConfusionMatrix.prototype.getInfo = function() { return this.rows; };
+
+function FakeArray(values) {
+  this.values = values;
+}
+FakeArray.prototype.get = function(position) {
+  var p = unwrap(position);
+  return new FakeNumber(this.values[p[0]][p[1]]);
+};
+FakeArray.prototype.getInfo = function() { return this.values; };
+
+// One collection type stands in for both ImageCollection and FeatureCollection.
+function FakeCollection(elements) {
+  this.elements = elements;
+}
+
+function toElements(value) {
+  var v = value instanceof FakeList ? value.items : value;
+  if (!Array.isArray(v)) {
+    throw new Error('Collection: expected a list of elements');
+  }
+  return v.slice();
+}
+
+FakeCollection.prototype.map = function(fn) {
+  return new FakeCollection(this.elements.map(function(e) { return fn(e); }));
+};
+FakeCollection.prototype.filter = function(filter) {
+  return new FakeCollection(this.elements.filter(function(e) { return filter.test(e); }));
+};
+FakeCollection.prototype.filterDate = function(start, end) {
+  var s = unwrap(start instanceof FakeDate ? start : new FakeDate(Date.parse(start)));
+  var e = unwrap(end instanceof FakeDate ? end : new FakeDate(Date.parse(end)));
+  return this.filter({ test: function(img) {
+    var t = img.get('system:time_start');
+    return t >= s && t < e;
+  } });
+};
+FakeCollection.prototype.filterBounds = function() { return this; };
+FakeCollection.prototype.merge = function(other) {
+  return new FakeCollection(this.elements.concat(other.elements));
+};
+FakeCollection.prototype.flatten = function() {
+  var out = [];
+  this.elements.forEach(function(e) {
+    out = out.concat(e instanceof FakeCollection ? e.elements : [e]);
+  });
+  return new FakeCollection(out);
+};
+FakeCollection.prototype.size = function() { return new FakeNumber(this.elements.length); };
+FakeCollection.prototype.first = function() {
+  return this.elements.length ? this.elements[0] : null;
+};
+FakeCollection.prototype.toList = function(count) {
+  return new FakeList(this.elements.slice(0, unwrap(count)));
+};
+FakeCollection.prototype.limit = function(max, property, ascending) {
+  var sorted = property ? this.sort(property, ascending) : this;
+  return new FakeCollection(sorted.elements.slice(0, unwrap(max)));
+};
+FakeCollection.prototype.sort = function(key, ascending) {
+  var sign = ascending === false ? -1 : 1;
+  return new FakeCollection(this.elements.slice().sort(function(a, b) {
+    return sign * (a.get(key) - b.get(key));
+  }));
+};
+FakeCollection.prototype.select = function(selectors, newNames) {
+  return this.map(function(img) { return img.select(selectors, newNames); });
+};
+FakeCollection.prototype.aggregate_array = function(key) {
+  return new FakeList(this.elements.map(function(e) { return e.get(key); }));
+};
+FakeCollection.prototype.aggregate_mean = function(key) {
+  var values = this.elements.map(function(e) { return e.get(key); })
+                            .filter(function(v) { return v !== null; });
+  return new FakeNumber(values.length ?
+    values.reduce(function(a, b) { return a + b; }, 0) / values.length : null);
+};
+FakeCollection.prototype.aggregate_sum = function(key) {
+  return new FakeNumber(this.elements.reduce(function(acc, e) {
+    return acc + (e.get(key) || 0);
+  }, 0));
+};
+// Stack the bands of every image, prefixed with the image's position.
+FakeCollection.prototype.toBands = function() {
+  var bands = [];
+  this.elements.forEach(function(img, i) {
+    img.check().bands.forEach(function(b) {
+      bands.push(band(i + '_' + b.name, b.values, b.mask));
+    });
+  });
+  return new FakeImage(bands);
+};
+FakeCollection.prototype.errorMatrix = function(actual, predicted, order) {
+  var values = unwrap(order);
+  var rows = values.map(function() { return values.map(function() { return 0; }); });
+  this.elements.forEach(function(f) {
+    var i = values.indexOf(f.get(actual));
+    var j = values.indexOf(f.get(predicted));
+    if (i !== -1 && j !== -1) {
+      rows[i][j] += 1;
+    }
+  });
+  return new FakeConfusionMatrix(rows);
+};
+FakeCollection.prototype.aggregate_max = function(key) {
+  var values = this.elements.map(function(e) { return e.get(key); })
+                            .filter(function(v) { return v !== null; });
+  return new FakeNumber(values.length ? Math.max.apply(null, values) : null);
+};
+FakeCollection.prototype.geometry = function() {
+  return union(this.elements.map(function(f) { return f.geometry(); }));
+};
+FakeCollection.prototype.getInfo = function() {
+  return {
+    type: 'FeatureCollection',
+    features: this.elements.map(function(e) { return e.getInfo(); })
+  };
+};
+
+// Per-pixel reduction of the collection's images with a single-band-wise
+// reducer; band names follow the first image. A combined reducer gives one
+// band per input band and output, named '<band>_<output>'.
+FakeCollection.prototype.reduce = function(reducer) {
+  var images = this.elements.map(function(img) { return img.check(); });
+  if (reducer.outputName === 'sensSlope') {
+    return sensSlope(images);
+  }
+  if (reducer.outputName === 'linearFit') {
+    return linearFit(images);
+  }
+  if (reducer.outputName === 'linearRegression') {
+    return linearRegression(images, reducer.numX);
+  }
+  if (!images.length) {
+    return new FakeImage([]);
+  }
+  if (reducer instanceof CombinedReducer) {
+    var outputs = [];
+    images[0].bands.forEach(function(b, i) {
+      reducer.reducers.forEach(function(r) {
+        var single = new FakeCollection(images.map(function(img) {
+          return new FakeImage([img.bands[i]]);
+        })).reduce(r);
+        outputs.push(band(b.name + '_' + r.outputName, single.bands[0].values, single.bands[0].mask));
+      });
+    });
+    return new FakeImage(outputs);
+  }
+  return new FakeImage(images[0].bands.map(function(b, i) {
+    var values = [];
+    var mask = [];
+    for (var k = 0; k < pixelCount(); k++) {
+      var stack = images.filter(function(img) { return img.bands[i].mask[k]; })
+                        .map(function(img) { return img.bands[i].values[k]; });
+      var r = reducer.apply(stack, stack.map(function() { return 1; }));
+      values.push(r === null ? 0 : r);
+      mask.push(r === null || (reducer.outputName === 'count' && r === 0) ? 0 : 1);
+    }
+    return band(b.name, values, mask);
+  }));
+};
+FakeCollection.prototype.median = function() { return this.reduce(reducers.median()); };
+FakeCollection.prototype.mean = function() { return this.reduce(reducers.mean()); };
+FakeCollection.prototype.count = function() { return this.reduce(reducers.count()); };
+FakeCollection.prototype.max = function() { return this.reduce(reducers.max()); };
+FakeCollection.prototype.min = function() { return this.reduce(reducers.min()); };
+FakeCollection.prototype.sum = function() { return this.reduce(reducers.sum()); };
+
+// Points (x, y) of a pixel where both bands of an image are valid.
+function pixelPoints(images, k) {
+  return images.filter(function(img) {
+    return img.bands[0].mask[k] && img.bands[1].mask[k];
+  }).map(function(img) {
+    return [img.bands[0].values[k], img.bands[1].values[k]];
+  });
+}
+
+// Multiple least-squares regression of the last band on the first numX bands
+// per pixel, solved with the normal equations. The 'coefficients' band holds
+// one array per pixel.
+function linearRegression(images, numX) {
+  var coefficients = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var rows = images.filter(function(img) {
+      return img.bands.every(function(b) { return b.mask[k]; });
+    }).map(function(img) {
+      return img.bands.map(function(b) { return b.values[k]; });
+    });
+    var solution = rows.length >= numX ? solveNormalEquations(rows, numX) : null;
+    coefficients.push(solution || []);
+    mask.push(solution ? 1 : 0);
+  }
+  return new FakeImage([band('coefficients', coefficients, mask)]);
+}
+
+function dot(rows, i, j) {
+  return rows.reduce(function(acc, r) { return acc + r[i] * r[j]; }, 0);
+}
+
+// Solve (XᵀX) b = Xᵀy by Gauss-Jordan elimination; null if singular.
+function solveNormalEquations(rows, numX) {
+  var a = [];
+  for (var i = 0; i < numX; i++) {
+    a.push([]);
+    for (var j = 0; j <= numX; j++) {
+      a[i].push(dot(rows, i, j));
+    }
+  }
+  for (var p = 0; p < numX; p++) {
+    var pivot = p;
+    for (var r = p + 1; r < numX; r++) {
+      if (Math.abs(a[r][p]) > Math.abs(a[pivot][p])) {
+        pivot = r;
+      }
+    }
+    if (Math.abs(a[pivot][p]) < 1e-12) {
+      return null;
+    }
+    var tmp = a[p];
+    a[p] = a[pivot];
+    a[pivot] = tmp;
+    for (var r2 = 0; r2 < numX; r2++) {
+      if (r2 !== p) {
+        var f = a[r2][p] / a[p][p];
+        for (var c = p; c <= numX; c++) {
+          a[r2][c] -= f * a[p][c];
+        }
+      }
+    }
+  }
+  return a.map(function(row, idx) { return row[numX] / row[idx]; });
+}
+
+// Least-squares fit of band 1 (y) on band 0 (x) per pixel.
+function linearFit(images) {
+  var scale = [];
+  var offset = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var pts = pixelPoints(images, k);
+    var n = pts.length;
+    var mx = pts.reduce(function(a, p) { return a + p[0]; }, 0) / n;
+    var my = pts.reduce(function(a, p) { return a + p[1]; }, 0) / n;
+    var sxx = pts.reduce(function(a, p) { return a + (p[0] - mx) * (p[0] - mx); }, 0);
+    var sxy = pts.reduce(function(a, p) { return a + (p[0] - mx) * (p[1] - my); }, 0);
+    if (n < 2 || sxx === 0) {
+      scale.push(0);
+      offset.push(0);
+      mask.push(0);
+      continue;
+    }
+    scale.push(sxy / sxx);
+    offset.push(my - sxy / sxx * mx);
+    mask.push(1);
+  }
+  return new FakeImage([band('scale', scale, mask), band('offset', offset, mask.slice())]);
+}
+
+// Sen's slope of band 1 (y) against band 0 (x) per pixel.
+function sensSlope(images) {
+  var slope = [];
+  var offset = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var pts = pixelPoints(images, k);
+    var slopes = [];
+    for (var i = 0; i < pts.length; i++) {
+      for (var j = i + 1; j < pts.length; j++) {
+        if (pts[j][0] !== pts[i][0]) {
+          slopes.push((pts[j][1] - pts[i][1]) / (pts[j][0] - pts[i][0]));
+        }
+      }
+    }
+    if (!slopes.length) {
+      slope.push(0);
+      offset.push(0);
+      mask.push(0);
+      continue;
+    }
+    var s = median(slopes);
+    slope.push(s);
+    offset.push(median(pts.map(function(p) { return p[1] - s * p[0]; })));
+    mask.push(1);
+  }
+  return new FakeImage([band('slope', slope, mask), band('offset', offset, mask.slice())]);
+}
+
+// Distance (m) from every pixel to the nearest point feature, masked beyond
+// the search radius. Uses an equirectangular approximation.
+FakeCollection.prototype.distance = function(searchRadius) {
+  var points = this.elements.map(function(f) { return f.geometry().point; });
+  var values = [];
+  var mask = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var c = pixelCentre(k);
+    var d = Math.min.apply(null, points.map(function(p) {
+      var dx = (c.lon - p[0]) * 111320 * Math.cos(p[1] * Math.PI / 180);
+      var dy = (c.lat - p[1]) * 110540;
+      return Math.sqrt(dx * dx + dy * dy);
+    }));
+    values.push(d);
+    mask.push(d <= searchRadius ? 1 : 0);
+  }
+  return new FakeImage([band('distance', values, mask)]);
+};
+
+//-----------------------------------------------------
+// The ee namespace
+//-----------------------------------------------------
+
+function eeImage(value) {
+  if (value instanceof FakeImage) {
+    return value;
+  }
+  if (value === undefined) {
+    return new FakeImage([band('constant', fill(0), fill(0))]);
+  }
+  if (value === null) {
+    return errorImage('Image: Parameter \'value\' is required.');
+  }
+  if (typeof value === 'string') {
+    return assets[value] instanceof FakeImage ? assets[value] :
+      errorImage("Image.load: Image asset '" + value + "' not found.");
+  }
+  if (Array.isArray(value) && value.length === 0) {
+    return new FakeImage([]);
+  }
+  return toImage(value);
+}
+eeImage.constant = function(value) { return toImage(value); };
+eeImage.cat = function() {
+  var images = Array.isArray(arguments[0]) ? arguments[0] : Array.prototype.slice.call(arguments);
+  return images.reduce(function(acc, img) { return acc.addBands(eeImage(img)); }, new FakeImage([]));
+};
+eeImage.pixelArea = function() {
+  return new FakeImage([band('area', fill(grid.pixelArea), fill(1))]);
+};
+eeImage.pixelLonLat = function() {
+  var lon = [];
+  var lat = [];
+  for (var k = 0; k < pixelCount(); k++) {
+    var c = pixelCentre(k);
+    lon.push(c.lon);
+    lat.push(c.lat);
+  }
+  return new FakeImage([band('longitude', lon, fill(1)), band('latitude', lat, fill(1))]);
+};
+
+function eeCollection(value) {
+  if (value instanceof FakeCollection) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (!assets[value]) {
+      throw new Error("Collection.load: Collection asset '" + value + "' not found.");
+    }
+    return new FakeCollection(assets[value].slice());
+  }
+  if (value instanceof FakeFeature) {
+    return new FakeCollection([value]);
+  }
+  return new FakeCollection(toElements(value));
+}
+
+function eeGeometry(geojson) {
+  return geometryFromGeoJson(geojson);
+}
+eeGeometry.Rectangle = function(coords) {
+  return rectangle(arguments.length === 4 ? Array.prototype.slice.call(arguments) : coords);
+};
+eeGeometry.Point = function(coords) {
+  return point(arguments.length === 2 ? Array.prototype.slice.call(arguments) : coords);
+};
+eeGeometry.Polygon = function(coords) {
+  return polygon(unwrap(coords));
+};
+
+function filterOn(name, test) {
+  return { test: function(element) { return test(element.get(name)); } };
+}
+
+var ee = {
+  Image: eeImage,
+  ImageCollection: eeCollection,
+  FeatureCollection: eeCollection,
+  Feature: function(geometry, props) {
+    if (geometry instanceof FakeFeature) {
+      return geometry;
+    }
+    var p = props instanceof FakeDictionary ? props.obj : (props || {});
+    return new FakeFeature(geometry, unwrapObject(p));
+  },
+  Geometry: eeGeometry,
+  Number: function(value) {
+    return value instanceof FakeNumber ? value : new FakeNumber(unwrap(value));
+  },
+  String: function(value) {
+    return value instanceof FakeString ? value : new FakeString(String(unwrap(value)));
+  },
+  List: function(items) {
+    return items instanceof FakeList ? items : new FakeList(unwrap(items));
+  },
+  Dictionary: function(obj) {
+    if (obj instanceof FakeDictionary) {
+      return obj;
+    }
+    return new FakeDictionary(copyProps(obj || {}));
+  },
+  Date: function(value) {
+    return value instanceof FakeDate ? value : new FakeDate(typeof value === 'number' ? value : Date.parse(value));
+  },
+  ErrorMargin: function(value) { return { value: value }; },
+  Reducer: reducers,
+  Filter: {
+    eq: function(name, value) {
+      return filterOn(name, function(v) { return sameValue(v, value); });
+    },
+    neq: function(name, value) {
+      return filterOn(name, function(v) { return !sameValue(v, value); });
+    },
+    inList: function(name, list) {
+      var items = unwrap(list);
+      return filterOn(name, function(v) {
+        return items.some(function(item) { return sameValue(v, item); });
+      });
+    },
+    lt: function(name, value) {
+      return filterOn(name, function(v) { return v < unwrap(value); });
+    },
+    lte: function(name, value) {
+      return filterOn(name, function(v) { return v <= unwrap(value); });
+    },
+    gt: function(name, value) {
+      return filterOn(name, function(v) { return v > unwrap(value); });
+    },
+    gte: function(name, value) {
+      return filterOn(name, function(v) { return v >= unwrap(value); });
+    },
+    notNull: function(names) {
+      return { test: function(element) {
+        return unwrap(names).every(function(name) { return element.get(name) !== null; });
+      } };
+    },
+    // Only the 'month' field, inclusive, wrapping over the year end when
+    // start > end.
+    calendarRange: function(start, end, field) {
+      if (field !== 'month') {
+        throw new Error('calendarRange: unsupported field ' + field);
+      }
+      return filterOn('system:time_start', function(t) {
+        var month = new Date(t).getUTCMonth() + 1;
+        return start <= end ? month >= start && month <= end : month >= start || month <= end;
+      });
+    }
+  },
+  Algorithms: {
+    If: function(condition, trueCase, falseCase) {
+      return unwrap(condition) ? trueCase : falseCase;
+    },
+    IsEqual: function(left, right) {
+      return new FakeNumber(sameValue(left, right) ? 1 : 0);
+    },
+    ObjectType: function(value) {
+      var v = unwrap(value);
+      var type = v === null ? 'Null' : typeof v === 'number' ? 'Float' :
+        typeof v === 'string' ? 'String' : Array.isArray(v) ? 'List' : 'Object';
+      return new FakeString(type);
+    }
+  }
+};
+ee.Number.parse = function(text) {
+  var value = Number(unwrap(text));
+  return isNaN(value) ? new FakeNumber(null, 'Number.parse: not a number: ' + unwrap(text)) :
+    new FakeNumber(value);
+};
+ee.List.sequence = function(start, end, step) {
+  var items = [];
+  for (var i = unwrap(start); i <= unwrap(end); i += (step || 1)) {
+    items.push(i);
+  }
+  return new FakeList(items);
+};
+ee.Dictionary.fromLists = function(keys, values) {
+  var k = unwrap(keys);
+  var v = unwrap(values);
+  var obj = {};
+  k.forEach(function(key, i) { obj[String(key)] = v[i]; });
+  return new FakeDictionary(obj);
+};
+ee.Date.fromYMD = function(year, month, day) {
+  return new FakeDate(Date.UTC(unwrap(year), unwrap(month) - 1, unwrap(day)));
+};
+
+// Stand-in for the Code Editor's Export, recording every task started.
+function record(type) {
+  return function(params) {
+    tasks.push({ type: type, params: params });
+  };
+}
+var Export = {
+  table: { toDrive: record('table.toDrive'), toCloudStorage: record('table.toCloudStorage') },
+  image: { toDrive: record('image.toDrive'), toCloudStorage: record('image.toCloudStorage') }
+};
+
+// Install the fake as the global `ee` and `Export` used by the module.
+function install() {
+  global.ee = ee;
+  global.Export = Export;
+  return exports;
+}
+
+reset();
+
+exports.ee = ee;
+exports.install = install;
+exports.reset = reset;
+exports.setGrid = setGrid;
+exports.gridBounds = gridBounds;
+exports.image = image;
+exports.pixels = pixels;
+exports.unwrap = unwrap;
+exports.rows = rows;
+exports.close = close;
+exports.dn = dn;
+exports.scene = scene;
+exports.addAsset = function(id, value) { assets[id] = value; };
+exports.tasks = function() { return tasks; };
+exports.FakeImage = FakeImage;
@@ -0,0 +1,142 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var PARAMS = {
+  source: 'ndvi_change',
+  ndvi_loss_min: 0.05,
+  min_area_ha: 2,
+  scale: 100, // One pixel of the fake grid is 1 ha.
+  max_distance_km: 10,
+  weights: { area: 0.4, ndvi_loss: 0.4, proximity: 0.2 },
+  max_patches: 10
+};
+
+// 4×3 grid, rows listed south to north. Three patches of NDVI loss: 3 pixels
+// in the south-west, a single pixel in the south-east and 2 pixels in the
+// north-east.
+var LOSS = [
+  0.2, 0.3, 0,   0.3,
+  0.1, 0,   0,   0,
+  0,   0,   0.4, 0.4
+];
+var TO_CLASS = [
+  5, 5, 3, 3,
+  3, 3, 3, 3,
+  3, 3, 2, 2
+];
+
+function layers() {
+  return {
+    ndviLoss: fake.image({ ndvi_loss: LOSS }),
+    fromClass: fake.image({ unccd_class: TO_CLASS.map(function() { return 3; }) }),
+    toClass: fake.image({ unccd_class: TO_CLASS }),
+    // Centre of the south-west pixel.
+    centre: [80.805, 26.725]
+  };
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  fake.setGrid({ width: 4, height: 3 });
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('hotspotSource selects NDVI loss or the degraded indicator class', function() {
+  var loss = lib.ndviLoss(
+    fake.image({ NDVI: LOSS.map(function() { return 0.5; }) }),
+    fake.image({ NDVI: LOSS.map(function(v) { return 0.5 - v; }) })
+  );
+  assert.deepEqual(fake.pixels(lib.hotspotSource(PARAMS, loss, null)).slice(0, 4), [1, 1, 0, 1]);
+  var indicator = fake.image({ sdg_15_3_1: [-1, 0, 1, -1, 0, 0, 0, 0, 0, 0, 0, 0] });
+  var source = lib.hotspotSource({ source: 'indicator' }, null, indicator);
+  assert.deepEqual(fake.pixels(source).slice(0, 4), [1, 0, 0, 1]);
+  assert.throws(function() {
+    lib.hotspotSource({ source: 'ndwi' }, null, indicator);
+  }, /Unknown hotspot source: ndwi/);
+});
+
+test('vectorizeHotspots drops patches below the minimum area', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  var patches = lib.vectorizeHotspots(degraded, PARAMS, AOI);
+  assert.deepEqual(fake.unwrap(patches.aggregate_array('count')), [3, 2]);
+});
+
+test('vectorizeHotspots rejects a minimum area above 1024 pixels', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  assert.throws(function() {
+    lib.vectorizeHotspots(degraded, { min_area_ha: 93, scale: 30 }, AOI);
+  }, /Hotspot min_area_ha 93 is 1034 pixels at 30 m, above the 1024-pixel limit/);
+});
+
+test('degradationHotspots attributes and ranks the patches', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  var hotspots = fake.rows(lib.degradationHotspots(degraded, layers(), PARAMS, AOI));
+  assert.equal(hotspots.length, 2);
+
+  var southWest = hotspots.filter(function(h) { return h.Area_ha === 3; })[0];
+  var northEast = hotspots.filter(function(h) { return h.Area_ha === 2; })[0];
+  fake.close(southWest.Mean_NDVI_Loss, 0.2);
+  fake.close(northEast.Mean_NDVI_Loss, 0.4);
+  assert.equal(southWest.Dominant_Transition, 'Cropland → Artificial');
+  assert.equal(northEast.Dominant_Transition, 'Cropland → Grassland');
+  fake.close(southWest.Centroid_Lon, (80.805 + 80.815 + 80.805) / 3);
+  assert.ok(southWest.Distance_km < northEast.Distance_km);
+
+  // Area and loss relative to the largest patch, proximity relative to 10 km.
+  var expected = 2 / 3 * 0.4 + 1 * 0.4 + (1 - northEast.Distance_km / 10) * 0.2;
+  fake.close(northEast.Priority_Score, expected);
+  assert.deepEqual(hotspots.map(function(h) { return h.Rank; }), [1, 2]);
+  assert.ok(hotspots[0].Priority_Score >= hotspots[1].Priority_Score);
+  assert.equal(northEast.Low_Confidence_pct, undefined);
+});
+
+test('degradationHotspots reports the low-confidence share of each patch', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  var withConfidence = layers();
+  // One of the three south-west pixels and both north-east pixels are flagged.
+  withConfidence.lowConfidence = fake.image({ low_confidence: [
+    1, 0, 0, 0,
+    0, 0, 0, 0,
+    0, 0, 1, 1
+  ] });
+  var hotspots = fake.rows(lib.degradationHotspots(degraded, withConfidence, PARAMS, AOI));
+  var southWest = hotspots.filter(function(h) { return h.Area_ha === 3; })[0];
+  var northEast = hotspots.filter(function(h) { return h.Area_ha === 2; })[0];
+  fake.close(southWest.Low_Confidence_pct, 100 / 3);
+  assert.equal(northEast.Low_Confidence_pct, 100);
+});
+
+test('degradationHotspots keeps the highest-priority patches', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  var params = {};
+  Object.keys(PARAMS).forEach(function(key) { params[key] = PARAMS[key]; });
+  params.max_patches = 1;
+  params.min_area_ha = 1;
+  var hotspots = fake.rows(lib.degradationHotspots(degraded, layers(), params, AOI));
+  assert.equal(hotspots.length, 1);
+  assert.equal(hotspots[0].Rank, 1);
+});
+
+test('degradationHotspots keeps patches over masked NDVI and land cover', function() {
+  var degraded = lib.hotspotSource(PARAMS, fake.image({ ndvi_loss: LOSS }), null);
+  var masked = layers();
+  // The north-east patch has no NDVI loss value and no land cover class.
+  masked.ndviLoss = fake.image({ ndvi_loss: LOSS.map(function(v, k) { return k >= 10 ? null : v; }) });
+  masked.toClass = fake.image({ unccd_class: TO_CLASS.map(function(v, k) { return k >= 10 ? null : v; }) });
+  var hotspots = fake.rows(lib.degradationHotspots(degraded, masked, PARAMS, AOI));
+  assert.equal(hotspots.length, 2);
+  var northEast = hotspots.filter(function(h) { return h.Area_ha === 2; })[0];
+  assert.equal(northEast.Mean_NDVI_Loss, null);
+  assert.equal(northEast.Transition_Code, null);
+  assert.equal(northEast.Dominant_Transition, 'Unknown');
+  assert.ok(northEast.Priority_Score >= 0 && northEast.Priority_Score <= 1);
+  assert.equal(hotspots[0].Area_ha, 3);
+
+  // Without any NDVI loss value the loss term drops out of the score.
+  masked.ndviLoss = fake.image({ ndvi_loss: LOSS.map(function() { return null; }) });
+  hotspots = fake.rows(lib.degradationHotspots(degraded, masked, PARAMS, AOI));
+  assert.ok(hotspots.every(function(h) { return isFinite(h.Priority_Score); }));
+});
@@ -0,0 +1,152 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var SOC_PARAMS = {
+  f_lu_cropland: 0.58,
+  f_lu_wetland: 0.71,
+  transition_years: 20,
+  change_threshold_pct: 10
+};
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('toUnccd aggregates IGBP classes and masks unmapped values', function() {
+  var unccd = lib.toUnccd(fake.image({ lc: [2, 12, 13, 0] }), lib.IGBP_TO_UNCCD);
+  assert.deepEqual(fake.pixels(unccd), [1, 3, 5, null]);
+  assert.deepEqual(fake.unwrap(unccd.bandNames()), ['unccd_class']);
+});
+
+test('matrixLookup encodes every from→to cell', function() {
+  var lookup = lib.matrixLookup([[0, -1], [1, 0]]);
+  assert.deepEqual(lookup.codes, [101, 102, 201, 202]);
+  assert.deepEqual(lookup.values, [0, -1, 1, 0]);
+});
+
+test('applyDegradationMatrix follows the UNCCD default matrix', function() {
+  // Tree→Tree, Tree→Cropland, Cropland→Tree, Cropland→Artificial
+  var transition = lib.transitionCode(
+    fake.image({ c: [1, 1, 3, 3] }),
+    fake.image({ c: [1, 3, 1, 5] })
+  );
+  assert.deepEqual(fake.pixels(transition), [101, 103, 301, 305]);
+  var degradation = lib.applyDegradationMatrix(transition, lib.UNCCD_DEGRADATION_MATRIX);
+  assert.deepEqual(fake.pixels(degradation), [0, -1, 1, -1]);
+});
+
+test('socChange phases in the IPCC coefficients and applies the threshold', function() {
+  var baseline = fake.image({ soc_baseline: [50, 50, 50, null] });
+  var transition = fake.image({ transition: [101, 103, 301, 101] });
+  var soc = lib.socChange(baseline, transition, SOC_PARAMS, 19);
+  var final = fake.pixels(soc, 'soc_final');
+  assert.equal(final[0], 50);
+  fake.close(final[1], 50 * (1 + (0.58 - 1) * 0.95));
+  fake.close(fake.pixels(soc, 'soc_change_pct')[1], (0.58 - 1) * 95);
+  assert.deepEqual(fake.pixels(soc, 'soc_degradation'), [0, -1, 1, null]);
+});
+
+test('socChange caps the phase-in at the transition period', function() {
+  var soc = lib.socChange(
+    fake.image({ soc_baseline: [40, 40, 40, 40] }),
+    fake.image({ transition: [103, 103, 103, 103] }),
+    SOC_PARAMS, 30
+  );
+  fake.close(fake.pixels(soc, 'soc_final')[0], 40 * 0.58);
+});
+
+test('socTotals sums the stocks over the region', function() {
+  var soc = ee.Image.cat([
+    fake.image({ soc_baseline: [10, 10, 10, 10] }),
+    fake.image({ soc_final: [10, 10, 5, 5] })
+  ]);
+  var totals = lib.socTotals(soc, 2001, 2020, 500, AOI).getInfo().properties;
+  assert.equal(totals.SOC_2001_t, 40);
+  assert.equal(totals.SOC_2020_t, 30);
+  assert.equal(totals.Change_pct, -25);
+});
+
+test('productivitySubIndicator thresholds at the chosen confidence', function() {
+  var trajectory = fake.image({ trajectory_class: [-3, -1, 2, null] });
+  var params = { confidence_levels: [0.90, 0.95, 0.99] };
+  var prod = lib.productivitySubIndicator(trajectory, params, 0.95);
+  assert.deepEqual(fake.pixels(prod), [-1, 0, 1, null]);
+  assert.throws(function() {
+    lib.productivitySubIndicator(trajectory, params, 0.80);
+  }, /Confidence 0.8 is not one of 0.9, 0.95, 0.99/);
+});
+
+test('oneOutAllOut lets any degradation win and records the triggers', function() {
+  var indicator = lib.oneOutAllOut({
+    productivity: fake.image({ p: [-1, 1, 0, null] }),
+    landCover: fake.image({ l: [-1, 0, 0, null] }),
+    soc: fake.image({ s: [0, -1, 1, null] })
+  }, AOI);
+  assert.deepEqual(fake.pixels(indicator, 'sdg_15_3_1'), [-1, -1, 1, null]);
+  assert.deepEqual(fake.pixels(indicator, 'degradation_trigger'), [
+    lib.TRIGGER_PRODUCTIVITY | lib.TRIGGER_LAND_COVER, lib.TRIGGER_SOC, 0, null
+  ]);
+});
+
+test('oneOutAllOut ignores missing sub-indicators', function() {
+  var indicator = lib.oneOutAllOut({
+    productivity: fake.image({ p: [null, 1, null, null] }),
+    landCover: fake.image({ l: [0, null, null, null] }),
+    soc: fake.image({ s: [null, null, -1, null] })
+  }, AOI);
+  assert.deepEqual(fake.pixels(indicator, 'sdg_15_3_1'), [0, 1, -1, null]);
+});
+
+test('sdgHeadlineFeature and triggerBreakdown report the degraded area', function() {
+  var indicator = lib.oneOutAllOut({
+    productivity: fake.image({ p: [-1, -1, 0, 0] }),
+    landCover: fake.image({ l: [-1, 0, 0, 1] }),
+    soc: fake.image({ s: [0, 0, 0, null] })
+  }, AOI);
+  var headline = lib.sdgHeadlineFeature(indicator, 30, AOI, '2001–2020').getInfo().properties;
+  assert.equal(headline.Period, '2001–2020');
+  assert.equal(headline.Total_Area_ha, 4);
+  assert.equal(headline.Degraded_Area_ha, 2);
+  assert.equal(headline.Proportion_Degraded, 0.5);
+
+  var breakdown = fake.rows(lib.triggerBreakdown(indicator, 30, AOI));
+  assert.deepEqual(breakdown.map(function(r) {
+    return [r.Sub_Indicator, r.Degraded_Any_ha, r.Degraded_Only_ha, r.Share_of_Degraded];
+  }), [
+    ['Productivity', 2, 1, 1],
+    ['Land Cover', 1, 0, 0.5],
+    ['SOC', 0, 0, 0]
+  ]);
+});
+
+test('oneOutAllOut leaves water out of the indicator area', function() {
+  var indicator = lib.oneOutAllOut({
+    productivity: fake.image({ p: [-1, 0, 0, 0] }),
+    landCover: fake.image({ l: [0, 0, 0, 0] }),
+    soc: fake.image({ s: [0, 0, 0, null] })
+  }, AOI, fake.image({ w: [0, 0, 1, null] }));
+  assert.deepEqual(fake.pixels(indicator, 'sdg_15_3_1'), [-1, 0, null, 0]);
+  var headline = lib.sdgHeadlineFeature(indicator, 30, AOI, '2001–2020').getInfo().properties;
+  assert.equal(headline.Total_Area_ha, 3);
+  fake.close(headline.Proportion_Degraded, 1 / 3);
+});
+
+test('sdgHeadlineFeature and triggerBreakdown report the low-confidence share', function() {
+  var indicator = lib.oneOutAllOut({
+    productivity: fake.image({ p: [-1, -1, 0, 0] }),
+    landCover: fake.image({ l: [-1, 0, 0, 1] }),
+    soc: fake.image({ s: [0, 0, 0, null] })
+  }, AOI);
+  var lowConfidence = fake.image({ low_confidence: [1, 0, 0, 1] });
+  var headline = lib.sdgHeadlineFeature(indicator, 30, AOI, '2001–2020', null, lowConfidence)
+    .getInfo().properties;
+  assert.equal(headline.Low_Confidence_pct, 50);
+  assert.equal(headline.Degraded_Low_Confidence_pct, 50);
+
+  var breakdown = fake.rows(lib.triggerBreakdown(indicator, 30, AOI, lowConfidence));
+  assert.deepEqual(breakdown.map(function(r) { return r.Low_Confidence_pct; }), [50, 100, null]);
+});
@@ -0,0 +1,68 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var MODIS = lib.LAND_COVER_SOURCES.MODIS_LC_TYPE1;
+var WORLDCOVER = lib.LAND_COVER_SOURCES.ESA_WORLDCOVER;
+
+function yearImage(bands, year) {
+  return fake.image(bands, { 'system:time_start': Date.UTC(year, 0, 1) });
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('loadLandCover picks the requested year and renames the class band', function() {
+  fake.addAsset('MODIS/061/MCD12Q1', [
+    yearImage({ LC_Type1: [12, 12, 13, 13], LC_Type2: [0, 0, 0, 0] }, 2019),
+    yearImage({ LC_Type1: [12, 13, 13, 17], LC_Type2: [0, 0, 0, 0] }, 2020)
+  ]);
+  var lc = lib.loadLandCover(MODIS, 2020, AOI);
+  assert.deepEqual(fake.unwrap(lc.bandNames()), ['land_class']);
+  assert.deepEqual(fake.pixels(lc), [12, 13, 13, 17]);
+  assert.equal(lc.get('system:time_start'), Date.UTC(2020, 0, 1));
+  assert.deepEqual(fake.pixels(lib.loadModisLandCover(2019, AOI)), [12, 12, 13, 13]);
+});
+
+test('loadLandCover reads each year from whichever collection holds it', function() {
+  fake.addAsset('ESA/WorldCover/v100', [yearImage({ Map: [10, 40, 50, 80] }, 2020)]);
+  fake.addAsset('ESA/WorldCover/v200', [yearImage({ Map: [10, 50, 50, 80] }, 2021)]);
+  assert.deepEqual(fake.pixels(lib.loadLandCover(WORLDCOVER, 2020, AOI)), [10, 40, 50, 80]);
+  assert.deepEqual(fake.pixels(lib.loadLandCover(WORLDCOVER, 2021, AOI)), [10, 50, 50, 80]);
+});
+
+test('loadLandCover rejects years outside the source', function() {
+  assert.throws(function() { lib.loadLandCover(WORLDCOVER, 2001, AOI); }, /2020–2021, not 2001/);
+  assert.deepEqual(lib.landCoverYears(WORLDCOVER, lib.yearRange(2018, 2022)), [2020, 2021]);
+});
+
+test('landCoverSource rejects unknown keys', function() {
+  assert.equal(lib.landCoverSource('MODIS_LC_TYPE1'), MODIS);
+  assert.throws(function() { lib.landCoverSource('ESA_CCI'); }, /Unknown land cover source: ESA_CCI/);
+});
+
+test('classVisParams fills the gaps between non-contiguous classes', function() {
+  var vis = lib.classVisParams([
+    { value: 10, name: 'Tree', color: '006400' },
+    { value: 12, name: 'Crop', color: 'f096ff' }
+  ]);
+  assert.deepEqual(vis, { min: 10, max: 12, palette: ['006400', '000000', 'f096ff'] });
+  assert.deepEqual(lib.classNames(MODIS.classes).slice(0, 2),
+                   ['1:Evergreen Needleleaf', '2:Evergreen Broadleaf']);
+});
+
+test('every source crosswalks all of its classes into the UNCCD classes', function() {
+  var unccdValues = lib.UNCCD_CLASSES.map(function(c) { return c.value; });
+  Object.keys(lib.LAND_COVER_SOURCES).forEach(function(key) {
+    var source = lib.LAND_COVER_SOURCES[key];
+    var values = source.classes.map(function(c) { return String(c.value); });
+    assert.deepEqual(Object.keys(source.to_unccd).sort(), values.slice().sort(), key);
+    values.forEach(function(value) {
+      assert.ok(unccdValues.indexOf(source.to_unccd[value]) !== -1, key + ' class ' + value);
+    });
+  });
+});
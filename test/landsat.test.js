@@ -0,0 +1,196 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var L8 = lib.LANDSAT_SENSORS.L8;
+var L7 = lib.LANDSAT_SENSORS.L7;
+
+// Uniform reflectance per band, with NIR and red set per pixel.
+function reflectance(nir, red) {
+  return {
+    blue: [0.05, 0.05, 0.05, 0.05],
+    green: [0.08, 0.08, 0.08, 0.08],
+    red: red,
+    nir: nir,
+    swir1: [0.2, 0.2, 0.2, 0.2],
+    swir2: [0.15, 0.15, 0.15, 0.15]
+  };
+}
+
+var CLEAR = [64, 64, 64, 64];
+var NO_SATURATION = [0, 0, 0, 0];
+var AOI = ee.Geometry.Rectangle(fake.gridBounds());
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('sensor registry maps the consistent band names', function() {
+  assert.deepEqual(lib.sensorSourceBands(L8), ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']);
+  assert.deepEqual(lib.sensorSourceBands(L7), ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7']);
+});
+
+test('QA_PIXEL mask bits include cirrus for OLI only', function() {
+  // fill, dilated cloud, cirrus, cloud, cloud shadow, snow
+  assert.equal(lib.qaFlagBits(L8), 0x3f);
+  assert.equal(lib.qaFlagBits(L7), 0x3f & ~(1 << lib.QA_BITS.cirrus));
+});
+
+test('QA_RADSAT bits cover the used bands and OLI terrain occlusion', function() {
+  assert.equal(lib.radsatBits(L8), (1 << 1) | (1 << 2) | (1 << 3) | (1 << 4) | (1 << 5) | (1 << 6) | (1 << 11));
+  assert.equal(lib.radsatBits(L7), (1 << 0) | (1 << 1) | (1 << 2) | (1 << 3) | (1 << 4) | (1 << 6));
+});
+
+test('maskLandsatSr scales reflectance and masks cloud, saturation and fill', function() {
+  var raw = fake.scene(
+    L8, '2020-03-01',
+    reflectance([0.3, 0.3, 0.3, 0.3], [0.1, 0.1, 0.1, 0.1]),
+    [64, 1 << 3, 64, 1],          // clear, cloud, clear, fill
+    [0, 0, 1 << 4, 0]            // pixel 2: SR_B5 (NIR) saturated
+  );
+  var masked = lib.maskLandsatSr(L8, AOI, 30)(raw);
+  var nir = fake.pixels(masked, 'SR_B5');
+  fake.close(nir[0], 0.3, 1e-4);
+  assert.deepEqual(nir.slice(1), [null, null, null]);
+  // Three pixels lie in the footprint: one kept, one saturated.
+  fake.close(masked.get('clear_fraction'), 1 / 3);
+  fake.close(masked.get('saturated_fraction'), 1 / 3);
+  assert.equal(masked.get('sensor'), 'OLI');
+  assert.equal(masked.get('CLOUD_COVER'), 10);
+});
+
+test('harmonizeEtmToOli applies the Roy et al. coefficients', function() {
+  var etm = fake.image({
+    blue: [0.1, 0.1, 0.1, 0.1], green: [0.1, 0.1, 0.1, 0.1], red: [0.1, 0.1, 0.1, 0.1],
+    nir: [0.3, 0.3, 0.3, 0.3], swir1: [0.2, 0.2, 0.2, 0.2], swir2: [0.1, 0.1, 0.1, 0.1]
+  });
+  var oli = lib.harmonizeEtmToOli(etm);
+  var c = lib.ETM_TO_OLI_COEFFICIENTS.nir;
+  fake.close(fake.pixels(oli, 'nir')[0], c.intercept + c.slope * 0.3, 1e-12);
+});
+
+test('addIndices computes the registered indices', function() {
+  var img = fake.image({
+    blue: [0.05, 0.05, 0.05, 0.05], green: [0.08, 0.08, 0.08, 0.08], red: [0.1, 0.2, 0.1, 0.1],
+    nir: [0.3, 0.2, 0.3, 0.3], swir1: [0.2, 0.2, 0.2, 0.2], swir2: [0.1, 0.1, 0.1, 0.1]
+  });
+  var out = lib.addIndices(img, ['NDVI', 'SAVI']);
+  assert.deepEqual(fake.unwrap(out.bandNames()), lib.NEW_BAND_NAMES.concat(['NDVI', 'SAVI']));
+  fake.close(fake.pixels(out, 'NDVI')[0], 0.5, 1e-12);
+  assert.equal(fake.pixels(out, 'NDVI')[1], 0);
+  fake.close(fake.pixels(out, 'SAVI')[0], 0.2 * 1.5 / 0.9, 1e-12);
+  out = lib.addIndices(img, ['EVI', 'BSI']);
+  fake.close(fake.pixels(out, 'EVI')[0], 2.5 * 0.2 / (0.3 + 6 * 0.1 - 7.5 * 0.05 + 1), 1e-12);
+  fake.close(fake.pixels(out, 'BSI')[0], -0.05 / 0.65, 1e-12);
+});
+
+test('addIndices rejects unknown indices', function() {
+  assert.throws(function() {
+    lib.addIndices(fake.image({ nir: [0, 0, 0, 0] }), ['NOPE']);
+  }, /Unknown spectral index: NOPE/);
+});
+
+test('loadAndPreprocessLandsat merges sensors into a median composite', function() {
+  fake.addAsset(L8.collection, [
+    fake.scene(L8, '2020-02-01', reflectance([0.30, 0.30, 0.30, 0.30], [0.10, 0.10, 0.10, 0.10]), CLEAR, NO_SATURATION),
+    fake.scene(L8, '2020-11-01', reflectance([0.40, 0.40, 0.40, 0.40], [0.10, 0.10, 0.10, 0.10]), CLEAR, NO_SATURATION),
+    fake.scene(L8, '2019-06-01', reflectance([0.90, 0.90, 0.90, 0.90], [0.10, 0.10, 0.10, 0.10]), CLEAR, NO_SATURATION)
+  ]);
+  fake.addAsset(L7.collection, [
+    fake.scene(L7, '2020-06-01', reflectance([0.35, 0.35, 0.35, 0.35], [0.10, 0.10, 0.10, 0.10]), CLEAR, NO_SATURATION)
+  ]);
+  var params = { sensors: ['L7', 'L8'], harmonize_to_oli: false, quality_scale: 120 };
+  var composite = lib.loadAndPreprocessLandsat(2020, AOI, params, ['NDVI']);
+  assert.equal(composite.get('year'), 2020);
+  assert.equal(composite.get('scene_count'), 3);
+  assert.equal(composite.get('mean_clear_fraction'), 1);
+  // The 2019 scene is excluded, so the median NIR is the L7 scene's 0.35.
+  fake.close(fake.pixels(composite, 'nir')[0], 0.35, 1e-4);
+  fake.close(fake.pixels(composite, 'NDVI')[0], 0.25 / 0.45, 1e-3);
+
+  // With harmonization the ETM+ scene moves to the OLI scale.
+  params.harmonize_to_oli = true;
+  var harmonized = lib.loadAndPreprocessLandsat(2020, AOI, params, ['NDVI']);
+  var c = lib.ETM_TO_OLI_COEFFICIENTS.nir;
+  fake.close(fake.pixels(harmonized, 'nir')[0], c.intercept + c.slope * 0.35, 1e-4);
+
+  // Harmonized ETM+ scenes keep the quality properties of the masking step.
+  params.sensors = ['L7'];
+  var etm = lib.loadAndPreprocessLandsat(2020, AOI, params, ['NDVI']);
+  assert.equal(etm.get('mean_clear_fraction'), 1);
+  assert.equal(etm.get('mean_saturated_fraction'), 0);
+});
+
+test('buildLandsatDatacube leaves out years without scenes', function() {
+  fake.addAsset(L8.collection, [
+    fake.scene(L8, '2018-05-01', reflectance([0.3, 0.3, 0.3, 0.3], [0.1, 0.1, 0.1, 0.1]), CLEAR, NO_SATURATION),
+    fake.scene(L8, '2020-05-01', reflectance([0.3, 0.3, 0.3, 0.3], [0.1, 0.1, 0.1, 0.1]), CLEAR, NO_SATURATION)
+  ]);
+  var params = { sensors: ['L8'], harmonize_to_oli: true, quality_scale: 120 };
+  var datacube = lib.buildLandsatDatacube([2018, 2019, 2020], AOI, params, ['NDVI']);
+  assert.deepEqual(fake.unwrap(datacube.aggregate_array('year')), [2018, 2020]);
+  var quality = lib.compositeQualityTable(datacube, AOI, 120).getInfo().features;
+  assert.deepEqual(quality.map(function(f) { return f.properties.Scenes; }), [1, 1]);
+  assert.equal(lib.compositeForYear(datacube, 2020).get('year'), 2020);
+  var missing = lib.compositeBandsForYear(datacube, 2019, ['red', 'green', 'blue']);
+  assert.deepEqual(fake.unwrap(missing.bandNames()), ['red', 'green', 'blue']);
+  assert.deepEqual(fake.pixels(missing, 'red'), [null, null, null, null]);
+  fake.close(fake.pixels(lib.compositeBandsForYear(datacube, 2020, ['nir']), 'nir')[0], 0.3, 1e-4);
+});
+
+test('composites count clear observations and flag low-confidence pixels', function() {
+  // Pixel 3 is cloudy in one scene and outside the other's data (SLC-off gap).
+  fake.addAsset(L7.collection, [
+    fake.scene(L7, '2010-02-01', reflectance([0.3, 0.4, 0.5, 0.9], [0.1, 0.1, 0.1, 0.1]), [64, 64, 64, 72], NO_SATURATION),
+    fake.scene(L7, '2010-03-01', reflectance([0.3, 0.4, 0.5, 0.9], [0.1, 0.1, 0.1, 0.1]), [64, 64, 64, 1], NO_SATURATION)
+  ]);
+  var params = {
+    sensors: ['L7'], harmonize_to_oli: false, quality_scale: 120, min_clear_observations: 2
+  };
+  var composite = lib.loadAndPreprocessLandsat(2010, AOI, params, ['NDVI']);
+  assert.deepEqual(fake.pixels(composite, 'clear_obs'), [2, 2, 2, 0]);
+  assert.deepEqual(fake.pixels(composite, 'low_confidence'), [0, 0, 0, 1]);
+  assert.equal(fake.pixels(composite, 'NDVI')[3], null);
+
+  var datacube = lib.buildLandsatDatacube([2009, 2010], AOI, params, ['NDVI']);
+  assert.deepEqual(fake.unwrap(lib.missingYears(datacube, [2009, 2010])), [2009]);
+  var quality = fake.rows(lib.compositeQualityTable(datacube, AOI, 120))[0];
+  assert.equal(quality.Valid_Coverage_pct, 75);
+  assert.equal(quality.Low_Confidence_pct, 25);
+  // Coverage is reduced over the given geometry: the north half only.
+  var north = ee.Geometry.Rectangle([80.80, 26.73, 80.82, 26.74]);
+  quality = fake.rows(lib.compositeQualityTable(datacube, north, 120))[0];
+  assert.equal(quality.Valid_Coverage_pct, 50);
+  assert.equal(quality.Low_Confidence_pct, 50);
+  assert.deepEqual(fake.pixels(lib.lowConfidenceMask(datacube)), [0, 0, 0, 1]);
+});
+
+test('SLC-off gap filling fills the SLC stripes after the failure only', function() {
+  // The north-west pixel is cloudy, the north-east one an SLC stripe (fill).
+  function scenes(year) {
+    return [
+      fake.scene(L7, year + '-02-01', reflectance([0.3, 0.4, 0.5, 0.9], [0.1, 0.1, 0.1, 0.1]), [64, 64, 72, 1], NO_SATURATION)
+    ];
+  }
+  fake.addAsset(L7.collection, scenes(2002).concat(scenes(2010)));
+  var params = {
+    sensors: ['L7'], harmonize_to_oli: false, quality_scale: 120, slc_gap_fill_radius: 1,
+    min_clear_observations: 0
+  };
+  var filled = lib.loadAndPreprocessLandsat(2010, AOI, params, ['NDVI']);
+  // The stripe takes the mean NIR of its two clear neighbours; the cloud stays masked.
+  fake.close(fake.pixels(filled, 'nir')[3], 0.35, 1e-4);
+  assert.equal(fake.pixels(filled, 'nir')[2], null);
+  assert.equal(fake.pixels(filled, 'clear_obs')[3], 0);
+  // Filled pixels are low confidence even without a minimum observation count.
+  assert.deepEqual(fake.pixels(filled, 'low_confidence'), [0, 0, 0, 1]);
+  assert.equal(fake.pixels(lib.loadAndPreprocessLandsat(2002, AOI, params, ['NDVI']), 'nir')[3], null);
+});
+
+test('loadAndPreprocessLandsat rejects unknown sensors', function() {
+  assert.throws(function() {
+    lib.loadAndPreprocessLandsat(2020, AOI, { sensors: ['L4'], harmonize_to_oli: true }, ['NDVI']);
+  }, /Unknown Landsat sensor: L4/);
+});
@@ -0,0 +1,138 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var L8 = lib.LANDSAT_SENSORS.L8;
+var AOI;
+var LANDSAT_PARAMS = { sensors: ['L8'], harmonize_to_oli: false, quality_scale: 120 };
+var KHARIF = { name: 'kharif', start_month: 6, end_month: 10 };
+var RABI = { name: 'rabi', start_month: 11, end_month: 4 };
+
+// A clear OLI scene with the same NDVI in every pixel (red fixed at 0.1).
+function scene(ms, ndvi) {
+  var red = 0.1;
+  var nir = red * (1 + ndvi) / (1 - ndvi);
+  var values = { blue: 0.05, green: 0.08, red: red, nir: nir, swir1: 0.2, swir2: 0.15 };
+  var reflectance = {};
+  lib.NEW_BAND_NAMES.forEach(function(name) {
+    reflectance[name] = [0, 0, 0, 0].map(function() { return values[name]; });
+  });
+  return fake.scene(L8, ms, reflectance, [64, 64, 64, 64], [0, 0, 0, 0], 0);
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('seasonWindow spans the year boundary when the season wraps', function() {
+  assert.deepEqual(lib.seasonWindow(KHARIF, 2020), [Date.UTC(2020, 5, 1), Date.UTC(2020, 10, 1)]);
+  assert.deepEqual(lib.seasonWindow(RABI, 2020), [Date.UTC(2020, 10, 1), Date.UTC(2021, 4, 1)]);
+  assert.deepEqual(lib.phenologyWindow([KHARIF, RABI], 2020), [Date.UTC(2020, 5, 1), Date.UTC(2021, 4, 1)]);
+});
+
+test('buildSeasonalDatacube composites each season and drops empty ones', function() {
+  fake.addAsset(L8.collection, [
+    scene(Date.UTC(2020, 6, 15), 0.7),
+    scene(Date.UTC(2020, 11, 15), 0.3),
+    scene(Date.UTC(2021, 2, 15), 0.5),
+    scene(Date.UTC(2021, 4, 15), 0.9)  // After rabi 2020, before kharif 2021.
+  ]);
+  var cube = lib.buildSeasonalDatacube([KHARIF, RABI], [2020], AOI, LANDSAT_PARAMS, ['NDVI']);
+  assert.deepEqual(fake.unwrap(cube.aggregate_array('season')), ['kharif', 'rabi']);
+  assert.deepEqual(fake.unwrap(cube.aggregate_array('scene_count')), [1, 2]);
+  var rabi = lib.loadSeasonalComposite(RABI, 2020, AOI, LANDSAT_PARAMS, ['NDVI']);
+  // NDVI of the median reflectance of the December and March scenes.
+  var nir = (0.1 * 1.3 / 0.7 + 0.1 * 1.5 / 0.5) / 2;
+  fake.close(fake.pixels(rabi, 'NDVI')[0], (nir - 0.1) / (nir + 0.1), 1e-3);
+  assert.equal(rabi.get('system:time_start'), Date.UTC(2020, 10, 1));
+
+  var table = lib.seasonalNdviTable(cube, 30, AOI).getInfo().features.map(function(f) {
+    return f.properties;
+  });
+  assert.equal(table[0].Season, 'kharif');
+  fake.close(table[0].Mean_NDVI, 0.7, 1e-3);
+
+  var empty = lib.buildSeasonalDatacube([KHARIF], [2021], AOI, LANDSAT_PARAMS, ['NDVI']);
+  assert.equal(fake.unwrap(empty.size()), 0);
+});
+
+test('fitHarmonicModel and phenologyMetrics recover a seasonal NDVI curve', function() {
+  var start = Date.UTC(2020, 5, 1);
+  var year = 365.25 * 86400000;
+  // One cycle a year peaking at t = 0.2 (about 73 days after 1 June).
+  function curve(t) {
+    return 0.4 + 0.2 * Math.cos(2 * Math.PI * (t - 0.2));
+  }
+  var scenes = [];
+  for (var ms = start; ms < Date.UTC(2021, 4, 1); ms += 16 * 86400000) {
+    scenes.push(scene(ms, curve((ms - start) / year)));
+  }
+  fake.addAsset(L8.collection, scenes);
+  var params = {
+    seasons: [KHARIF, RABI], harmonics: 1, step_days: 1,
+    greenup_fraction: 0.5, min_observations: 6
+  };
+  var model = lib.fitHarmonicModel(2020, AOI, LANDSAT_PARAMS, params);
+  assert.deepEqual(fake.unwrap(model.bandNames()), ['constant', 't', 'cos_1', 'sin_1', 'n_obs']);
+  assert.equal(fake.pixels(model, 'n_obs')[0], scenes.length);
+  fake.close(fake.pixels(model, 'constant')[0], 0.4, 1e-3);
+
+  var metrics = lib.phenologyMetrics(model, 2020, params);
+  fake.close(fake.pixels(metrics, 'kharif_peak_ndvi')[0], 0.6, 1e-3);
+  var peakDay = fake.pixels(metrics, 'kharif_peak_day')[0];
+  assert.ok(peakDay >= 72 && peakDay <= 74, 'peak day ' + peakDay);
+  // Half-way between the kharif minimum (0.44, at its end) and the peak is
+  // reached about 54 days either side of the peak.
+  var greenup = fake.pixels(metrics, 'kharif_greenup_day')[0];
+  assert.ok(greenup >= 18 && greenup <= 22, 'green-up day ' + greenup);
+  var length = fake.pixels(metrics, 'kharif_length_days')[0];
+  assert.ok(length >= 104 && length <= 110, 'season length ' + length);
+  assert.ok(fake.pixels(metrics, 'rabi_amplitude')[0] > 0);
+});
+
+test('fitHarmonicModel masks pixels with too few observations', function() {
+  fake.addAsset(L8.collection, [scene(Date.UTC(2020, 6, 1), 0.5), scene(Date.UTC(2020, 8, 1), 0.6)]);
+  var model = lib.fitHarmonicModel(2020, AOI, LANDSAT_PARAMS, {
+    seasons: [KHARIF], harmonics: 1, min_observations: 6
+  });
+  assert.deepEqual(fake.pixels(model, 'n_obs'), [null, null, null, null]);
+});
+
+test('phenologyChangeTable reports first, last and per-pixel change', function() {
+  function metrics(peak, greenup) {
+    return fake.image({
+      kharif_peak_ndvi: [peak, peak, peak, peak],
+      kharif_peak_day: [70, 70, 70, 70],
+      kharif_greenup_day: greenup,
+      kharif_length_days: [100, 100, 100, 100],
+      kharif_amplitude: [0.2, 0.2, 0.2, 0.2]
+    });
+  }
+  var table = lib.phenologyChangeTable(
+    metrics(0.6, [20, 20, 20, 20]), metrics(0.5, [30, 30, null, null]),
+    [KHARIF], 2001, 2020, 30, AOI
+  ).getInfo().features.map(function(f) { return f.properties; });
+  assert.deepEqual(table.map(function(r) { return r.Metric; }),
+                   lib.PHENOLOGY_METRICS.map(function(m) { return m.name; }));
+  fake.close(table[0].Change, -0.1);
+  assert.equal(table[0].Mean_2001, 0.6);
+  assert.equal(table[2].Mean_2020, 30);
+  assert.equal(table[2].Change, 10);
+  assert.equal(table[0].Low_Confidence_pct, undefined);
+
+  // The low-confidence share counts the pixels with a change value only.
+  table = fake.rows(lib.phenologyChangeTable(
+    metrics(0.6, [20, 20, 20, 20]), metrics(0.5, [30, 30, null, null]),
+    [KHARIF], 2001, 2020, 30, AOI, fake.image({ low_confidence: [1, 0, 0, 0] })
+  ));
+  assert.equal(table[0].Low_Confidence_pct, 25);
+  assert.equal(table[2].Low_Confidence_pct, 50);
+  table = fake.rows(lib.phenologyChangeTable(
+    metrics(0.6, [null, null, null, null]), metrics(0.5, [30, 30, null, null]),
+    [KHARIF], 2001, 2020, 30, AOI, fake.image({ low_confidence: [0, 0, 0, 0] })
+  ));
+  assert.equal(table[0].Low_Confidence_pct, 0);
+  assert.equal(table[2].Low_Confidence_pct, null);
+});
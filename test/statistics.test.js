@@ -0,0 +1,141 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+
+test.beforeEach(function() {
+  fake.reset();
+  fake.setGrid({ width: 4, height: 1 });
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('classAreaTable reports hectares, km² and percent of the region', function() {
+  var classes = [{ value: 12, name: 'Cropland' }, { value: 13, name: 'Urban' }, { value: 17, name: 'Water' }];
+  var table = fake.rows(lib.classAreaTable(fake.image({ lc: [12, 12, 13, null] }), classes, 500, AOI));
+  assert.deepEqual(table, [
+    { Class: 12, Name: 'Cropland', Area_ha: 2, Area_km2: 0.02, Percent_AOI: 50 },
+    { Class: 13, Name: 'Urban', Area_ha: 1, Area_km2: 0.01, Percent_AOI: 25 },
+    { Class: 17, Name: 'Water', Area_ha: 0, Area_km2: 0, Percent_AOI: 0 }
+  ]);
+});
+
+test('classAreaTable reports the low-confidence share of each class', function() {
+  var classes = [{ value: 12, name: 'Crop' }, { value: 13, name: 'Urban' }];
+  var lowConfidence = fake.image({ low_confidence: [1, 0, 1, 0] });
+  var table = fake.rows(lib.classAreaTable(fake.image({ lc: [12, 12, 13, 12] }), classes, 30, AOI, lowConfidence));
+  assert.equal(table[0].Low_Confidence_ha, 1);
+  fake.close(table[0].Low_Confidence_pct, 100 / 3);
+  assert.equal(table[1].Low_Confidence_pct, 100);
+  assert.equal(fake.rows(lib.classAreaTable(fake.image({ lc: [12, 12, 13, 12] }), classes, 30, AOI))[0]
+                 .Low_Confidence_ha, undefined);
+});
+
+test('classAreaTable only counts pixels inside the region', function() {
+  var west = ee.Geometry.Rectangle([80.80, 26.72, 80.82, 26.73]);
+  var table = fake.rows(lib.classAreaTable(fake.image({ lc: [1, 2, 2, 2] }), [{ value: 2, name: 'B' }], 500, west));
+  assert.equal(table[0].Area_ha, 1);
+  assert.equal(table[0].Percent_AOI, 50);
+});
+
+test('landCoverChangeTable pairs the first and last year per class', function() {
+  var classes = [{ value: 12, name: 'Cropland' }, { value: 13, name: 'Urban' }, { value: 16, name: 'Barren' }];
+  var table = fake.rows(lib.landCoverChangeTable(
+    fake.image({ lc: [12, 12, 12, 13] }),
+    fake.image({ lc: [12, 13, 13, 13] }),
+    classes, 2001, 2020, 500, AOI
+  ));
+  assert.equal(table[0].Area_2001_ha, 3);
+  assert.equal(table[0].Area_2020_ha, 1);
+  assert.equal(table[0].Change_ha, -2);
+  fake.close(table[0].Change_pct, (-200 / 3));
+  assert.equal(table[1].Change_pct, 200);
+  assert.equal(table[1].Percent_AOI_2020, 75);
+  // A class absent in the first year has no relative change.
+  assert.equal(table[2].Change_pct, null);
+});
+
+test('transitionTable lists the from→to areas present', function() {
+  var classes = [{ value: 1, name: 'Tree' }, { value: 3, name: 'Crop' }, { value: 5, name: 'Artificial' }];
+  var table = fake.rows(lib.transitionTable(
+    fake.image({ c: [1, 1, 3, 3] }),
+    fake.image({ c: [1, 3, 5, 5] }),
+    classes, 500, AOI
+  ));
+  assert.deepEqual(table.map(function(r) {
+    return [r.From_Name, r.To_Name, r.Area_ha];
+  }), [['Tree', 'Tree', 1], ['Tree', 'Crop', 1], ['Crop', 'Artificial', 2]]);
+});
+
+test('classPairAreas reduces both years at once and keeps unclassified pixels', function() {
+  var classes = [{ value: 1, name: 'Tree' }, { value: 3, name: 'Crop' }];
+  var pairs = lib.classPairAreas(
+    fake.image({ c: [1, 1, 3, null] }),
+    fake.image({ c: [1, 3, 3, 3] }),
+    classes, 500, AOI
+  );
+  assert.deepEqual(fake.rows(pairs).map(function(r) {
+    return [r.From, r.To, r.Area_ha];
+  }), [[-1, 3, 1], [1, 1, 1], [1, 3, 1], [3, 3, 1]]);
+  var change = fake.rows(lib.changeTableFromPairs(pairs, classes, 2001, 2020, AOI));
+  assert.equal(change[1].Area_2001_ha, 1);
+  assert.equal(change[1].Area_2020_ha, 3);
+  // The pixel without a first-year class is not a transition.
+  assert.equal(fake.rows(lib.transitionsFromPairs(pairs, classes)).length, 3);
+});
+
+test('areaHistogram bins by value and labels bins by their centre', function() {
+  var table = fake.rows(lib.areaHistogram(fake.image({ NDVI: [0.05, 0.15, 0.16, null] }), 0.1, 30, AOI));
+  assert.equal(table.length, 2);
+  fake.close(table[0].NDVI, 0.05, 1e-12);
+  assert.equal(table[0].Area_ha, 1);
+  fake.close(table[1].NDVI, 0.15, 1e-12);
+  assert.equal(table[1].Area_ha, 2);
+});
+
+test('ndviStats summarizes the composite of the requested year', function() {
+  var datacube = ee.ImageCollection([
+    fake.image({ NDVI: [0.1, 0.2, 0.3, null], low_confidence: [0, 0, 0, 1] }, { year: 2001 }),
+    fake.image({ NDVI: [0.5, 0.5, 0.5, 0.5], low_confidence: [0, 0, 0, 0] }, { year: 2020 })
+  ]);
+  var stats = lib.ndviStats(datacube, 2001, AOI).getInfo().properties;
+  assert.equal(stats.Year, 2001);
+  fake.close(stats.Mean_NDVI, 0.2, 1e-12);
+  assert.equal(stats.Min_NDVI, 0.1);
+  assert.equal(stats.Max_NDVI, 0.3);
+  assert.equal(stats.Low_Confidence_pct, 25);
+});
+
+test('ndviStatsTable summarizes several years in one table', function() {
+  var datacube = ee.ImageCollection([
+    fake.image({ NDVI: [0.1, 0.2, 0.3, null], low_confidence: [0, 0, 0, 1] }, { year: 2001 }),
+    fake.image({ NDVI: [0.9, 0.9, 0.9, 0.9], low_confidence: [0, 0, 0, 0] }, { year: 2010 }),
+    fake.image({ NDVI: [0.5, 0.5, 0.5, 0.5], low_confidence: [0, 0, 0, 0] }, { year: 2020 })
+  ]);
+  var table = fake.rows(lib.ndviStatsTable(datacube, [2001, 2020], AOI));
+  assert.deepEqual(table.map(function(r) { return r.Year; }), [2001, 2020]);
+  fake.close(table[0].Mean_NDVI, 0.2, 1e-12);
+  assert.equal(table[0].Low_Confidence_pct, 25);
+  assert.equal(table[1].Max_NDVI, 0.5);
+  assert.equal(table[1].Low_Confidence_pct, 0);
+});
+
+test('NDVI statistics accept a datacube without low-confidence flags', function() {
+  var datacube = ee.ImageCollection([
+    fake.image({ NDVI: [0.1, 0.2, 0.3, 0.4] }, { year: 2001 }),
+    fake.image({ NDVI: [0.5, 0.5, 0.5, 0.5] }, { year: 2020 })
+  ]);
+  var table = fake.rows(lib.ndviStatsTable(datacube, [2001, 2020], AOI));
+  assert.equal(table[0].Max_NDVI, 0.4);
+  assert.equal(table[1].Low_Confidence_pct, 0);
+  assert.equal(lib.ndviStats(datacube, 2020, AOI).getInfo().properties.Low_Confidence_pct, 0);
+  assert.deepEqual(fake.pixels(lib.lowConfidenceMask(datacube)), [0, 0, 0, 0]);
+});
+
+test('evaluationErrorMessage adds a hint when a limit was exceeded', function() {
+  assert.equal(lib.evaluationErrorMessage('NDVI table', 'Asset not found.'),
+               'NDVI table could not be computed: Asset not found.');
+  assert.match(lib.evaluationErrorMessage('NDVI table', 'User memory limit exceeded.'),
+               /smaller/);
+});
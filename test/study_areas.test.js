@@ -0,0 +1,71 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+test.beforeEach(function() {
+  fake.reset();
+});
+
+test('resolveStudyAreas builds rectangle and GeoJSON regions', function() {
+  var regions = lib.resolveStudyAreas([
+    { name: 'Box', type: 'rectangle', bounds: [80.80, 26.72, 80.81, 26.74] },
+    {
+      name: 'Polygon',
+      type: 'geojson',
+      geojson: {
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[80.81, 26.72], [80.82, 26.72], [80.82, 26.74], [80.81, 26.74], [80.81, 26.72]]]
+        }
+      }
+    }
+  ]);
+  assert.deepEqual(regions.map(function(r) { return r.name; }), ['Box', 'Polygon']);
+  // The 2x2 grid is split into its western and eastern column.
+  assert.equal(regions[0].geometry.area(1).getInfo(), 20000);
+  assert.equal(regions[1].geometry.area(1).getInfo(), 20000);
+});
+
+test('resolveStudyAreas splits an asset into one region per name', function() {
+  fake.addAsset('users/test/wards', [
+    ee.Feature(ee.Geometry.Rectangle([80.80, 26.72, 80.81, 26.73]), { ward: 'A', state: 'UP' }),
+    ee.Feature(ee.Geometry.Rectangle([80.81, 26.72, 80.82, 26.73]), { ward: 'B', state: 'UP' }),
+    ee.Feature(ee.Geometry.Rectangle([80.80, 26.73, 80.82, 26.74]), { ward: 'C', state: 'MP' })
+  ]);
+  var regions = lib.resolveStudyAreas([{
+    type: 'asset',
+    asset_id: 'users/test/wards',
+    filter_property: 'state',
+    filter_value: 'UP',
+    name_property: 'ward'
+  }]);
+  assert.deepEqual(regions.map(function(r) { return r.name; }), ['A', 'B']);
+  assert.equal(regions[1].geometry.area(1).getInfo(), 10000);
+});
+
+test('resolveStudyAreas rejects unknown types', function() {
+  assert.throws(function() {
+    lib.resolveStudyAreas([{ name: 'X', type: 'circle' }]);
+  }, /Unknown study area type: circle/);
+});
+
+test('perRegion tags every row with its region', function() {
+  var regions = [
+    { name: 'West', geometry: ee.Geometry.Rectangle([80.80, 26.72, 80.81, 26.74]) },
+    { name: 'East', geometry: ee.Geometry.Rectangle([80.81, 26.72, 80.82, 26.74]) }
+  ];
+  var table = lib.perRegion(regions, function(region) {
+    return [ee.Feature(null, { 'Area_ha': lib.regionAreaHa(region.geometry) })];
+  }).getInfo();
+  assert.deepEqual(table.features.map(function(f) { return f.properties; }), [
+    { 'Area_ha': 2, 'Region': 'West' },
+    { 'Area_ha': 2, 'Region': 'East' }
+  ]);
+});
+
+test('yearRange includes both ends', function() {
+  assert.deepEqual(lib.yearRange(2001, 2004), [2001, 2002, 2003, 2004]);
+  assert.deepEqual(lib.yearRange(2020, 2020), [2020]);
+});
@@ -0,0 +1,186 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var PARAMS = { confidence_levels: [0.90, 0.95, 0.99], min_observations: 4 };
+
+// Annual composites where each pixel follows its own NDVI series; null
+// leaves the pixel masked in that year, a missing entry leaves out the year.
+function datacube(years, seriesByPixel) {
+  return ee.ImageCollection(years.map(function(year, i) {
+    return fake.image({ NDVI: seriesByPixel.map(function(series) { return series[i]; }) }, { year: year });
+  }));
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('zCritical approximates the two-sided normal quantiles', function() {
+  fake.close(lib.zCritical(0.90), 1.645, 1e-3);
+  fake.close(lib.zCritical(0.95), 1.960, 1e-3);
+  fake.close(lib.zCritical(0.99), 2.576, 1e-3);
+});
+
+test('trajectoryClasses runs from strongest degradation to strongest improvement', function() {
+  var classes = lib.trajectoryClasses([0.90, 0.95]);
+  assert.deepEqual(classes.map(function(c) { return c.value; }), [-2, -1, 0, 1, 2]);
+  assert.deepEqual(classes.map(function(c) { return c.name; }), [
+    'Degrading (95%)', 'Degrading (90%)', 'Stable', 'Improving (90%)', 'Improving (95%)'
+  ]);
+});
+
+test('productivityTrajectory grades monotonic trends', function() {
+  var years = lib.yearRange(2001, 2010);
+  var rising = years.map(function(y, i) { return 0.2 + 0.01 * i; });
+  var falling = years.map(function(y, i) { return 0.6 - 0.02 * i; });
+  var flat = years.map(function() { return 0.4; });
+  var sparse = years.map(function(y, i) { return i < 3 ? 0.3 + 0.01 * i : null; });
+  var trajectory = lib.productivityTrajectory(
+    datacube(years, [rising, falling, flat, sparse]), years, PARAMS, AOI
+  );
+
+  // n = 10: S = ±45, Var(S) = 125, Z = ±44 / sqrt(125).
+  var z = 44 / Math.sqrt(125);
+  assert.deepEqual(fake.pixels(trajectory, 'mk_s'), [45, -45, 0, null]);
+  assert.deepEqual(fake.pixels(trajectory, 'n_obs'), [10, 10, 10, null]);
+  var mkZ = fake.pixels(trajectory, 'mk_z');
+  fake.close(mkZ[0], z);
+  fake.close(mkZ[1], -z);
+  assert.equal(mkZ[2], 0);
+  var slope = fake.pixels(trajectory, 'sens_slope');
+  fake.close(slope[0], 0.01);
+  fake.close(slope[1], -0.02);
+  assert.deepEqual(fake.pixels(trajectory, 'trajectory_class'), [3, -3, 0, null]);
+});
+
+test('productivityTrajectory treats years without a composite as missing', function() {
+  var years = lib.yearRange(2001, 2006);
+  // 2003 has no composite at all.
+  var cube = datacube([2001, 2002, 2004, 2005, 2006], [
+    [0.1, 0.2, 0.3, 0.4, 0.5], [0.1, 0.2, 0.3, 0.4, 0.5],
+    [0.1, 0.2, 0.3, 0.4, 0.5], [0.1, 0.2, 0.3, 0.4, 0.5]
+  ]);
+  var trajectory = lib.productivityTrajectory(cube, years, PARAMS, AOI);
+  assert.equal(fake.pixels(trajectory, 'n_obs')[0], 5);
+  assert.equal(fake.pixels(trajectory, 'mk_s')[0], 10);
+  var annual = lib.annualNdvi(cube, 2003);
+  assert.equal(annual.get('year'), 2003);
+  assert.deepEqual(fake.pixels(annual), [null, null, null, null]);
+});
+
+test('productivityState compares the comparison mean with the baseline deciles', function() {
+  var baseline = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.9];
+  // Baseline mean 0.43 falls in decile class 6 of every pixel.
+  var comparison = [0.05, 0.95, 0.45, 0.35];
+  var years = lib.yearRange(2001, 2010);
+  var cube = datacube(years, comparison.map(function(value) {
+    return baseline.concat([value, value, value]);
+  }));
+  var state = lib.productivityState(cube, {
+    baseline_years: [2001, 2007],
+    comparison_years: [2008, 2010],
+    class_change: 2
+  });
+  assert.deepEqual(fake.pixels(state, 'baseline_decile'), [6, 6, 6, 6]);
+  assert.deepEqual(fake.pixels(state, 'comparison_decile'), [1, 10, 6, 5]);
+  assert.deepEqual(fake.pixels(state, 'state_change'), [-5, 4, 0, -1]);
+  assert.deepEqual(fake.pixels(state, 'state_class'), [-1, 1, 0, 0]);
+});
+
+test('productivityPerformance compares pixels with their unit\'s high NDVI', function() {
+  var cube = datacube([2001, 2002], [[0.8, 0.8], [0.5, 0.7], [0.3, 0.3], [0.5, 0.5]]);
+  var performance = lib.productivityPerformance(
+    cube,
+    { years: [2001, 2002], percentile: 90, ratio_threshold: 0.5, scale: 30 },
+    fake.image({ lc: [1, 1, 1, 2] }),
+    AOI
+  );
+  assert.deepEqual(fake.pixels(performance, 'unit_max_ndvi'), [0.8, 0.8, 0.8, 0.5]);
+  var ratio = fake.pixels(performance, 'performance_ratio').map(function(r) {
+    return Math.round(r * 1000) / 1000;
+  });
+  assert.deepEqual(ratio, [1, 0.75, 0.375, 1]);
+  assert.deepEqual(fake.pixels(performance, 'performance_class'), [0, 0, -1, 0]);
+});
+
+test('combineProductivity applies the trajectory/state/performance matrix', function() {
+  var combined = lib.combineProductivity(
+    fake.image({ prod_degradation: [-1, 0, 0, 1] }),
+    fake.image({ state_class: [1, -1, 0, null] }),
+    fake.image({ performance_class: [0, 0, -1, -1] }),
+    lib.PRODUCTIVITY_MATRIX
+  );
+  assert.deepEqual(fake.pixels(combined, 'productivity_class'), [2, 2, 3, null]);
+  assert.deepEqual(fake.pixels(combined, 'prod_degradation'), [-1, -1, 0, null]);
+});
+
+// Rainfall with no trend over 2001-2010 (symmetric about the middle year), so
+// the per-pixel fit of NDVI on rainfall is not biased by the NDVI trend.
+var RAIN = [900, 1300, 700, 1100, 1000, 1000, 1100, 700, 1300, 900];
+var RAIN_PARAMS = {
+  collection: 'TEST/RAIN', band: 'precipitation', months: null, method: 'restrend'
+};
+
+function addRain(values) {
+  fake.addAsset('TEST/RAIN', values.map(function(mm, i) {
+    return fake.image({ precipitation: [mm, mm, mm, mm] },
+                      { 'system:time_start': Date.UTC(2001 + i, 6, 1) });
+  }));
+}
+
+test('annualPrecipitation sums the year or the chosen months', function() {
+  fake.addAsset('TEST/RAIN', [
+    ['2020-01-15', 10], ['2020-07-01', 20], ['2020-10-31', 30], ['2021-07-01', 99]
+  ].map(function(day) {
+    return fake.image({ precipitation: [day[1], day[1], day[1], day[1]] },
+                      { 'system:time_start': Date.parse(day[0]) });
+  }));
+  var year = lib.annualPrecipitation(RAIN_PARAMS, 2020, AOI);
+  assert.deepEqual(fake.pixels(year), [60, 60, 60, 60]);
+  assert.equal(year.get('year'), 2020);
+  var monsoon = lib.annualPrecipitation(
+    { collection: 'TEST/RAIN', band: 'precipitation', months: [6, 10] }, 2020, AOI
+  );
+  assert.deepEqual(fake.pixels(monsoon), [50, 50, 50, 50]);
+});
+
+test('climateAdjustedTrajectory removes the rainfall signal before the trend test', function() {
+  addRain(RAIN);
+  var years = lib.yearRange(2001, 2010);
+  // NDVI driven by rainfall plus a steady decline (pixels 0-1) or rise (2-3).
+  var declining = RAIN.map(function(mm, i) { return 0.0004 * mm - 0.005 * i; });
+  var rising = RAIN.map(function(mm, i) { return 0.0004 * mm + 0.005 * i; });
+  var cube = datacube(years, [declining, declining, rising, rising]);
+
+  var raw = lib.productivityTrajectory(cube, years, PARAMS, AOI);
+  var adjusted = lib.climateAdjustedTrajectory(cube, years, RAIN_PARAMS, PARAMS, AOI);
+  assert.deepEqual(fake.pixels(raw, 'trajectory_class'), [0, 0, 0, 0]);
+  assert.deepEqual(fake.pixels(adjusted, 'trajectory_class'), [-3, -3, 3, 3]);
+  fake.close(fake.pixels(adjusted, 'sens_slope')[0], -0.005);
+  assert.deepEqual(fake.pixels(lib.climateDisagreement(raw, adjusted)), [2, 2, 3, 3]);
+});
+
+test('climateAdjustedTrajectory can test the water-use efficiency instead', function() {
+  addRain(RAIN);
+  var years = lib.yearRange(2001, 2010);
+  var wue = RAIN.map(function(mm, i) { return mm * (0.0005 - 0.00001 * i); });
+  var cube = datacube(years, [wue, wue, wue, wue]);
+  var params = { collection: 'TEST/RAIN', band: 'precipitation', months: null, method: 'wue' };
+  var adjusted = lib.climateAdjustedTrajectory(cube, years, params, PARAMS, AOI);
+  assert.deepEqual(fake.pixels(adjusted, 'trajectory_class'), [-3, -3, -3, -3]);
+  assert.throws(function() {
+    lib.climateAdjustedTrajectory(cube, years, { method: 'ratio' }, PARAMS, AOI);
+  }, /Unknown climate adjustment method: ratio/);
+});
+
+test('climateDisagreement flags differing trend directions', function() {
+  var disagreement = lib.climateDisagreement(
+    fake.image({ trajectory_class: [-2, 0, 1, -1] }),
+    fake.image({ trajectory_class: [0, -1, 0, -3] })
+  );
+  assert.deepEqual(fake.pixels(disagreement), [1, 2, 3, 0]);
+});
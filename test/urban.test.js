@@ -0,0 +1,47 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var CENTRE;
+
+test.beforeEach(function() {
+  fake.reset();
+  // 3x3 grid of 0.01° pixels with the centre on the middle pixel.
+  fake.setGrid({ width: 3, height: 3 });
+  var b = fake.gridBounds();
+  CENTRE = [(b[0] + b[2]) / 2, (b[1] + b[3]) / 2];
+});
+
+test('builtUpMask combines the NDBI, NDVI and MNDWI thresholds', function() {
+  var composite = fake.image({
+    NDBI: [0.1, 0.1, -0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1],
+    NDVI: [0.1, 0.5, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1],
+    MNDWI: [-0.2, -0.2, -0.2, 0.3, -0.2, -0.2, -0.2, -0.2, -0.2]
+  });
+  var built = lib.builtUpMask(composite, { ndbi_min: 0, ndvi_max: 0.3, mndwi_max: 0 });
+  assert.deepEqual(fake.pixels(built), [1, 0, 0, 0, 1, 1, 1, 1, 1]);
+});
+
+test('directionSectors assigns compass sectors clockwise from north', function() {
+  var sectors = fake.pixels(lib.directionSectors(CENTRE));
+  var names = sectors.map(function(v) { return lib.DIRECTION_CLASSES[v].name; });
+  // Rows run south to north.
+  assert.deepEqual(names.slice(6), ['NW', 'N', 'NE']);
+  assert.deepEqual([names[3], names[5]], ['W', 'E']);
+  assert.deepEqual(names.slice(0, 3), ['SW', 'S', 'SE']);
+});
+
+test('distanceRings bins distance from the centre and masks beyond the last ring', function() {
+  // Neighbours lie 0.99-1.49 km from the centre.
+  var rings = fake.pixels(lib.distanceRings(CENTRE, { ring_width_km: 0.9, ring_count: 2 }));
+  assert.deepEqual(rings, [1, 1, 1, 1, 0, 1, 1, 1, 1]);
+  var inner = fake.pixels(lib.distanceRings(CENTRE, { ring_width_km: 0.9, ring_count: 1 }));
+  assert.deepEqual(inner, [null, null, null, null, 0, null, null, null, null]);
+});
+
+test('ringClasses labels rings by their distance range', function() {
+  assert.deepEqual(lib.ringClasses({ ring_width_km: 2, ring_count: 3 }).map(function(c) {
+    return c.name;
+  }), ['0–2 km', '2–4 km', '4–6 km']);
+});
@@ -0,0 +1,100 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fake = require('./fake_ee').install();
+var lib = require('../land_cover_ndvi_lib');
+
+var AOI;
+var CLASSES = [{ value: 12, name: 'Croplands' }, { value: 13, name: 'Urban' }];
+
+// Zone covering one column of the 2×2 grid (0: west, 1: east).
+function columnZone(col, props) {
+  var b = fake.gridBounds();
+  var west = b[0] + col * (b[2] - b[0]) / 2;
+  return ee.Feature(ee.Geometry.Rectangle([west, b[1], west + (b[2] - b[0]) / 2, b[3]]), props);
+}
+
+// Pixels are ordered SW, SE, NW, NE; indicator -1 / 0 / 1, null = no data.
+function indicator(values) {
+  return fake.image({ sdg_15_3_1: values, degradation_trigger: [0, 0, 0, 0] });
+}
+
+test.beforeEach(function() {
+  fake.reset();
+  AOI = ee.Geometry.Rectangle(fake.gridBounds());
+});
+
+test('loadZones filters the asset and names each zone', function() {
+  fake.addAsset('users/test/wards', [
+    columnZone(0, { ward: 'Aminabad', state: 'UP' }),
+    columnZone(1, { ward: 'Hazratganj', state: 'UP' }),
+    columnZone(1, { ward: 'Elsewhere', state: 'MP' })
+  ]);
+  var zones = lib.loadZones({
+    asset_id: 'users/test/wards', filter_property: 'state', filter_value: 'UP', name_property: 'ward'
+  }, AOI);
+  assert.deepEqual(fake.unwrap(zones.aggregate_array('Zone')), ['Aminabad', 'Hazratganj']);
+});
+
+test('zonalStatistics reports land cover, NDVI and indicator per zone', function() {
+  var zones = ee.FeatureCollection([columnZone(0, { Zone: 'West' }), columnZone(1, { Zone: 'East' })]);
+  var stats = fake.rows(lib.zonalStatistics(zones, {
+    landCover: {
+      2001: fake.image({ land_class: [12, 12, 12, 13] }),
+      2020: fake.image({ land_class: [13, 12, 13, 13] })
+    },
+    classes: CLASSES,
+    ndvi: {
+      2001: fake.image({ NDVI: [0.6, 0.4, 0.2, 0.5] }),
+      2020: fake.image({ NDVI: [0.3, 0.4, 0.1, 0.5] })
+    },
+    indicator: indicator([-1, 0, -1, null])
+  }, 30));
+
+  assert.equal(stats[0].Zone, 'West');
+  assert.equal(stats[0].Area_ha, 2);
+  assert.equal(stats[0].LC_2001_12_ha, 2);
+  assert.equal(stats[0].LC_2020_13_ha, 2);
+  assert.equal(stats[1].LC_2001_13_ha, 1);
+  fake.close(stats[0].NDVI_2001_mean, 0.4);
+  assert.equal(stats[0].NDVI_2020_min, 0.1);
+  assert.equal(stats[1].NDVI_2020_max, 0.5);
+  assert.equal(stats[0].Degraded_ha, 2);
+  assert.equal(stats[0].Proportion_Degraded, 1);
+  // The east zone's indicator area is its single valid pixel.
+  assert.equal(stats[1].Stable_ha, 1);
+  assert.equal(stats[1].Proportion_Degraded, 0);
+  assert.equal(stats[1].Proportion_Stable, 1);
+});
+
+test('zonalStatistics names NDVI statistics by year with a single year', function() {
+  var zones = ee.FeatureCollection([columnZone(0, { Zone: 'West' })]);
+  var stats = fake.rows(lib.zonalStatistics(zones, {
+    landCover: {},
+    classes: CLASSES,
+    ndvi: { 2020: fake.image({ NDVI: [0.3, 0.4, 0.1, 0.5] }) },
+    indicator: indicator([null, null, null, null])
+  }, 30));
+  fake.close(stats[0].NDVI_2020_mean, 0.2);
+  assert.equal(stats[0].NDVI_2020_max, 0.3);
+  assert.equal(stats[0].Proportion_Degraded, null);
+});
+
+test('mostDegradedZones ranks zones and skips those without indicator data', function() {
+  var stats = ee.FeatureCollection([
+    ee.Feature(null, { Zone: 'A', Proportion_Degraded: 0.1 }),
+    ee.Feature(null, { Zone: 'B', Proportion_Degraded: 0.6 }),
+    ee.Feature(null, { Zone: 'C', Proportion_Degraded: null }),
+    ee.Feature(null, { Zone: 'D', Proportion_Degraded: 0.3 })
+  ]);
+  var ranked = fake.rows(lib.mostDegradedZones(stats, 2));
+  assert.deepEqual(ranked.map(function(r) { return [r.Rank, r.Zone]; }), [[1, 'B'], [2, 'D']]);
+});
+
+test('zoneChoropleth paints a zone property over its pixels', function() {
+  var stats = ee.FeatureCollection([
+    columnZone(0, { Proportion_Degraded: 0.25 }),
+    columnZone(1, { Proportion_Degraded: 0.75 })
+  ]);
+  var image = lib.zoneChoropleth(stats, 'Proportion_Degraded');
+  assert.deepEqual(fake.pixels(image, 'Proportion_Degraded'), [0.25, 0.75, 0.25, 0.75]);
+});